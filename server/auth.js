@@ -0,0 +1,60 @@
+import { getSessionUser, hasUsers } from './user-store.js';
+
+export const SESSION_COOKIE = 'reachout_session';
+
+/**
+ * The session token of a request: `Authorization: Bearer <token>` for API clients,
+ * else the HttpOnly session cookie the browser got at login
+ */
+export function readSessionToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name !== SESSION_COOKIE) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      // A malformed cookie is treated like no session
+      return null;
+    }
+  }
+  return null;
+}
+
+export function setSessionCookie(req, res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    expires: new Date(expiresAt),
+    path: '/'
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Let requests with a valid session through and set req.user / req.sessionToken.
+ * The 401 body says whether the first (admin) account still has to be created.
+ */
+export function requireAuth(req, res, next) {
+  const token = readSessionToken(req);
+  const user = getSessionUser(token);
+  if (!user) {
+    return res.status(401).json({ error: 'Please sign in', authRequired: true, setupRequired: !hasUsers() });
+  }
+  req.user = user;
+  req.sessionToken = token;
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this' });
+  }
+  next();
+}
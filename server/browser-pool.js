@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import puppeteer from 'puppeteer';
+import { createLogger } from './logger.js';
+
+const log = createLogger('BrowserPool');
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const SWEEP_INTERVAL_MS = 15000;
+const SHUTDOWN_GRACE_MS = 10000;
+// Pages are recycled after this many scrapes to keep memory from piling up
+const MAX_PAGE_USES = 20;
+
+// Pool state - one shared Chromium instance, a bounded number of pages and a FIFO of waiting
+// requests. Every page lives in its own browser context, so its cookies (the li_at of the
+// LinkedIn account it browses as) are never seen by another page. A released page is kept
+// idle for the next request of the same account and closed once idle for too long.
+let browserPromise = null;
+let browserLastUsedAt = Date.now();
+let creatingPages = 0;
+let closingPages = 0;
+let shuttingDown = false;
+let sweepTimer = null;
+const busyPages = new Map(); // page -> { page, context, accountKey, uses, releasedAt }; until reset or closed
+const idlePages = [];   // the same entries, longest idle first
+const waiters = [];     // { accountKey, resolve, reject, timer, enqueuedAt }
+
+const stats = {
+  browserLaunches: 0,
+  pagesCreated: 0,
+  pagesReused: 0,
+  pagesRecycled: 0,
+  acquisitions: 0,
+  queuedAcquisitions: 0,
+  queueTimeouts: 0
+};
+
+function getConfig() {
+  return {
+    maxPages: parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 2,
+    idleTimeoutMs: parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT_MS, 10) || 60000,
+    queueTimeoutMs: parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT_MS, 10) || 120000
+  };
+}
+
+async function getBrowser() {
+  if (!browserPromise) {
+    // Read DEBUG_MODE at runtime (after dotenv has loaded)
+    const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+
+    log.info('Launching shared browser', { headless: !DEBUG_MODE });
+    stats.browserLaunches++;
+
+    browserPromise = puppeteer.launch({
+      headless: !DEBUG_MODE,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu',
+        '--window-size=1920,1080',
+      ],
+      slowMo: DEBUG_MODE ? 50 : 0,
+    }).then(browser => {
+      browser.on('disconnected', () => {
+        log.warn('Browser disconnected');
+        resetPoolState();
+      });
+      return browser;
+    }).catch(error => {
+      browserPromise = null;
+      throw error;
+    });
+
+    startSweeper();
+  }
+  browserLastUsedAt = Date.now();
+  return browserPromise;
+}
+
+// Forget every page when the browser goes away (crash or close)
+function resetPoolState() {
+  browserPromise = null;
+  busyPages.clear();
+  idlePages.length = 0;
+}
+
+// Pages are matched to accounts by a hash, so the pool never holds on to a cookie
+function accountKeyFor(account) {
+  return account ? crypto.createHash('sha256').update(account).digest('hex') : null;
+}
+
+async function createPage(accountKey) {
+  const browser = await getBrowser();
+  const context = await browser.createBrowserContext();
+  let page;
+  try {
+    page = await context.newPage();
+  } catch (error) {
+    await context.close().catch(() => {});
+    throw error;
+  }
+
+  // Set viewport to desktop size
+  await page.setViewport({ width: 1920, height: 1080 });
+
+  // Set a realistic user agent
+  await page.setUserAgent(USER_AGENT);
+
+  stats.pagesCreated++;
+  return { page, context, accountKey, uses: 0, releasedAt: null };
+}
+
+function totalPages() {
+  return busyPages.size + idlePages.length + creatingPages + closingPages;
+}
+
+function checkOut(entry) {
+  entry.uses++;
+  busyPages.set(entry.page, entry);
+  stats.acquisitions++;
+  browserLastUsedAt = Date.now();
+  return entry.page;
+}
+
+// Open a page, first closing the idle page it replaces. Counts as a page from the start,
+// so other requests can't take the slot meanwhile.
+async function openPage(accountKey, replaced) {
+  creatingPages++;
+  try {
+    if (replaced) await replaced.context.close().catch(() => {});
+    return checkOut(await createPage(accountKey));
+  } finally {
+    creatingPages--;
+  }
+}
+
+/**
+ * Serve a request for an account right now, or return null when every page is busy.
+ * Prefers an idle page of the same account, then a free slot, then recycles the
+ * longest idle page of another account.
+ */
+function claimPage(accountKey) {
+  const index = idlePages.findIndex(entry => entry.accountKey === accountKey);
+  if (index !== -1) {
+    const [entry] = idlePages.splice(index, 1);
+    stats.pagesReused++;
+    return Promise.resolve(checkOut(entry));
+  }
+
+  if (totalPages() < getConfig().maxPages) return openPage(accountKey);
+  if (idlePages.length === 0) return null;
+
+  stats.pagesRecycled++;
+  return openPage(accountKey, idlePages.shift());
+}
+
+/**
+ * Get a page in a browser context of its own. { account } (the li_at cookie) lets a
+ * page left idle by an earlier request of the same account be reused. Otherwise opens
+ * a page while under BROWSER_POOL_MAX_PAGES, or waits in the queue for one.
+ */
+export async function acquirePage({ account } = {}) {
+  if (shuttingDown) {
+    throw new Error('Server is shutting down');
+  }
+
+  const { maxPages, queueTimeoutMs } = getConfig();
+  const accountKey = accountKeyFor(account);
+
+  // Requests already waiting go first
+  if (waiters.length === 0) {
+    const claim = claimPage(accountKey);
+    if (claim) return claim;
+  }
+
+  stats.queuedAcquisitions++;
+  log.info('All pages busy, queueing request', { maxPages, waiting: waiters.length + 1 });
+
+  return new Promise((resolve, reject) => {
+    const waiter = { accountKey, resolve, reject, enqueuedAt: Date.now() };
+    waiter.timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) waiters.splice(index, 1);
+      stats.queueTimeouts++;
+      reject(new Error('Timed out waiting for a free browser page. Try again in a moment.'));
+    }, queueTimeoutMs);
+    waiters.push(waiter);
+  });
+}
+
+/**
+ * Give a page back. It is emptied (about:blank) and kept idle for its account, or closed
+ * with its browser context when it has been used MAX_PAGE_USES times, can't be reset or
+ * discard is set. The page counts against BROWSER_POOL_MAX_PAGES until then.
+ */
+export async function releasePage(page, { discard = false } = {}) {
+  const entry = busyPages.get(page);
+  if (!entry) {
+    // The browser went away while the page was out - still serve anyone waiting
+    await page.close().catch(() => {});
+  } else if (discard || shuttingDown || entry.uses >= MAX_PAGE_USES || !await resetPage(page)) {
+    await entry.context.close().catch(() => {});
+    busyPages.delete(page);
+  } else {
+    busyPages.delete(page);
+    entry.releasedAt = Date.now();
+    idlePages.push(entry);
+  }
+  browserLastUsedAt = Date.now();
+  serveWaiters();
+}
+
+async function resetPage(page) {
+  try {
+    await page.goto('about:blank', { timeout: 5000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Hand pages to queued requests, oldest first, for as long as there are pages to give
+function serveWaiters() {
+  while (!shuttingDown && waiters.length > 0) {
+    const claim = claimPage(waiters[0].accountKey);
+    if (!claim) return;
+
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    claim.then(waiter.resolve, error => {
+      waiter.reject(error);
+      // The slot is free again - the next request may have better luck
+      serveWaiters();
+    });
+  }
+}
+
+/**
+ * Run fn with a pooled page and always give the page back. options go to acquirePage
+ */
+export async function withPage(fn, options) {
+  const page = await acquirePage(options);
+  try {
+    return await fn(page);
+  } finally {
+    await releasePage(page);
+  }
+}
+
+// Close pages idle for BROWSER_POOL_IDLE_TIMEOUT_MS, and the browser once nothing has
+// used it for that long
+function startSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(async () => {
+    const { idleTimeoutMs } = getConfig();
+    const now = Date.now();
+
+    const expired = idlePages.filter(entry => now - entry.releasedAt > idleTimeoutMs);
+    for (const entry of expired) {
+      idlePages.splice(idlePages.indexOf(entry), 1);
+      stats.pagesRecycled++;
+      closingPages++;
+      await entry.context.close().catch(() => {});
+      closingPages--;
+    }
+    if (expired.length > 0) serveWaiters();
+
+    if (browserPromise && totalPages() === 0 && waiters.length === 0 && now - browserLastUsedAt > idleTimeoutMs) {
+      log.info('Browser idle, closing it');
+      const browser = await browserPromise.catch(() => null);
+      resetPoolState();
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+      await browser?.close().catch(() => {});
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+export function getPoolStats() {
+  const { maxPages, idleTimeoutMs } = getConfig();
+  return {
+    browserRunning: !!browserPromise,
+    maxPages,
+    idleTimeoutMs,
+    busyPages: busyPages.size + creatingPages,
+    idlePages: idlePages.length,
+    queued: waiters.length,
+    oldestQueuedMs: waiters.length > 0 ? Date.now() - waiters[0].enqueuedAt : 0,
+    ...stats
+  };
+}
+
+/**
+ * Stop handing out pages, give in-flight scrapes a grace period, then close the browser
+ */
+export async function shutdownBrowserPool() {
+  shuttingDown = true;
+
+  for (const waiter of waiters.splice(0)) {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error('Server is shutting down'));
+  }
+
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  while (busyPages.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  if (browserPromise) {
+    log.info('Closing browser');
+    const browser = await browserPromise.catch(() => null);
+    resetPoolState();
+    await browser?.close().catch(() => {});
+  }
+}
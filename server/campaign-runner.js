@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import { getProfile } from './profile-cache.js';
+import { generatePersonalizedMessage } from './message-generator.js';
+import { toCsv } from './csv.js';
+import { createHistoryEntry } from './history-store.js';
+import { getSenderProfile, findOverlaps } from './sender-profile.js';
+import { resolveTemplateVersion } from './template-store.js';
+import { LinkedInRateLimitError } from './linkedin-throttle.js';
+import { createUsageMeter } from './usage-store.js';
+import { createLogger, withLogContext } from './logger.js';
+
+const log = createLogger('Campaign');
+
+const MAX_CONCURRENCY = 5;
+const MAX_ROWS = 500;
+const RETRY_DELAY_MS = 2000;
+const MAX_FINISHED_PER_USER = 20;
+
+// Columns that map straight onto profile fields instead of being passed as extra context
+const PROFILE_COLUMNS = ['name', 'title', 'headline', 'company', 'location', 'about', 'experience', 'skills', 'education'];
+
+// Campaigns live in memory for the lifetime of the server process. Finished ones are
+// dropped after CAMPAIGN_RETENTION_HOURS, and beyond the newest few per user.
+const campaigns = new Map();
+
+function retentionMs() {
+  return (parseFloat(process.env.CAMPAIGN_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+function pruneFinishedCampaigns() {
+  const expiredBefore = Date.now() - retentionMs();
+  const keptPerUser = new Map();
+  const finished = [...campaigns.values()]
+    .filter(campaign => campaign.finishedAt)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+
+  for (const campaign of finished) {
+    const kept = keptPerUser.get(campaign.userId) || 0;
+    if (Date.parse(campaign.finishedAt) < expiredBefore || kept >= MAX_FINISHED_PER_USER) {
+      campaigns.delete(campaign.id);
+    } else {
+      keptPerUser.set(campaign.userId, kept + 1);
+    }
+  }
+}
+
+/**
+ * Create a campaign from parsed prospect rows and start processing it in the background
+ */
+export function createCampaign({
+  userId,
+  name,
+  rows,
+  messageTemplate,
+  templateId,
+  systemPrompt,
+  dataInclusion,
+  linkedinCookie,
+  concurrency,
+  maxRetries,
+  forceRefresh = false,
+  messageType,
+  llm
+}) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('Campaign needs at least one prospect row');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`Campaigns are limited to ${MAX_ROWS} rows`);
+  }
+
+  const defaultConcurrency = parseInt(process.env.CAMPAIGN_CONCURRENCY, 10) || 2;
+
+  const campaign = {
+    id: crypto.randomUUID(),
+    userId,
+    name: name || `Campaign ${new Date().toLocaleString()}`,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    concurrency: clamp(parseInt(concurrency, 10) || defaultConcurrency, 1, MAX_CONCURRENCY),
+    maxRetries: clamp(parseInt(maxRetries, 10) || 0, 0, 5),
+    messageTemplate,
+    templateRef: resolveTemplateVersion(userId, templateId, { template: messageTemplate, systemPrompt, dataInclusion }),
+    systemPrompt,
+    dataInclusion,
+    messageType,
+    linkedinCookie,
+    forceRefresh,
+    llm,
+    activeWorkers: 0,
+    cancelled: false,
+    rows: rows.map((row, index) => ({
+      id: index + 1,
+      profileUrl: row.profileUrl || '',
+      columns: row.columns || {},
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      profileData: null,
+      message: null,
+      subject: null,
+      overLimit: false,
+      warnings: [],
+      historyId: null,
+      startedAt: null,
+      finishedAt: null
+    }))
+  };
+
+  pruneFinishedCampaigns();
+  campaigns.set(campaign.id, campaign);
+  startWorkers(campaign);
+  return campaign;
+}
+
+// Campaigns are only visible to the user who started them
+export function getCampaign(userId, id) {
+  const campaign = campaigns.get(id);
+  return campaign?.userId === userId ? campaign : null;
+}
+
+export function listCampaigns(userId) {
+  pruneFinishedCampaigns();
+  return [...campaigns.values()]
+    .filter(campaign => campaign.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeCampaign);
+}
+
+/**
+ * Put failed (or the given) rows back in the queue and resume processing
+ */
+export function retryCampaignRows(userId, id, rowIds) {
+  const campaign = getCampaign(userId, id);
+  if (!campaign) return null;
+
+  const ids = Array.isArray(rowIds) && rowIds.length > 0 ? new Set(rowIds.map(Number)) : null;
+  for (const row of campaign.rows) {
+    const selected = ids ? ids.has(row.id) : row.status === 'failed';
+    if (selected && ['failed', 'cancelled', 'done'].includes(row.status)) {
+      row.status = 'queued';
+      row.attempts = 0;
+      row.error = null;
+      row.message = null;
+      row.subject = null;
+      row.warnings = [];
+    }
+  }
+
+  campaign.cancelled = false;
+  campaign.status = 'running';
+  campaign.finishedAt = null;
+  startWorkers(campaign);
+  return campaign;
+}
+
+/**
+ * Stop picking up new rows; rows already in flight finish normally
+ */
+export function cancelCampaign(userId, id) {
+  const campaign = getCampaign(userId, id);
+  if (!campaign) return null;
+
+  campaign.cancelled = true;
+  for (const row of campaign.rows) {
+    if (row.status === 'queued') row.status = 'cancelled';
+  }
+  updateCampaignStatus(campaign);
+  return campaign;
+}
+
+/**
+ * Public view of a campaign - never includes the LinkedIn cookie
+ */
+export function serializeCampaign(campaign) {
+  const { linkedinCookie, userId, activeWorkers, cancelled, ...rest } = campaign;
+  return { ...rest, counts: countRows(campaign) };
+}
+
+function summarizeCampaign(campaign) {
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    createdAt: campaign.createdAt,
+    status: campaign.status,
+    counts: countRows(campaign)
+  };
+}
+
+/**
+ * Export campaign rows (original columns plus results) as CSV
+ */
+export function campaignToCsv(campaign) {
+  const columnNames = [];
+  for (const row of campaign.rows) {
+    for (const key of Object.keys(row.columns)) {
+      if (!columnNames.includes(key)) columnNames.push(key);
+    }
+  }
+
+  const hasSubject = campaign.rows.some(row => row.subject);
+  const headers = [
+    'profileUrl', ...columnNames, 'status', 'attempts', 'profileName', 'profileTitle', 'profileCompany',
+    ...(hasSubject ? ['subject'] : []), 'message', 'warnings', 'error'
+  ];
+  const records = campaign.rows.map(row => ({
+    ...row.columns,
+    profileUrl: row.profileUrl,
+    status: row.status,
+    attempts: row.attempts,
+    profileName: row.profileData?.name || '',
+    profileTitle: row.profileData?.title || '',
+    profileCompany: row.profileData?.company || '',
+    subject: row.subject || '',
+    message: row.message || '',
+    warnings: (row.warnings || []).map(w => w.message).join('; '),
+    error: row.error || ''
+  }));
+
+  return toCsv(headers, records);
+}
+
+function countRows(campaign) {
+  const counts = { total: campaign.rows.length, queued: 0, scraping: 0, generating: 0, retrying: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const row of campaign.rows) counts[row.status]++;
+  return counts;
+}
+
+function startWorkers(campaign) {
+  const wanted = campaign.concurrency - campaign.activeWorkers;
+  for (let i = 0; i < wanted; i++) {
+    campaign.activeWorkers++;
+    runWorker(campaign).finally(() => {
+      campaign.activeWorkers--;
+      updateCampaignStatus(campaign);
+    });
+  }
+}
+
+async function runWorker(campaign) {
+  while (!campaign.cancelled) {
+    const row = campaign.rows.find(r => r.status === 'queued');
+    if (!row) return;
+    // Log lines of the row's scrape and generation carry its campaign and row ids
+    await withLogContext({ campaignId: campaign.id, rowId: row.id }, () => processRow(campaign, row));
+  }
+}
+
+async function processRow(campaign, row) {
+  row.startedAt = new Date().toISOString();
+  row.error = null;
+  // Failed attempts cost tokens too, so one meter covers all of them
+  const meter = createUsageMeter({
+    userId: campaign.userId,
+    source: 'campaign',
+    templateId: campaign.templateRef?.templateId,
+    templateName: campaign.templateRef?.templateName
+  });
+
+  while (true) {
+    row.attempts++;
+    try {
+      // Keep the scraped profile across retries so a generation failure doesn't re-scrape
+      if (!row.profileData) {
+        row.status = 'scraping';
+        row.profileData = await resolveProfile(campaign, row, meter);
+      }
+
+      row.status = 'generating';
+      const sender = getSenderProfile(campaign.userId);
+      const overlaps = findOverlaps(sender, row.profileData);
+      const { message, subject, overLimit, warnings, provider, model } = await generatePersonalizedMessage({
+        profileData: row.profileData,
+        messageTemplate: campaign.messageTemplate,
+        systemPrompt: buildRowSystemPrompt(campaign.systemPrompt, row.columns),
+        dataInclusion: campaign.dataInclusion,
+        messageType: campaign.messageType,
+        templateValues: row.columns,
+        sender,
+        overlaps,
+        llm: campaign.llm?.messaging,
+        meter
+      });
+      row.message = message;
+      row.subject = subject ?? null;
+      row.overLimit = overLimit;
+      row.warnings = warnings;
+      row.historyId = createHistoryEntry(campaign.userId, {
+        source: 'campaign',
+        campaignId: campaign.id,
+        profileUrl: row.profileUrl,
+        profileData: row.profileData,
+        template: campaign.messageTemplate,
+        ...campaign.templateRef,
+        systemPrompt: campaign.systemPrompt,
+        dataInclusion: campaign.dataInclusion,
+        messageType: campaign.messageType,
+        llm: { provider, model },
+        usage: meter.summary(),
+        variants: [{ id: 1, tone: null, ...(subject !== undefined && { subject }), message, overLimit }],
+        overlaps
+      }).id;
+
+      row.status = 'done';
+      break;
+    } catch (error) {
+      log.warn('Row failed', { attempt: row.attempts, error: error.message });
+      row.error = error.message;
+
+      // Retrying within seconds can't help once the LinkedIn account is out of page views
+      if (row.attempts > campaign.maxRetries || campaign.cancelled || error instanceof LinkedInRateLimitError) {
+        row.status = 'failed';
+        break;
+      }
+      row.status = 'retrying';
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * row.attempts));
+
+      // Cancelled while waiting - don't spend page views and tokens on another attempt
+      if (campaign.cancelled) {
+        row.status = 'cancelled';
+        break;
+      }
+    }
+  }
+
+  row.finishedAt = new Date().toISOString();
+}
+
+async function resolveProfile(campaign, row, meter) {
+  const columnProfile = {};
+  for (const key of PROFILE_COLUMNS) {
+    if (row.columns[key]) columnProfile[key] = row.columns[key];
+  }
+
+  if (!row.profileUrl) {
+    if (!columnProfile.name) {
+      throw new Error('Row has neither a LinkedIn URL nor a name column');
+    }
+    return columnProfile;
+  }
+
+  if (!campaign.linkedinCookie) {
+    throw new Error('LinkedIn cookie (li_at) is required for scraping');
+  }
+
+  const { profileData: scraped } = await getProfile(row.profileUrl, campaign.linkedinCookie, {
+    forceRefresh: campaign.forceRefresh,
+    includeCompany: !!campaign.dataInclusion?.companyDetails,
+    includeActivity: !!campaign.dataInclusion?.activity,
+    llm: campaign.llm?.scraping,
+    meter
+  });
+
+  // CSV columns only fill gaps the scraper left empty
+  const merged = { ...scraped };
+  for (const [key, value] of Object.entries(columnProfile)) {
+    if (!merged[key]) merged[key] = value;
+  }
+  return merged;
+}
+
+function buildRowSystemPrompt(systemPrompt, columns) {
+  const extras = Object.entries(columns)
+    .filter(([key, value]) => value && !PROFILE_COLUMNS.includes(key))
+    .map(([key, value]) => `- ${key}: ${value}`);
+
+  if (extras.length === 0) return systemPrompt;
+
+  const rowContext = `Additional details about this prospect:\n${extras.join('\n')}`;
+  return systemPrompt ? `${systemPrompt}\n\n${rowContext}` : rowContext;
+}
+
+function updateCampaignStatus(campaign) {
+  if (campaign.activeWorkers > 0) return;
+  const counts = countRows(campaign);
+  if (campaign.cancelled) {
+    campaign.status = 'cancelled';
+  } else if (counts.queued === 0) {
+    campaign.status = counts.failed > 0 ? 'completed_with_errors' : 'completed';
+  }
+  if (campaign.status !== 'running' && !campaign.finishedAt) {
+    campaign.finishedAt = new Date().toISOString();
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
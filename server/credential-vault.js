@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { createUserJsonStore } from './json-store.js';
+import { HttpError } from './http-error.js';
+import { getUser } from './user-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Vault');
+
+const MAX_NAME_LENGTH = 60;
+const KEY_CHECK_TEXT = 'reachout-credential-vault';
+
+// Each user's named LinkedIn accounts with their li_at cookies encrypted (AES-256-GCM) under
+// a key derived from CREDENTIAL_MASTER_KEY and the user's own salt. The raw cookie never
+// leaves this module except to the scraper; the API only sees ids, names and a short hint.
+const storeFor = createUserJsonStore('credentials.json', { salt: null, keyCheck: null, defaultAccountId: null, accounts: [] });
+
+// scrypt is slow on purpose - derived keys are kept per salt for the current master key
+const derivedKeys = new Map();
+let derivedFor = null;
+
+// Example values from .env.example and the docs - a vault under a published key protects nothing
+const PLACEHOLDER_KEYS = ['a_long_random_secret', 'paste_the_generated_key_here'];
+let warnedPlaceholder = false;
+
+// CREDENTIAL_MASTER_KEY, or null when it is unset or still a placeholder
+function masterKey() {
+  const key = process.env.CREDENTIAL_MASTER_KEY;
+  if (key && PLACEHOLDER_KEYS.includes(key.trim())) {
+    if (!warnedPlaceholder) {
+      log.warn('CREDENTIAL_MASTER_KEY is an example value - the credential vault stays disabled. Generate one with: openssl rand -base64 32');
+      warnedPlaceholder = true;
+    }
+    return null;
+  }
+  return key || null;
+}
+
+export function isVaultEnabled() {
+  return !!masterKey();
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, { iv, tag, data }, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * A user's vault key: scrypt of the master key with the vault's own salt. The first use
+ * creates the salt and a key check, later uses fail loudly if the master key changed.
+ */
+function getKey(userId) {
+  const secret = masterKey();
+  if (!secret) {
+    throw new HttpError(500, 'The credential vault is disabled. Set CREDENTIAL_MASTER_KEY on the server to store LinkedIn accounts.');
+  }
+  if (derivedFor !== secret) {
+    derivedKeys.clear();
+    derivedFor = secret;
+  }
+
+  const store = storeFor(userId);
+  const vault = store.read();
+  if (derivedKeys.has(vault.salt)) return derivedKeys.get(vault.salt);
+
+  if (!vault.salt) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+    store.update(v => {
+      v.salt = salt;
+      v.keyCheck = encrypt(key, KEY_CHECK_TEXT, 'key-check');
+    });
+    derivedKeys.set(salt, key);
+    return key;
+  }
+
+  const key = crypto.scryptSync(secret, Buffer.from(vault.salt, 'base64'), 32);
+  try {
+    if (decrypt(key, vault.keyCheck, 'key-check') !== KEY_CHECK_TEXT) throw new Error('mismatch');
+  } catch {
+    throw new HttpError(500, 'CREDENTIAL_MASTER_KEY does not match the key the stored LinkedIn accounts were encrypted with');
+  }
+  derivedKeys.set(vault.salt, key);
+  return key;
+}
+
+// "AQEDAR...x9Zk" -> "••••x9Zk" - enough to tell cookies apart
+function hint(cookie) {
+  return `••••${cookie.slice(-4)}`;
+}
+
+function validateName(userId, name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new HttpError(400, 'Account name is required');
+  if (trimmed.length > MAX_NAME_LENGTH) throw new HttpError(400, `Account name must be at most ${MAX_NAME_LENGTH} characters`);
+  const clash = storeFor(userId).read().accounts.find(a => a.name.toLowerCase() === trimmed.toLowerCase());
+  return { name: trimmed, clash };
+}
+
+function validateCookie(cookie) {
+  const trimmed = typeof cookie === 'string' ? cookie.trim() : '';
+  if (!trimmed) throw new HttpError(400, 'The li_at cookie is required');
+  if (/\s/.test(trimmed)) throw new HttpError(400, 'The li_at cookie cannot contain spaces - paste only its value');
+  return trimmed;
+}
+
+// What the API returns for an account - never the secret
+function serialize(userId, account) {
+  const { secret, ...rest } = account;
+  return { ...rest, isDefault: storeFor(userId).read().defaultAccountId === account.id };
+}
+
+function findAccount(userId, id) {
+  return storeFor(userId).read().accounts.find(a => a.id === id) || null;
+}
+
+export function listAccounts(userId) {
+  return storeFor(userId).read().accounts.map(account => serialize(userId, account));
+}
+
+/**
+ * Store a LinkedIn account. Names are unique, ignoring case (409 otherwise).
+ * The first account becomes the default.
+ */
+export function addAccount(userId, { name, cookie } = {}) {
+  const key = getKey(userId);
+  const { name: accountName, clash } = validateName(userId, name);
+  if (clash) throw new HttpError(409, 'An account with this name already exists');
+  const value = validateCookie(cookie);
+
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const account = { id, name: accountName, hint: hint(value), secret: encrypt(key, value, id), createdAt: now, updatedAt: now };
+  storeFor(userId).update(vault => {
+    vault.accounts.push(account);
+    if (!vault.defaultAccountId) vault.defaultAccountId = id;
+  });
+  return serialize(userId, account);
+}
+
+/**
+ * Rename an account, replace its cookie or make it the default. Returns null for an unknown id
+ */
+export function updateAccount(userId, id, { name, cookie, isDefault } = {}) {
+  const account = findAccount(userId, id);
+  if (!account) return null;
+
+  const changes = {};
+  if (name !== undefined) {
+    const { name: accountName, clash } = validateName(userId, name);
+    if (clash && clash.id !== id) throw new HttpError(409, 'An account with this name already exists');
+    changes.name = accountName;
+  }
+  if (cookie !== undefined) {
+    const value = validateCookie(cookie);
+    changes.hint = hint(value);
+    changes.secret = encrypt(getKey(userId), value, id);
+  }
+
+  storeFor(userId).update(vault => {
+    Object.assign(account, changes, { updatedAt: new Date().toISOString() });
+    if (isDefault) vault.defaultAccountId = id;
+  });
+  return serialize(userId, account);
+}
+
+/**
+ * Remove an account. The oldest remaining account becomes the default if it was the default
+ */
+export function deleteAccount(userId, id) {
+  if (!findAccount(userId, id)) return false;
+  storeFor(userId).update(vault => {
+    vault.accounts = vault.accounts.filter(a => a.id !== id);
+    if (vault.defaultAccountId === id) vault.defaultAccountId = vault.accounts[0]?.id || null;
+  });
+  return true;
+}
+
+/**
+ * Whether the user may scrape with the server's LINKEDIN_COOKIE: admins always,
+ * everyone else only when LINKEDIN_COOKIE_SHARED=true
+ */
+export function canUseEnvCookie(userId) {
+  if (!process.env.LINKEDIN_COOKIE) return false;
+  return process.env.LINKEDIN_COOKIE_SHARED === 'true' || getUser(userId)?.role === 'admin';
+}
+
+/**
+ * Pick the li_at cookie for a user's request: their named account (linkedinAccountId), a
+ * cookie sent in the request (older API clients, only with ALLOW_REQUEST_LINKEDIN_COOKIE=true),
+ * their default account, then LINKEDIN_COOKIE (see canUseEnvCookie).
+ * Returns { cookie, source: 'account' | 'request' | 'env' | null, accountId }
+ */
+export function resolveLinkedinCookie(userId, { linkedinAccountId, linkedinCookie } = {}) {
+  if (linkedinAccountId) {
+    const account = findAccount(userId, linkedinAccountId);
+    if (!account) throw new HttpError(400, 'Unknown LinkedIn account. Pick another one in Settings.');
+    return { cookie: decrypt(getKey(userId), account.secret, account.id), source: 'account', accountId: account.id };
+  }
+  if (linkedinCookie) {
+    if (process.env.ALLOW_REQUEST_LINKEDIN_COOKIE !== 'true') {
+      throw new HttpError(400, 'Sending linkedinCookie with requests is no longer supported. Add the account in Settings and send its linkedinAccountId.');
+    }
+    log.warn('linkedinCookie in the request body is deprecated - store the account and send linkedinAccountId instead');
+    return { cookie: linkedinCookie, source: 'request', accountId: null };
+  }
+  const fallback = isVaultEnabled() ? findAccount(userId, storeFor(userId).read().defaultAccountId) : null;
+  if (fallback) {
+    return { cookie: decrypt(getKey(userId), fallback.secret, fallback.id), source: 'account', accountId: fallback.id };
+  }
+  if (canUseEnvCookie(userId)) {
+    return { cookie: process.env.LINKEDIN_COOKIE, source: 'env', accountId: null };
+  }
+  return { cookie: null, source: null, accountId: null };
+}
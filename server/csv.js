@@ -0,0 +1,112 @@
+/**
+ * Minimal RFC 4180 CSV helpers for campaign import/export
+ */
+
+// Header names we accept for the profile URL column (compared lowercased, without spaces/underscores)
+const URL_HEADERS = ['profileurl', 'url', 'linkedin', 'linkedinurl', 'profile', 'linkedinprofile'];
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell strings)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Turn pasted CSV (or a plain list of URLs, one per line) into prospect rows:
+ * { profileUrl, columns } where columns holds every named cell of that line
+ */
+export function parseProspectList(text) {
+  const rows = parseCsv(text || '');
+  if (rows.length === 0) return [];
+
+  const firstRow = rows[0].map(c => c.trim());
+  const hasHeader = !firstRow.some(c => c.includes('linkedin.com/'));
+
+  let headers;
+  let dataRows;
+  if (hasHeader) {
+    headers = firstRow.map(h => h || 'column');
+    dataRows = rows.slice(1);
+  } else {
+    headers = firstRow.map((_, i) => `column${i + 1}`);
+    dataRows = rows;
+  }
+
+  // Prefer a recognised header, otherwise whichever cell of each row holds a LinkedIn URL
+  const headerUrlIndex = headers.findIndex(h => URL_HEADERS.includes(h.toLowerCase().replace(/[\s_-]/g, '')));
+
+  return dataRows.map(cells => {
+    const urlIndex = headerUrlIndex !== -1
+      ? headerUrlIndex
+      : cells.findIndex(c => c.includes('linkedin.com/'));
+
+    const columns = {};
+    headers.forEach((header, i) => {
+      if (i !== urlIndex) columns[header] = (cells[i] || '').trim();
+    });
+    return {
+      profileUrl: urlIndex === -1 ? '' : (cells[urlIndex] || '').trim(),
+      columns
+    };
+  });
+}
+
+// Spreadsheets run cells starting with these as formulas - the export holds scraped text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  let str = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize a header list and an array of row objects to CSV text
+ */
+export function toCsv(headers, rows) {
+  const lines = [headers.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(h => escapeCell(row[h])).join(','));
+  }
+  return lines.join('\r\n');
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { createUserJsonStore } from './json-store.js';
+
+export const HISTORY_STATUSES = ['draft', 'sent', 'replied', 'no_reply', 'follow_up_due'];
+
+// Statuses that mean the message went out
+const SENT_STATUSES = ['sent', 'replied', 'no_reply', 'follow_up_due'];
+
+const MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 5000;
+
+// Each user's outreach log - newest entry first
+const storeFor = createUserJsonStore('history.json', []);
+
+// Fields the client may change after an entry was created
+const EDITABLE_FIELDS = ['status', 'finalMessage', 'finalSubject', 'favoriteVariantId', 'variants', 'notes', 'followUpAt'];
+
+/**
+ * Pick the message that represents an entry: the edited final message, else the favourite or first draft
+ */
+function currentMessage(entry) {
+  if (entry.finalMessage) return entry.finalMessage;
+  const favorite = entry.variants?.find(v => v.id === entry.favoriteVariantId);
+  return (favorite || entry.variants?.[0])?.message || '';
+}
+
+function summarize(entry) {
+  const { profileData, variants, ...rest } = entry;
+  return {
+    ...rest,
+    draftCount: variants?.length || 0,
+    message: currentMessage(entry)
+  };
+}
+
+function validate(changes) {
+  if (changes.status !== undefined && !HISTORY_STATUSES.includes(changes.status)) {
+    throw new Error(`Unknown status "${changes.status}". Use one of: ${HISTORY_STATUSES.join(', ')}`);
+  }
+  if (changes.variants !== undefined && !Array.isArray(changes.variants)) {
+    throw new Error('variants must be an array');
+  }
+}
+
+function buildEntry(data, createdAt = new Date().toISOString()) {
+  const profileData = data.profileData || {};
+  return {
+    id: data.id || crypto.randomUUID(),
+    createdAt,
+    updatedAt: createdAt,
+    source: data.source || 'single',
+    campaignId: data.campaignId || null,
+    profileUrl: data.profileUrl || profileData.profileUrl || '',
+    profileName: data.profileName || profileData.name || '',
+    profileHeadline: data.profileHeadline || profileData.headline || profileData.company || '',
+    profileData,
+    template: data.template || '',
+    templateId: data.templateId || null,
+    templateName: data.templateName || '',
+    templateVersion: data.templateVersion ?? null,
+    sequenceId: data.sequenceId || null,
+    enrollmentId: data.enrollmentId || null,
+    sequenceStep: data.sequenceStep ?? null,
+    // Reply drafts: the conversation answered, what the reply aims for and the entry replied to
+    thread: data.thread || [],
+    goal: data.goal || null,
+    goalNote: data.goalNote || '',
+    replyTo: data.replyTo || null,
+    systemPrompt: data.systemPrompt || '',
+    dataInclusion: data.dataInclusion || null,
+    messageType: data.messageType || 'direct_message',
+    llm: data.llm || null,
+    // Tokens and cost of the model calls that produced the entry (see usage-store.js)
+    usage: data.usage || null,
+    variants: data.variants || [],
+    overlaps: data.overlaps || [],
+    favoriteVariantId: data.favoriteVariantId ?? null,
+    finalMessage: data.finalMessage || '',
+    finalSubject: data.finalSubject || '',
+    status: HISTORY_STATUSES.includes(data.status) ? data.status : 'draft',
+    statusChangedAt: createdAt,
+    followUpAt: data.followUpAt || null,
+    notes: data.notes || ''
+  };
+}
+
+/**
+ * Record a generation in the outreach log
+ */
+export function createHistoryEntry(userId, data) {
+  const entry = buildEntry(data);
+  storeFor(userId).update(entries => [entry, ...entries].slice(0, MAX_ENTRIES));
+  return entry;
+}
+
+/**
+ * Import entries kept by older clients in localStorage. Entries whose id is
+ * already known are skipped, so importing twice is harmless.
+ */
+export function importHistoryEntries(userId, items) {
+  if (!Array.isArray(items)) {
+    throw new Error('entries must be an array');
+  }
+
+  const store = storeFor(userId);
+  const known = new Set(store.read().map(e => String(e.id)));
+  const imported = items
+    .filter(item => item && !known.has(String(item.id)))
+    .map(item => buildEntry({ ...item, id: String(item.id) }, item.createdAt || new Date().toISOString()));
+
+  if (imported.length > 0) {
+    store.update(entries => [...entries, ...imported]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, MAX_ENTRIES));
+  }
+  return imported.length;
+}
+
+/**
+ * Search the log. q matches name, headline, URL, template and messages;
+ * status filters on one status. Returns summaries without the profile snapshot.
+ */
+export function listHistory(userId, { q = '', status = '', limit = 50, offset = 0 } = {}) {
+  const store = storeFor(userId);
+  const query = q.trim().toLowerCase();
+
+  const matches = store.read().filter(entry => {
+    if (status && entry.status !== status) return false;
+    if (!query) return true;
+    const haystack = [
+      entry.profileName,
+      entry.profileHeadline,
+      entry.profileUrl,
+      entry.template,
+      entry.finalMessage,
+      entry.notes,
+      ...(entry.variants || []).map(v => v.message),
+      ...(entry.thread || []).map(m => m.message)
+    ].join('\n').toLowerCase();
+    return haystack.includes(query);
+  });
+
+  const counts = Object.fromEntries(HISTORY_STATUSES.map(s => [s, 0]));
+  for (const entry of store.read()) counts[entry.status] = (counts[entry.status] || 0) + 1;
+
+  return {
+    total: matches.length,
+    counts,
+    entries: matches.slice(offset, offset + limit).map(summarize)
+  };
+}
+
+export function getHistoryEntry(userId, id) {
+  return storeFor(userId).read().find(e => e.id === id) || null;
+}
+
+/**
+ * Apply an edit (status, final message/subject, favourite, drafts, notes, follow-up date)
+ */
+export function updateHistoryEntry(userId, id, changes) {
+  validate(changes);
+
+  const entry = getHistoryEntry(userId, id);
+  if (!entry) return null;
+
+  const now = new Date().toISOString();
+  storeFor(userId).update(() => {
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) entry[field] = changes[field];
+    }
+    if (changes.status !== undefined) entry.statusChangedAt = now;
+    entry.updatedAt = now;
+  });
+  return entry;
+}
+
+export function deleteHistoryEntry(userId, id) {
+  if (!getHistoryEntry(userId, id)) return false;
+  storeFor(userId).update(entries => entries.filter(e => e.id !== id));
+  return true;
+}
+
+/**
+ * Outcome counts for one library template, keyed by template version
+ * (null for messages written from unsaved edits): { generated, sent, replied }
+ */
+export function templateVersionStats(userId, templateId) {
+  const stats = new Map();
+  for (const entry of storeFor(userId).read()) {
+    if (entry.templateId !== templateId) continue;
+    const version = entry.templateVersion ?? null;
+    const counts = stats.get(version) || { generated: 0, sent: 0, replied: 0 };
+    counts.generated++;
+    if (SENT_STATUSES.includes(entry.status)) counts.sent++;
+    if (entry.status === 'replied') counts.replied++;
+    stats.set(version, counts);
+  }
+  return stats;
+}
@@ -0,0 +1,12 @@
+/**
+ * Error carrying an HTTP status plus extra fields for the JSON error body
+ * (e.g. requireCookie / requireManualInput flags the UI reacts to)
+ */
+export class HttpError extends Error {
+  constructor(status, message, fields = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
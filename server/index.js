@@ -1,167 +1,303 @@
 import dotenv from 'dotenv';
 dotenv.config(); // Load .env BEFORE other imports that need env vars
 
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { scrapeLinkedInProfile } from './linkedin-scraper.js';
-
+import {
+  getProfile,
+  getCompany,
+  listCachedProfiles,
+  getCachedProfileBySlug,
+  deleteCachedProfile,
+  clearProfileCache
+} from './profile-cache.js';
+import {
+  normalizeDataInclusion,
+  DEFAULT_MESSAGE_TYPE,
+  MESSAGE_TYPES,
+  TONE_PRESETS,
+  REPLY_GOALS
+} from './message-generator.js';
+import { generateMessageForRequest } from './message-service.js';
+import { HttpError } from './http-error.js';
+import { parseProspectList } from './csv.js';
+import {
+  HISTORY_STATUSES,
+  listHistory,
+  getHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  importHistoryEntries
+} from './history-store.js';
+import { getPoolStats, shutdownBrowserPool } from './browser-pool.js';
+import { getLlmConfigError, listLlmProviders } from './llm/index.js';
+import { checkLinkedInSession, LinkedInSessionError } from './linkedin-session.js';
+import { LinkedInRateLimitError, getLinkedInQuota, getThrottleConfig } from './linkedin-throttle.js';
+import {
+  createUsageMeter,
+  getBudgetStatus,
+  getPricing,
+  getUsageReport,
+  setMonthlyBudget
+} from './usage-store.js';
+import {
+  isVaultEnabled,
+  listAccounts,
+  addAccount,
+  updateAccount,
+  deleteAccount,
+  resolveLinkedinCookie,
+  canUseEnvCookie
+} from './credential-vault.js';
+import { normalizeCompanyUrl, PROFILE_PAGE_VIEWS } from './page-capture.js';
+import {
+  getSenderProfile,
+  saveSenderProfile,
+  importSenderProfile,
+  clearSenderProfile
+} from './sender-profile.js';
+import {
+  TEMPLATE_EXPORT_VERSION,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  importTemplates,
+  exportTemplates,
+  getTemplateVersions
+} from './template-store.js';
+import {
+  listSequences,
+  createSequence,
+  updateSequence,
+  deleteSequence,
+  enrollProspects,
+  listEnrollments,
+  getEnrollment,
+  markStepSent,
+  updateEnrollment,
+  deleteEnrollment
+} from './sequence-store.js';
+import { generateSequenceStep } from './sequence-service.js';
+import {
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  retryCampaignRows,
+  cancelCampaign,
+  serializeCampaign,
+  campaignToCsv
+} from './campaign-runner.js';
+import {
+  hasUsers,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  authenticate,
+  changePassword,
+  createSession,
+  deleteSession,
+  claimLegacyData
+} from './user-store.js';
+import {
+  requireAuth,
+  requireAdmin,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie
+} from './auth.js';
+import { createLogger, withLogContext } from './logger.js';
+
+const log = createLogger('API');
 const app = express();
 const PORT = process.env.PORT || 3001;
-const GEMINI_MODEL = process.env.GEMINI_MODEL_MESSAGING || 'gemini-3-pro-preview';
-
-app.use(cors());
-app.use(express.json());
 
-// Initialize Google AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+// Only origins listed in CORS_ORIGINS may call the API from another site; the app
+// itself is served from the same origin (or through the Vite proxy in development)
+app.use(cors({
+  origin: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  credentials: true
+}));
+// History imports and pasted CSVs can be larger than the 100kb default
+app.use(express.json({ limit: '5mb' }));
+
+// Every request gets an id - a proxy's X-Request-Id if it looks sane - returned in the
+// X-Request-Id header and added to the log lines written while it is handled
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    // The path only: query strings can carry search terms
+    const path = req.originalUrl.split('?')[0];
+    log[path === '/api/health' ? 'debug' : 'info']('Request finished', {
+      requestId: req.id,
+      userId: req.user?.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  withLogContext({ requestId: req.id }, next);
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    browserPool: getPoolStats()
+  });
 });
 
-// Generate personalized message endpoint
-app.post('/api/generate-message', async (req, res) => {
+// Auth endpoints - the only /api routes besides the health check that work without a session
+function sendAuthError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.fields });
+  }
+  log.error('Auth error', { error });
+  res.status(500).json({ error: 'Request failed', details: error.message });
+}
+
+// Create the first account, as admin. It takes over the data of a single-user install.
+app.post('/api/auth/setup', async (req, res) => {
+  if (hasUsers()) {
+    return res.status(409).json({ error: 'Setup is already done - sign in instead' });
+  }
   try {
-    const { 
-      profileUrl, 
-      messageTemplate, 
-      systemPrompt, 
-      dataInclusion = { about: true, experience: true, skills: true, education: true },
-      manualProfileData, 
-      linkedinCookie 
-    } = req.body;
+    const user = await createUser({ ...req.body, role: 'admin' }, { onlyIfFirst: true });
+    const claimed = claimLegacyData(user.id);
+    const session = createSession(user.id);
+    setSessionCookie(req, res, session);
+    res.status(201).json({ success: true, user, claimed, ...session });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
 
-    if (!profileUrl && !manualProfileData) {
-      return res.status(400).json({ 
-        error: 'Please provide a LinkedIn profile URL or manual profile data' 
-      });
+// Body: { username, password }. Sets the session cookie and also returns the token for API clients
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const user = await authenticate(req.body?.username, req.body?.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password', authRequired: true });
     }
+    const session = createSession(user.id);
+    setSessionCookie(req, res, session);
+    res.json({ success: true, user, ...session });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
 
-    if (!messageTemplate) {
-      return res.status(400).json({ error: 'Message template is required' });
+app.post('/api/auth/logout', (req, res) => {
+  const token = readSessionToken(req);
+  if (token) deleteSession(token);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Everything below needs a signed-in user; data is read and written for req.user only
+app.use('/api', requireAuth);
+app.use('/api', (req, res, next) => withLogContext({ userId: req.user.id }, next));
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// Body: { currentPassword, newPassword }. Other sessions of the user end; this one continues.
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    await changePassword(req.user.id, req.body?.currentPassword, req.body?.newPassword);
+    const session = createSession(req.user.id);
+    setSessionCookie(req, res, session);
+    // The old sessions are gone - API clients need the new token too
+    res.json({ success: true, ...session });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// User management (admins only)
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ success: true, users: listUsers() });
+});
+
+// Body: { username, password, role? }
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json({ success: true, user: await createUser(req.body || {}) });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Body: { role?, password?, disabled? }
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  if (req.params.id === req.user.id && (req.body?.disabled || (req.body?.role && req.body.role !== 'admin'))) {
+    return res.status(400).json({ error: 'You can\'t disable your own account or remove your own admin role' });
+  }
+  try {
+    const user = await updateUser(req.params.id, req.body || {});
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
+    res.json({ success: true, user });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
 
-    if (!process.env.GOOGLE_AI_API_KEY) {
-      return res.status(500).json({ 
-        error: 'Google AI API key not configured. Please add GOOGLE_AI_API_KEY to your .env file' 
-      });
+// Also deletes the user's templates, history, sequences and LinkedIn accounts
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You can\'t delete your own account' });
+  }
+  try {
+    if (!deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
     }
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
 
-    // Get LinkedIn cookie from request body or environment variable
-    const liAtCookie = linkedinCookie || process.env.LINKEDIN_COOKIE;
+// Available LLM providers and the default provider/model per purpose
+app.get('/api/llm/providers', (req, res) => {
+  res.json({ success: true, ...listLlmProviders() });
+});
 
-    // Get profile data - either from scraping or manual input
-    let profileData;
-    
-    if (manualProfileData && Object.keys(manualProfileData).length > 0) {
-      profileData = manualProfileData;
-    } else {
-      // Check if we have a LinkedIn cookie for scraping
-      if (!liAtCookie) {
-        return res.status(400).json({
-          error: 'LinkedIn cookie (li_at) is required for scraping. Please provide it in settings or enter profile details manually.',
-          requireManualInput: true,
-          requireCookie: true
-        });
-      }
-      
-      // Try to scrape LinkedIn profile with Puppeteer
-      try {
-        profileData = await scrapeLinkedInProfile(profileUrl, liAtCookie);
-      } catch (scrapeError) {
-        console.error('Scraping error:', scrapeError.message);
-        return res.status(400).json({
-          error: `Could not fetch LinkedIn profile: ${scrapeError.message}`,
-          requireManualInput: true
-        });
-      }
-    }
-
-    // Store full profile data before filtering
-    const fullProfileData = { ...profileData };
-
-    // Build profile info string based on data inclusion settings
-    const profileInfoParts = [
-      `- Name: ${profileData.name || 'Unknown'}`,
-      `- Current Title: ${profileData.title || 'Not provided'}`,
-      `- Headline: ${profileData.headline || 'Not provided'}`,
-      `- Company: ${profileData.company || 'Not provided'}`,
-      `- Location: ${profileData.location || 'Not provided'}`
-    ];
-
-    if (dataInclusion.about) {
-      profileInfoParts.push(`- About/Summary: ${profileData.about || 'Not provided'}`);
-    }
-    if (dataInclusion.experience) {
-      profileInfoParts.push(`- Experience: ${profileData.experience || 'Not provided'}`);
-    }
-    if (dataInclusion.skills) {
-      profileInfoParts.push(`- Skills: ${profileData.skills || 'Not provided'}`);
-    }
-    if (dataInclusion.education) {
-      profileInfoParts.push(`- Education: ${profileData.education || 'Not provided'}`);
-    }
-
-    const profileInfoString = profileInfoParts.join('\n');
-
-    // Build the system context
-    const baseSystemPrompt = `You are an expert at writing personalized LinkedIn outreach messages. 
-Your task is to take a message template and personalize it for a specific person based on their LinkedIn profile information.`;
-
-    const customContext = systemPrompt ? `\n\n**Additional Context & Instructions from User:**\n${systemPrompt}` : '';
-
-    // Generate personalized message using Google AI
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-
-    const prompt = `${baseSystemPrompt}${customContext}
-
-**Profile Information:**
-${profileInfoString}
-
-**Original Message Template:**
-${messageTemplate}
-
-**Instructions:**
-1. Personalize the message template using the profile information
-2. Replace any placeholders like {name}, {company}, {title}, etc. with actual values
-3. Add specific, relevant references to their background, experience, or skills where appropriate
-4. Keep the tone professional yet warm and authentic
-5. Make sure the message feels genuine and not generic
-6. Keep the message concise and impactful
-7. Do NOT make up information that wasn't provided
-8. If some information is missing, gracefully work around it
-
-**Output only the personalized message, nothing else.**`;
-
-    const result = await model.generateContent(prompt);
-    const personalizedMessage = result.response.text();
-
-    // Log the full profile data for debugging
-    console.log('[API] Full profile data being returned:', JSON.stringify(fullProfileData, null, 2));
-
-    res.json({
-      success: true,
-      originalTemplate: messageTemplate,
-      profileData: {
-        name: profileData.name,
-        title: profileData.title,
-        headline: profileData.headline,
-        company: profileData.company,
-        location: profileData.location,
-        about: profileData.about,
-        experience: profileData.experience,
-        skills: profileData.skills,
-        education: profileData.education,
-        profileUrl: profileData.profileUrl
-      },
-      fullProfileData: fullProfileData,
-      personalizedMessage: personalizedMessage.trim()
-    });
+// Tone presets that message variants can be written in
+app.get('/api/tones', (req, res) => {
+  res.json({ success: true, tones: TONE_PRESETS });
+});
+
+// Message types with their LinkedIn character limits
+app.get('/api/message-types', (req, res) => {
+  res.json({ success: true, messageTypes: MESSAGE_TYPES, defaultMessageType: DEFAULT_MESSAGE_TYPE });
+});
 
+// Goals a drafted reply can work towards
+app.get('/api/reply-goals', (req, res) => {
+  res.json({ success: true, goals: REPLY_GOALS });
+});
+
+// Generate personalized message endpoint (mode: 'reply' drafts an answer to a prospect's reply)
+app.post('/api/generate-message', async (req, res) => {
+  try {
+    res.json(await generateMessageForRequest(req.user.id, req.body));
   } catch (error) {
-    console.error('Error generating message:', error);
+    if (error instanceof HttpError) {
+      if (error.fields.retryAfter) res.set('Retry-After', String(error.fields.retryAfter));
+      return res.status(error.status).json({ error: error.message, ...error.fields });
+    }
+    log.error('Error generating message', { error });
     res.status(500).json({ 
       error: 'Failed to generate message. Please try again.',
       details: error.message 
@@ -169,40 +305,689 @@ ${messageTemplate}
   }
 });
 
+// Streaming variant: Server-Sent Events over the POST response.
+// Emits `progress` ({ stage }), `profile`, `token` ({ variantId, text }) and finally `done` or `error`.
+// Closing the connection cancels the scrape/generation.
+app.post('/api/generate-message/stream', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await generateMessageForRequest(req.user.id, req.body, {
+      signal: controller.signal,
+      onProgress: (stage, details) => {
+        if (stage === 'profile') send('profile', details);
+        else send('progress', { stage });
+      },
+      onToken: (variantId, text) => send('token', { variantId, text })
+    });
+    send('done', result);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      log.info('Streaming generation cancelled by client');
+      return;
+    }
+    if (error instanceof HttpError) {
+      send('error', { status: error.status, error: error.message, ...error.fields });
+    } else {
+      log.error('Error generating message', { error });
+      send('error', { status: 500, error: 'Failed to generate message. Please try again.', details: error.message });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+// A scrape refused because the LinkedIn account used up its page views: 429 with Retry-After
+function sendRateLimited(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({ error: error.message, rateLimited: true, retryAfter: error.retryAfter, window: error.window });
+}
+
+// The li_at cookie for a request: the stored account named by linkedinAccountId, a cookie
+// sent by older clients, the default account or LINKEDIN_COOKIE. Sends the error response
+// and returns null when there is none.
+function linkedinCookieFor(req, res) {
+  try {
+    const { cookie } = resolveLinkedinCookie(req.user.id, req.body || {});
+    if (cookie) return cookie;
+    res.status(400).json({
+      error: 'A LinkedIn account (li_at cookie) is required for scraping. Please add one in settings.',
+      requireCookie: true
+    });
+  } catch (error) {
+    res.status(error instanceof HttpError ? error.status : 500).json({ error: error.message });
+  }
+  return null;
+}
+
 // Extract profile info endpoint (for preview)
 app.post('/api/extract-profile', async (req, res) => {
   try {
-    const { profileUrl, linkedinCookie } = req.body;
+    const { profileUrl, forceRefresh = false, llm = {} } = req.body;
 
     if (!profileUrl) {
       return res.status(400).json({ error: 'LinkedIn profile URL is required' });
     }
 
-    // Get LinkedIn cookie from request body or environment variable
-    const liAtCookie = linkedinCookie || process.env.LINKEDIN_COOKIE;
+    const liAtCookie = linkedinCookieFor(req, res);
+    if (!liAtCookie) return;
 
-    if (!liAtCookie) {
-      return res.status(400).json({ 
-        error: 'LinkedIn cookie (li_at) is required for scraping. Please provide it in settings.',
-        requireCookie: true
-      });
+    const { profileData, fromCache, scrapedAt } = await getProfile(profileUrl, liAtCookie, {
+      forceRefresh,
+      llm: llm.scraping,
+      meter: createUsageMeter({ userId: req.user.id, source: 'extract' })
+    });
+    res.json({ success: true, profileData, profileCache: { hit: fromCache, scrapedAt } });
+
+  } catch (error) {
+    if (error instanceof LinkedInRateLimitError) return sendRateLimited(res, error);
+    log.error('Error extracting profile', { error });
+    res.status(400).json({ 
+      error: `Could not fetch LinkedIn profile: ${error.message}`,
+      requireManualInput: true,
+      ...(error instanceof LinkedInSessionError && { sessionExpired: true })
+    });
+  }
+});
+
+// Company page details (description, size, industry, HQ, recent posts)
+app.post('/api/extract-company', async (req, res) => {
+  try {
+    const { companyUrl, forceRefresh = false } = req.body;
+
+    if (!companyUrl || !normalizeCompanyUrl(companyUrl)) {
+      return res.status(400).json({ error: 'A LinkedIn company URL (linkedin.com/company/...) is required' });
     }
 
-    const profileData = await scrapeLinkedInProfile(profileUrl, liAtCookie);
-    res.json({ success: true, profileData });
+    const liAtCookie = linkedinCookieFor(req, res);
+    if (!liAtCookie) return;
+
+    const companyDetails = await getCompany(normalizeCompanyUrl(companyUrl), liAtCookie, { forceRefresh });
+    res.json({ success: true, companyDetails });
 
   } catch (error) {
-    console.error('Error extracting profile:', error);
+    if (error instanceof LinkedInRateLimitError) return sendRateLimited(res, error);
+    log.error('Error extracting company', { error });
     res.status(400).json({ 
-      error: `Could not fetch LinkedIn profile: ${error.message}`,
-      requireManualInput: true
+      error: `Could not fetch LinkedIn company: ${error.message}`,
+      ...(error instanceof LinkedInSessionError && { sessionExpired: true })
+    });
+  }
+});
+
+// Validate the li_at cookie by opening the feed; reports the logged-in account
+app.post('/api/linkedin/session', async (req, res) => {
+  const { force = false } = req.body || {};
+  let credentials;
+  try {
+    credentials = resolveLinkedinCookie(req.user.id, req.body || {});
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  if (!credentials.cookie) {
+    return res.status(400).json({
+      error: 'No LinkedIn account configured. Add one in Settings or set LINKEDIN_COOKIE.',
+      requireCookie: true
+    });
+  }
+
+  try {
+    const session = await checkLinkedInSession(credentials.cookie, { force });
+    res.json({ success: true, source: credentials.source, accountId: credentials.accountId, session });
+  } catch (error) {
+    if (error instanceof LinkedInRateLimitError) return sendRateLimited(res, error);
+    log.error('Error checking LinkedIn session', { error });
+    res.status(500).json({ error: `Could not check the LinkedIn session: ${error.message}` });
+  }
+});
+
+// Stored LinkedIn accounts. Cookies are write-only: responses carry the id, name and a hint
+function sendAccountError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.fields });
+  }
+  log.error('Error saving LinkedIn account', { error });
+  res.status(500).json({ error: 'Failed to save the LinkedIn account' });
+}
+
+// Page views left for a stored account, or null when its cookie can't be decrypted
+function accountQuota(userId, accountId) {
+  try {
+    return getLinkedInQuota(resolveLinkedinCookie(userId, { linkedinAccountId: accountId }).cookie);
+  } catch {
+    return null;
+  }
+}
+
+// The accounts with their rate limit usage; limits are the configured caps and pacing
+app.get('/api/linkedin/accounts', (req, res) => {
+  const enabled = isVaultEnabled();
+  res.json({
+    success: true,
+    enabled,
+    envCookie: canUseEnvCookie(req.user.id),
+    envQuota: canUseEnvCookie(req.user.id) ? getLinkedInQuota(process.env.LINKEDIN_COOKIE) : null,
+    limits: { ...getThrottleConfig(), pagesPerProfile: PROFILE_PAGE_VIEWS },
+    accounts: listAccounts(req.user.id).map(account => ({
+      ...account,
+      quota: enabled ? accountQuota(req.user.id, account.id) : null
+    }))
+  });
+});
+
+// Body: { name, cookie }
+app.post('/api/linkedin/accounts', (req, res) => {
+  try {
+    res.status(201).json({ success: true, account: addAccount(req.user.id, req.body || {}) });
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+// Body: { name?, cookie?, isDefault? }
+app.put('/api/linkedin/accounts/:id', (req, res) => {
+  try {
+    const account = updateAccount(req.user.id, req.params.id, req.body || {});
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ success: true, account });
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+app.delete('/api/linkedin/accounts/:id', (req, res) => {
+  if (!deleteAccount(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+  res.json({ success: true });
+});
+
+// Profile cache endpoints. The cache is shared by all users, so only admins can see or clear it
+app.get('/api/profiles', requireAdmin, (req, res) => {
+  res.json({ success: true, profiles: listCachedProfiles() });
+});
+
+app.get('/api/profiles/:slug', requireAdmin, (req, res) => {
+  const profile = getCachedProfileBySlug(req.params.slug);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found in cache' });
+  }
+  res.json({ success: true, profile });
+});
+
+app.delete('/api/profiles/:slug', requireAdmin, (req, res) => {
+  if (!deleteCachedProfile(req.params.slug)) {
+    return res.status(404).json({ error: 'Profile not found in cache' });
+  }
+  res.json({ success: true });
+});
+
+app.delete('/api/profiles', requireAdmin, (req, res) => {
+  const deleted = clearProfileCache();
+  res.json({ success: true, deleted });
+});
+
+// The user's own profile ("My profile"), used to write as them and find shared background
+app.get('/api/sender-profile', (req, res) => {
+  res.json({ success: true, senderProfile: getSenderProfile(req.user.id) });
+});
+
+app.put('/api/sender-profile', (req, res) => {
+  try {
+    const { senderProfile, warnings } = saveSenderProfile(req.user.id, req.body || {});
+    res.json({ success: true, senderProfile, warnings });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Fill "My profile" by scraping the user's own LinkedIn URL
+app.post('/api/sender-profile/import', async (req, res) => {
+  const { profileUrl, llm = {} } = req.body || {};
+
+  if (!profileUrl) {
+    return res.status(400).json({ error: 'Your LinkedIn profile URL is required' });
+  }
+  const liAtCookie = linkedinCookieFor(req, res);
+  if (!liAtCookie) return;
+
+  try {
+    const { senderProfile, warnings } = await importSenderProfile(req.user.id, profileUrl, liAtCookie, { llm: llm.scraping });
+    res.json({ success: true, senderProfile, warnings });
+  } catch (error) {
+    if (error instanceof LinkedInRateLimitError) return sendRateLimited(res, error);
+    log.error('Error importing sender profile', { error });
+    res.status(400).json({
+      error: `Could not fetch your LinkedIn profile: ${error.message}`,
+      ...(error instanceof LinkedInSessionError && { sessionExpired: true })
+    });
+  }
+});
+
+app.delete('/api/sender-profile', (req, res) => {
+  res.json({ success: true, deleted: clearSenderProfile(req.user.id) });
+});
+
+// Template library endpoints
+function sendTemplateError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.fields });
+  }
+  log.error('Template library error', { error });
+  res.status(500).json({ error: 'Failed to save the template library' });
+}
+
+app.get('/api/templates', (req, res) => {
+  res.json({ success: true, templates: listTemplates(req.user.id) });
+});
+
+app.post('/api/templates', (req, res) => {
+  try {
+    res.status(201).json({ success: true, template: createTemplate(req.user.id, req.body || {}) });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// Body: an export file ({ version, templates }) or { templates } from an older client's localStorage
+app.post('/api/templates/import', (req, res) => {
+  const { version, templates, overwrite = false } = req.body || {};
+  if (version > TEMPLATE_EXPORT_VERSION) {
+    return res.status(400).json({ error: `Template file version ${version} is newer than this server supports` });
+  }
+  try {
+    const result = importTemplates(req.user.id, templates, { overwrite: overwrite === true });
+    res.json({ success: true, ...result, templates: listTemplates(req.user.id) });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.get('/api/templates/export', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="reachout-templates.json"');
+  res.type('json').send(JSON.stringify(exportTemplates(req.user.id), null, 2) + '\n');
+});
+
+// Version history with reply-rate stats per version
+app.get('/api/templates/:id/versions', (req, res) => {
+  const result = getTemplateVersions(req.user.id, req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ success: true, ...result });
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  try {
+    const template = updateTemplate(req.user.id, req.params.id, req.body || {});
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.delete('/api/templates/:id', (req, res) => {
+  if (!deleteTemplate(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ success: true });
+});
+
+// Sequence endpoints: multi-step templates, and prospects enrolled in them
+function sendSequenceError(res, error) {
+  if (error instanceof HttpError) {
+    if (error.fields.retryAfter) res.set('Retry-After', String(error.fields.retryAfter));
+    return res.status(error.status).json({ error: error.message, ...error.fields });
+  }
+  log.error('Sequence error', { error });
+  res.status(500).json({ error: 'Sequence request failed', details: error.message });
+}
+
+app.get('/api/sequences', (req, res) => {
+  res.json({ success: true, sequences: listSequences(req.user.id) });
+});
+
+app.post('/api/sequences', (req, res) => {
+  try {
+    res.status(201).json({ success: true, sequence: createSequence(req.user.id, req.body || {}) });
+  } catch (error) {
+    sendSequenceError(res, error);
+  }
+});
+
+app.put('/api/sequences/:id', (req, res) => {
+  try {
+    const sequence = updateSequence(req.user.id, req.params.id, req.body || {});
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    res.json({ success: true, sequence });
+  } catch (error) {
+    sendSequenceError(res, error);
+  }
+});
+
+app.delete('/api/sequences/:id', (req, res) => {
+  const removedEnrollments = deleteSequence(req.user.id, req.params.id);
+  if (removedEnrollments === null) {
+    return res.status(404).json({ error: 'Sequence not found' });
+  }
+  res.json({ success: true, removedEnrollments });
+});
+
+app.post('/api/sequences/:id/enrollments', (req, res) => {
+  try {
+    const result = enrollProspects(req.user.id, req.params.id, req.body?.profileUrls);
+    if (!result) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendSequenceError(res, error);
+  }
+});
+
+app.get('/api/enrollments', (req, res) => {
+  res.json({ success: true, enrollments: listEnrollments(req.user.id, { sequenceId: req.query.sequenceId || '' }) });
+});
+
+app.get('/api/enrollments/:id', (req, res) => {
+  const enrollment = getEnrollment(req.user.id, req.params.id);
+  if (!enrollment) {
+    return res.status(404).json({ error: 'Enrollment not found' });
+  }
+  res.json({ success: true, enrollment });
+});
+
+// Write the next step, aware of the messages already sent to this prospect
+app.post('/api/enrollments/:id/generate', async (req, res) => {
+  const { linkedinAccountId, linkedinCookie, llm = {}, forceRefresh = false } = req.body || {};
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { enrollment, result } = await generateSequenceStep(req.user.id, req.params.id, { linkedinAccountId, linkedinCookie, llm, forceRefresh }, { signal: controller.signal });
+    res.json({ success: true, enrollment, warnings: result.warnings, llm: result.llm });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    sendSequenceError(res, error);
+  }
+});
+
+// Body: { message?, subject? } - the final text that was sent, if edited
+app.post('/api/enrollments/:id/steps/:index/sent', (req, res) => {
+  try {
+    const enrollment = markStepSent(req.user.id, req.params.id, parseInt(req.params.index, 10), req.body || {});
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    res.json({ success: true, enrollment });
+  } catch (error) {
+    sendSequenceError(res, error);
+  }
+});
+
+// Body: { status?, accepted?, notes? }
+app.patch('/api/enrollments/:id', (req, res) => {
+  try {
+    const enrollment = updateEnrollment(req.user.id, req.params.id, req.body || {});
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    res.json({ success: true, enrollment });
+  } catch (error) {
+    sendSequenceError(res, error);
+  }
+});
+
+app.delete('/api/enrollments/:id', (req, res) => {
+  if (!deleteEnrollment(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Enrollment not found' });
+  }
+  res.json({ success: true });
+});
+
+// Outreach history endpoints
+app.get('/api/history', (req, res) => {
+  const { q = '', status = '', limit, offset } = req.query;
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status "${status}"` });
+  }
+  const result = listHistory(req.user.id, {
+    q,
+    status,
+    limit: Math.min(parseInt(limit, 10) || 50, 200),
+    offset: parseInt(offset, 10) || 0
+  });
+  res.json({ success: true, statuses: HISTORY_STATUSES, ...result });
+});
+
+// One-off migration of entries older clients kept in localStorage
+app.post('/api/history/import', (req, res) => {
+  try {
+    const imported = importHistoryEntries(req.user.id, req.body?.entries);
+    res.json({ success: true, imported });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/history/:id', (req, res) => {
+  const entry = getHistoryEntry(req.user.id, req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+  res.json({ success: true, entry });
+});
+
+// Update status, final edited message, favourite, drafts or notes
+app.patch('/api/history/:id', (req, res) => {
+  try {
+    const entry = updateHistoryEntry(req.user.id, req.params.id, req.body || {});
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/history/:id', (req, res) => {
+  if (!deleteHistoryEntry(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+  res.json({ success: true });
+});
+
+// Token usage and cost per day, template, model and source. Query: days (default 30);
+// admins can add all=true for everyone's usage with a per-user breakdown.
+function sendUsageError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.fields });
+  }
+  log.error('Usage error', { error });
+  res.status(500).json({ error: 'Failed to load the usage', details: error.message });
+}
+
+app.get('/api/usage', (req, res) => {
+  const all = req.query.all === 'true';
+  if (all && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can see the usage of all users' });
+  }
+  try {
+    const report = getUsageReport({ userId: all ? null : req.user.id, days: req.query.days || 30 });
+    if (report.byUser) {
+      const usernames = new Map(listUsers().map(user => [user.id, user.username]));
+      report.byUser = report.byUser.map(row => ({ ...row, username: usernames.get(row.userId) || null }));
+    }
+    res.json({ success: true, ...report, budget: getBudgetStatus(req.user.id), pricing: getPricing() });
+  } catch (error) {
+    sendUsageError(res, error);
+  }
+});
+
+// This month's spending against the user's budget
+app.get('/api/usage/budget', (req, res) => {
+  res.json({ success: true, budget: getBudgetStatus(req.user.id) });
+});
+
+// Body: { monthlyUsd } - null goes back to USAGE_MONTHLY_BUDGET_USD
+app.put('/api/usage/budget', (req, res) => {
+  try {
+    res.json({ success: true, budget: setMonthlyBudget(req.user.id, req.body?.monthlyUsd ?? null) });
+  } catch (error) {
+    sendUsageError(res, error);
+  }
+});
+
+// Start a bulk campaign from a pasted CSV / URL list
+app.post('/api/campaigns', (req, res) => {
+  try {
+    const {
+      name,
+      csv,
+      rows,
+      messageTemplate,
+      templateId,
+      systemPrompt,
+      dataInclusion,
+      concurrency,
+      maxRetries,
+      linkedinAccountId,
+      linkedinCookie,
+      forceRefresh = false,
+      messageType = DEFAULT_MESSAGE_TYPE,
+      llm = {}
+    } = req.body;
+
+    if (!messageTemplate) {
+      return res.status(400).json({ error: 'Message template is required' });
+    }
+
+    if (!MESSAGE_TYPES[messageType]) {
+      return res.status(400).json({ error: `Unknown message type "${messageType}"` });
+    }
+
+    const llmConfigError = getLlmConfigError('messaging', llm.messaging);
+    if (llmConfigError) {
+      return res.status(500).json({ error: llmConfigError });
+    }
+
+    const prospects = Array.isArray(rows) ? rows : parseProspectList(csv);
+    if (prospects.length === 0) {
+      return res.status(400).json({ error: 'Please provide at least one LinkedIn profile URL' });
+    }
+
+    // Resolved once: the campaign keeps the cookie in memory only, never in its results
+    const { cookie: liAtCookie } = resolveLinkedinCookie(req.user.id, { linkedinAccountId, linkedinCookie });
+    if (!liAtCookie && prospects.some(p => p.profileUrl)) {
+      return res.status(400).json({
+        error: 'A LinkedIn account (li_at cookie) is required for scraping. Please add one in settings.',
+        requireCookie: true
+      });
+    }
+
+    const campaign = createCampaign({
+      userId: req.user.id,
+      name,
+      rows: prospects,
+      messageTemplate,
+      templateId,
+      systemPrompt,
+      dataInclusion: normalizeDataInclusion(dataInclusion),
+      linkedinCookie: liAtCookie,
+      concurrency,
+      maxRetries,
+      forceRefresh,
+      messageType,
+      llm
     });
+
+    res.status(201).json({ success: true, campaign: serializeCampaign(campaign) });
+  } catch (error) {
+    log.error('Error creating campaign', { error });
+    res.status(error instanceof HttpError ? error.status : 400).json({ error: error.message });
+  }
+});
+
+app.get('/api/campaigns', (req, res) => {
+  res.json({ success: true, campaigns: listCampaigns(req.user.id) });
+});
+
+app.get('/api/campaigns/:id', (req, res) => {
+  const campaign = getCampaign(req.user.id, req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
   }
+  res.json({ success: true, campaign: serializeCampaign(campaign) });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📝 API endpoints:`);
-  console.log(`   POST /api/generate-message - Generate personalized message`);
-  console.log(`   POST /api/extract-profile - Extract LinkedIn profile data`);
+// Retry failed rows (or the rows listed in rowIds)
+app.post('/api/campaigns/:id/retry', (req, res) => {
+  const campaign = retryCampaignRows(req.user.id, req.params.id, req.body?.rowIds);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json({ success: true, campaign: serializeCampaign(campaign) });
 });
+
+app.post('/api/campaigns/:id/cancel', (req, res) => {
+  const campaign = cancelCampaign(req.user.id, req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json({ success: true, campaign: serializeCampaign(campaign) });
+});
+
+// Export campaign rows with generated messages as CSV
+app.get('/api/campaigns/:id/export', (req, res) => {
+  const campaign = getCampaign(req.user.id, req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}.csv"`);
+  res.send(campaignToCsv(campaign));
+});
+
+const server = app.listen(PORT, () => {
+  log.info(`Server running on http://localhost:${PORT}`, { port: Number(PORT), logLevel: process.env.LOG_LEVEL || 'info' });
+});
+
+// Graceful shutdown: stop accepting connections, let in-flight scrapes finish, close the browser
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`${signal} received, shutting down...`);
+
+  server.close();
+  await shutdownBrowserPool();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
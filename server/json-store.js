@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Store');
+
+/**
+ * Directory holding the server's JSON data files (DATA_DIR, default ./data)
+ */
+export function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || 'data');
+}
+
+/**
+ * Small JSON file store. The file is read once, kept in memory and
+ * rewritten atomically (write to temp file + rename) on every change.
+ * A file that isn't valid JSON is renamed to <file>.corrupt-<timestamp> before starting empty;
+ * other read errors are thrown.
+ */
+export function createJsonStore(fileName, defaultValue) {
+  let data = null;
+
+  function filePath() {
+    return path.join(getDataDir(), fileName);
+  }
+
+  function read() {
+    if (data === null) {
+      const source = filePath();
+      let text;
+      try {
+        text = fs.readFileSync(source, 'utf8');
+      } catch (error) {
+        // Anything but a missing file (permissions, ...) stops here rather than being overwritten
+        if (error.code !== 'ENOENT') throw error;
+      }
+      try {
+        data = text === undefined ? structuredClone(defaultValue) : JSON.parse(text);
+      } catch (error) {
+        // Keep the unreadable file for recovery instead of replacing it on the next write
+        const corruptPath = `${source}.corrupt-${Date.now()}`;
+        fs.renameSync(source, corruptPath);
+        log.error(`Could not parse ${fileName}, moved it aside and starting empty`, { error: error.message, movedTo: corruptPath });
+        data = structuredClone(defaultValue);
+      }
+    }
+    return data;
+  }
+
+  function write(next) {
+    data = next;
+    const target = filePath();
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, target);
+    return data;
+  }
+
+  // Mutate the data in place and persist it
+  function update(mutator) {
+    const current = read();
+    const result = mutator(current);
+    write(result === undefined ? current : result);
+    return data;
+  }
+
+  return { read, write, update };
+}
+
+/**
+ * Per-user variant of createJsonStore: returns forUser(userId), the store kept in
+ * DATA_DIR/users/<userId>/<fileName>
+ */
+export function createUserJsonStore(fileName, defaultValue) {
+  const stores = new Map();
+  return function forUser(userId) {
+    if (!userId) throw new Error(`No user given for ${fileName}`);
+    if (!stores.has(userId)) {
+      stores.set(userId, createJsonStore(path.join('users', userId, fileName), defaultValue));
+    }
+    return stores.get(userId);
+  };
+}
+
+/**
+ * Directory holding one user's data files
+ */
+export function getUserDataDir(userId) {
+  return path.join(getDataDir(), 'users', userId);
+}
@@ -1,12 +1,43 @@
-import puppeteer from 'puppeteer';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { acquirePage, releasePage } from './browser-pool.js';
+import { generateText, resolveLlm } from './llm/index.js';
+import { LinkedInSessionError, isAuthWallUrl, setSessionCookie, markSessionInvalid } from './linkedin-session.js';
+import { PROFILE_JSON_SHAPE, PROFILE_RESPONSE_SCHEMA, validateProfile } from './profile-schema.js';
+import { parseJsonObject } from './llm/json-output.js';
+import {
+  captureProfilePage,
+  captureCompanyPage,
+  captureRecentActivity,
+  normalizeCompanyUrl,
+  PROFILE_PAGE_VIEWS,
+  COMPANY_PAGE_VIEWS,
+  ACTIVITY_PAGE_VIEWS
+} from './page-capture.js';
+import { assertLinkedInBudget, paceNavigation } from './linkedin-throttle.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Scraper');
+const aiLog = createLogger('AI');
+
+/**
+ * Normalize a LinkedIn profile URL to https://www.linkedin.com/in/<slug>
+ * (drops query string, fragment, trailing slash and any sub-path)
+ */
+export function normalizeProfileUrl(profileUrl) {
+  const cleanUrl = profileUrl.split('?')[0].split('#')[0].replace(/\/+$/, '');
+  const match = cleanUrl.match(/linkedin\.com\/in\/([^/]+)/i);
+  return match ? `https://www.linkedin.com/in/${match[1].toLowerCase()}` : cleanUrl;
+}
 
 /**
  * Scrapes LinkedIn profile data using Puppeteer with authenticated session cookies
  * Uses AI to extract structured data from the page content
+ * (options.llm overrides the scraping provider/model for this call,
+ * options.onProgress(stage) reports 'browser' | 'navigating' | 'details' | 'extracting',
+ * options.signal aborts between steps, options.meter records the extraction's token usage)
  */
-export async function scrapeLinkedInProfile(profileUrl, linkedinCookie) {
-  // Read DEBUG_MODE at runtime (after dotenv has loaded)
+export async function scrapeLinkedInProfile(profileUrl, linkedinCookie, { llm, onProgress, signal, meter } = {}) {
+  // Read DEBUG_MODE at runtime (after dotenv has loaded). It only changes what the browser
+  // does (screenshot, page left open on errors); LOG_LEVEL=debug controls what is logged.
   const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
   
   // Validate LinkedIn URL
@@ -19,203 +50,267 @@ export async function scrapeLinkedInProfile(profileUrl, linkedinCookie) {
   }
 
   // Clean the URL
-  const cleanUrl = profileUrl.split('?')[0].replace(/\/$/, '');
-
-  console.log(`[Scraper] DEBUG_MODE: ${DEBUG_MODE}`);
-  console.log(`[Scraper] Target URL: ${cleanUrl}`);
+  const cleanUrl = normalizeProfileUrl(profileUrl);
 
-  let browser;
-  try {
-    // Launch Puppeteer - show browser window when DEBUG_MODE is true
-    browser = await puppeteer.launch({
-      headless: !DEBUG_MODE,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920,1080',
-      ],
-      slowMo: DEBUG_MODE ? 50 : 0,
-    });
-
-    const page = await browser.newPage();
+  // Refuse before opening anything when the account's rate limits don't allow the whole scrape
+  assertLinkedInBudget(linkedinCookie, PROFILE_PAGE_VIEWS);
 
-    // Set viewport to desktop size
-    await page.setViewport({ width: 1920, height: 1080 });
+  log.info('Scraping profile', { url: cleanUrl, debugMode: DEBUG_MODE });
 
-    // Set a realistic user agent
-    await page.setUserAgent(
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    );
+  let page;
+  try {
+    // Borrow a page from the shared browser pool (may wait if all pages are busy)
+    onProgress?.('browser');
+    page = await acquirePage({ account: linkedinCookie });
+    signal?.throwIfAborted();
 
     // Set the LinkedIn session cookie
-    await page.setCookie({
-      name: 'li_at',
-      value: linkedinCookie,
-      domain: '.linkedin.com',
-      path: '/',
-      httpOnly: true,
-      secure: true,
-      sameSite: 'None',
-    });
+    await setSessionCookie(page, linkedinCookie);
 
     // Navigate to the profile page
-    console.log(`[Scraper] Navigating to profile...`);
-    console.log('[Scraper] Starting navigation...');
+    onProgress?.('navigating');
+    await paceNavigation(page, { signal });
+    log.debug('Navigating to profile');
     await page.goto(cleanUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 30000,
     });
-    console.log('[Scraper] Page navigated (domcontentloaded)');
 
     // Simple wait for page to render
-    console.log('[Scraper] Waiting 3 seconds for page to render...');
+    log.debug('Page navigated (domcontentloaded), waiting 3 seconds for it to render');
     await new Promise(resolve => setTimeout(resolve, 3000));
-    console.log('[Scraper] Wait complete');
 
     // Check if we're on a login page (cookie invalid or expired)
     const currentUrl = page.url();
-    console.log(`[Scraper] Current URL: ${currentUrl}`);
+    log.debug('Page rendered', { currentUrl });
     
-    if (currentUrl.includes('/login') || currentUrl.includes('/authwall')) {
-      throw new Error('LinkedIn session expired or invalid. Please update your li_at cookie.');
+    if (isAuthWallUrl(currentUrl)) {
+      throw new LinkedInSessionError();
     }
 
     // Debug: Take screenshot
     if (DEBUG_MODE) {
       await page.screenshot({ path: 'debug-screenshot.png', fullPage: false });
-      console.log('[Scraper] Screenshot saved to debug-screenshot.png');
+      log.info('Screenshot saved to debug-screenshot.png');
     }
 
-    // Extract the entire page text content
-    console.log(`[Scraper] Extracting page content...`);
-    
-    const pageContent = await page.evaluate(() => {
-      return document.body.innerText;
-    });
+    // Scroll, expand and read the main column plus the experience/skills subpages
+    const capture = await captureProfilePage(page, cleanUrl, { signal, onProgress });
+    const pageContent = capture.text;
 
-    console.log(`[Scraper] Extracted ${pageContent.length} characters of content`);
-    
-    if (DEBUG_MODE) {
-      console.log('\n========== PAGE CONTENT (first 2000 chars) ==========');
-      console.log(pageContent.substring(0, 2000));
-      console.log('======================================================\n');
-    }
+    log.info('Captured page content', { chars: pageContent.length, sections: capture.sections });
+    log.debug('Page content', { pageContent });
 
     // Use AI to extract structured profile data
-    console.log(`[Scraper] Using AI to extract profile data...`);
+    signal?.throwIfAborted();
+    onProgress?.('extracting');
     
-    const profileData = await extractProfileWithAI(pageContent, cleanUrl);
+    const profileData = await extractProfileWithAI(pageContent, cleanUrl, { llm, signal, meter });
     
     // Validate we got at least a name
     if (!profileData.name) {
-      console.log('[Scraper] Could not extract name from page');
+      log.warn('Could not extract a name from the page');
       throw new Error('Could not extract profile data. The page may not have loaded correctly.');
     }
 
-    // Log the full profile data for debugging
-    console.log('\n========== SCRAPED PROFILE DATA ==========');
-    console.log(JSON.stringify(profileData, null, 2));
-    console.log('==========================================\n');
+    // Link to the current company's page, followed when company details are wanted
+    if (capture.companyUrl) {
+      profileData.companyUrl = capture.companyUrl;
+    }
+
+    log.debug('Scraped profile', { profileData });
 
     return profileData;
 
   } catch (error) {
-    console.error('[Scraper] Error:', error.message);
+    log.warn('Profile scrape failed', { error: error.message });
+
+    // The auth wall can show up on the profile or on a detail subpage
+    if (error instanceof LinkedInSessionError) {
+      markSessionInvalid(linkedinCookie, error.message);
+    }
     
-    // In debug mode, keep browser open for inspection
-    if (DEBUG_MODE && browser) {
-      console.log('[Scraper] DEBUG_MODE: Browser kept open for 30s for inspection...');
+    // In debug mode, keep the page open for inspection
+    if (DEBUG_MODE && page) {
+      log.info('DEBUG_MODE: page kept open for 30s for inspection');
       await new Promise(resolve => setTimeout(resolve, 30000));
     }
     
     throw error;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (page) {
+      await releasePage(page);
     }
   }
 }
 
 /**
- * Use Gemini AI to extract structured profile data from page content
+ * Scrape a company page (linkedin.com/company/<slug>): description, size, industry,
+ * headquarters and recent posts. Reads the page directly, without the AI.
  */
-async function extractProfileWithAI(pageContent, profileUrl) {
-  console.log('[AI] Starting AI extraction...');
-  
-  const apiKey = process.env.GOOGLE_AI_API_KEY;
-  console.log(`[AI] API Key present: ${!!apiKey}`);
-  console.log(`[AI] API Key (first 10 chars): ${apiKey ? apiKey.substring(0, 10) + '...' : 'N/A'}`);
-  
-  if (!apiKey) {
-    throw new Error('GOOGLE_AI_API_KEY is required for AI extraction');
+export async function scrapeLinkedInCompany(companyUrl, linkedinCookie, { onProgress, signal } = {}) {
+  const cleanUrl = normalizeCompanyUrl(companyUrl);
+  if (!cleanUrl) {
+    throw new Error('Invalid LinkedIn company URL. URL should be like: https://www.linkedin.com/company/name');
   }
-  
-  const modelName = process.env.GEMINI_MODEL_SCRAPING || 'gemini-2.0-flash';
-  console.log(`[AI] Using model: ${modelName}`);
-  
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({ model: modelName });
 
-  const contentToSend = pageContent.substring(0, 8000);
-  console.log(`[AI] Content length to send: ${contentToSend.length} chars`);
+  if (!linkedinCookie) {
+    throw new Error('LinkedIn session cookie (li_at) is required for scraping');
+  }
+
+  log.info('Scraping company', { url: cleanUrl });
+  assertLinkedInBudget(linkedinCookie, COMPANY_PAGE_VIEWS);
+
+  let page;
+  try {
+    onProgress?.('company');
+    page = await acquirePage({ account: linkedinCookie });
+    signal?.throwIfAborted();
+    await setSessionCookie(page, linkedinCookie);
+
+    const company = await captureCompanyPage(page, cleanUrl, { signal });
+    if (!company.name && !company.description) {
+      throw new Error('Could not read the company page. It may not have loaded correctly.');
+    }
+
+    log.info('Scraped company', { recentPosts: company.recentPosts.length });
+    return company;
+  } catch (error) {
+    log.warn('Company scrape failed', { error: error.message });
+    if (error instanceof LinkedInSessionError) {
+      markSessionInvalid(linkedinCookie, error.message);
+    }
+    throw error;
+  } finally {
+    if (page) {
+      await releasePage(page);
+    }
+  }
+}
+
+/**
+ * Scrape the person's recent posts, reposts and comments (/recent-activity/all/)
+ * with their dates and engagement. Reads the page directly, without the AI.
+ */
+export async function scrapeLinkedInActivity(profileUrl, linkedinCookie, { onProgress, signal } = {}) {
+  if (!profileUrl || !profileUrl.includes('linkedin.com/in/')) {
+    throw new Error('Invalid LinkedIn profile URL. URL should be like: https://www.linkedin.com/in/username');
+  }
+
+  if (!linkedinCookie) {
+    throw new Error('LinkedIn session cookie (li_at) is required for scraping');
+  }
+
+  const cleanUrl = normalizeProfileUrl(profileUrl);
+  assertLinkedInBudget(linkedinCookie, ACTIVITY_PAGE_VIEWS);
+
+  let page;
+  try {
+    onProgress?.('activity');
+    page = await acquirePage({ account: linkedinCookie });
+    signal?.throwIfAborted();
+    await setSessionCookie(page, linkedinCookie);
+
+    const activity = await captureRecentActivity(page, cleanUrl, { signal });
+    log.info('Scraped recent activity', { items: activity.length });
+    return activity;
+  } catch (error) {
+    log.warn('Activity scrape failed', { error: error.message });
+    if (error instanceof LinkedInSessionError) {
+      markSessionInvalid(linkedinCookie, error.message);
+    }
+    throw error;
+  } finally {
+    if (page) {
+      await releasePage(page);
+    }
+  }
+}
+
+/**
+ * Parse and validate one model answer. Returns { profile, errors, repaired } -
+ * profile is null when no JSON object could be recovered.
+ */
+function parseProfileResponse(responseText, profileUrl) {
+  let parsed;
+  try {
+    parsed = parseJsonObject(responseText);
+  } catch (error) {
+    return { profile: null, errors: [error.message], repaired: false };
+  }
+
+  const { profile, errors } = validateProfile({ ...parsed.value, profileUrl });
+  return { profile, errors, repaired: parsed.repaired };
+}
+
+/**
+ * Use the scraping LLM to extract structured profile data from page content.
+ * The answer is repaired if needed and validated; when it fails validation the model
+ * gets one retry with the errors, and the better of the two answers is kept.
+ */
+async function extractProfileWithAI(pageContent, profileUrl, { llm, signal, meter }) {
+  const { provider, model } = resolveLlm('scraping', llm);
+
+  // The capture already fits PROFILE_CAPTURE_TOKEN_BUDGET
+  const contentToSend = pageContent;
+  aiLog.info('Extracting profile', { provider: provider.name, model, chars: contentToSend.length });
 
   const prompt = `Extract LinkedIn profile information from the following page content. Return ONLY a valid JSON object with no markdown formatting, no code blocks, just the raw JSON.
 
 PAGE CONTENT:
 ${contentToSend}
 
-Extract and return this exact JSON structure (use empty string "" if data not found):
-{
-  "name": "Full name of the person",
-  "title": "Current job title",
-  "headline": "Profile headline (the text under their name)",
-  "company": "Current company name",
-  "location": "Location (city, country)",
-  "about": "About/summary section content",
-  "experience": "Brief summary of top 2-3 work experiences",
-  "skills": "Top skills (comma separated)",
-  "education": "Education summary"
-}
+Extract and return this exact JSON structure (use empty string "" and empty arrays [] if data not found):
+${PROFILE_JSON_SHAPE}
+
+List every position and education entry shown, newest first. Keep dates as written on the page.
 
 Return ONLY the JSON object, no other text.`;
 
-  console.log(`[AI] Prompt length: ${prompt.length} chars`);
-  console.log('[AI] Sending request to Gemini...');
+  const ask = async (text) => {
+    aiLog.debug('Sending request to model', { promptChars: text.length });
+    const result = await generateText('scraping', text, { llm, signal, meter, responseSchema: PROFILE_RESPONSE_SCHEMA });
+    const responseText = result.text.trim();
+    aiLog.debug('Model response', { chars: responseText.length, responseText, ...result.usage });
+    return { responseText, ...parseProfileResponse(responseText, profileUrl) };
+  };
 
   try {
-    const result = await model.generateContent(prompt);
-    console.log('[AI] Got response from Gemini');
-    
-    const responseText = result.response.text().trim();
-    console.log(`[AI] Response length: ${responseText.length} chars`);
-    console.log('[AI] Raw response:');
-    console.log('---START---');
-    console.log(responseText);
-    console.log('---END---');
-    
-    // Clean up the response - remove markdown code blocks if present
-    let jsonStr = responseText;
-    if (jsonStr.startsWith('```')) {
-      console.log('[AI] Removing markdown code blocks...');
-      jsonStr = jsonStr.replace(/```json?\n?/g, '').replace(/```\n?$/g, '').trim();
-      console.log('[AI] Cleaned JSON:');
-      console.log(jsonStr);
+    let attempt = await ask(prompt);
+
+    if (attempt.errors.length > 0) {
+      aiLog.warn('Extraction failed validation, retrying once', { errors: attempt.errors });
+      signal?.throwIfAborted();
+
+      const retry = await ask(`${prompt}
+
+Your previous answer did not match the required structure:
+${attempt.errors.slice(0, 15).map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${attempt.responseText.substring(0, 4000)}
+
+Fix these problems and return the corrected JSON object only.`);
+
+      // Keep the retry unless it is worse than the first answer
+      const usable = result => result.profile?.name ? result.errors.length : Infinity;
+      if (usable(retry) <= usable(attempt)) attempt = retry;
     }
-    
-    console.log('[AI] Parsing JSON...');
-    const profileData = JSON.parse(jsonStr);
-    console.log('[AI] JSON parsed successfully');
-    
-    profileData.profileUrl = profileUrl;
-    
-    return profileData;
+
+    if (!attempt.profile) {
+      throw new Error(attempt.errors[0]);
+    }
+    if (attempt.repaired) {
+      aiLog.info('Repaired malformed JSON in the model response');
+    }
+    if (attempt.errors.length > 0) {
+      aiLog.warn('Profile schema issues', { errors: attempt.errors });
+    }
+
+    return attempt.profile;
   } catch (error) {
-    console.error('[AI] Error type:', error.constructor.name);
-    console.error('[AI] Error message:', error.message);
-    console.error('[AI] Full error:', error);
+    if (signal?.aborted) throw error;
+    aiLog.error('Profile extraction failed', { error: error.message });
     throw new Error(`Failed to extract profile with AI: ${error.message}`);
   }
 }
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { withPage } from './browser-pool.js';
+import { createJsonStore } from './json-store.js';
+import { assertLinkedInBudget, bindPageAccount, paceNavigation } from './linkedin-throttle.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Session');
+
+const FEED_URL = 'https://www.linkedin.com/feed/';
+
+// li_at cookies usually last about a year - warn well before that
+const COOKIE_AGE_WARNING_DAYS = 300;
+const EXPIRY_WARNING_DAYS = 7;
+
+// When each cookie (by hash, never the value) was first seen, to estimate its age
+const store = createJsonStore('linkedin-sessions.json', {});
+
+// Latest check result per cookie hash
+const results = new Map();
+
+/**
+ * Thrown when LinkedIn redirects to the login page or auth wall
+ */
+export class LinkedInSessionError extends Error {
+  constructor(message = 'LinkedIn session expired or invalid. Please update your li_at cookie.') {
+    super(message);
+    this.name = 'LinkedInSessionError';
+  }
+}
+
+function hashCookie(linkedinCookie) {
+  return crypto.createHash('sha256').update(linkedinCookie).digest('hex');
+}
+
+function getCacheTtlMs() {
+  const minutes = parseFloat(process.env.LINKEDIN_SESSION_CHECK_TTL_MINUTES);
+  return (Number.isNaN(minutes) ? 10 : minutes) * 60 * 1000;
+}
+
+/**
+ * True when LinkedIn sent us to a login, auth wall or security checkpoint page
+ */
+export function isAuthWallUrl(url) {
+  return ['/login', '/authwall', '/checkpoint'].some(part => url.includes(part));
+}
+
+/**
+ * Put the li_at session cookie on a page before navigating to LinkedIn.
+ * The page's navigations then count against that account's rate limits.
+ * Only for pages in their own browser context (see browser-pool.js): in the shared
+ * default context the cookie would replace the account of every other open page.
+ */
+export async function setSessionCookie(page, linkedinCookie) {
+  if (page.browserContext() === page.browser().defaultBrowserContext()) {
+    throw new Error('LinkedIn session cookies can only be set on pages with their own browser context');
+  }
+  bindPageAccount(page, linkedinCookie);
+  await page.setCookie({
+    name: 'li_at',
+    value: linkedinCookie,
+    domain: '.linkedin.com',
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'None',
+  });
+}
+
+/**
+ * Remember that a scrape found the session invalid, so the next status check reports it without a browser round trip
+ */
+export function markSessionInvalid(linkedinCookie, reason) {
+  const key = hashCookie(linkedinCookie);
+  results.set(key, {
+    ...(results.get(key) || {}),
+    valid: false,
+    reason,
+    checkedAt: new Date().toISOString()
+  });
+}
+
+function getCookieAgeDays(key) {
+  if (!store.read()[key]) {
+    store.update(sessions => {
+      sessions[key] = { firstSeenAt: new Date().toISOString() };
+    });
+  }
+  return Math.floor((Date.now() - new Date(store.read()[key].firstSeenAt).getTime()) / 86400000);
+}
+
+function buildWarnings(session) {
+  const warnings = [];
+  if (session.expiresAt) {
+    const daysLeft = (new Date(session.expiresAt).getTime() - Date.now()) / 86400000;
+    if (daysLeft < EXPIRY_WARNING_DAYS) {
+      warnings.push(`The li_at cookie expires in ${Math.max(0, Math.floor(daysLeft))} day(s) - grab a fresh one from your browser soon`);
+    }
+  }
+  if (session.cookieAgeDays >= COOKIE_AGE_WARNING_DAYS) {
+    warnings.push(`This cookie was first used ${session.cookieAgeDays} days ago - LinkedIn cookies usually last about a year`);
+  }
+  return warnings;
+}
+
+/**
+ * Open the feed with the cookie and report whether the session works and who is logged in.
+ * Results are reused for LINKEDIN_SESSION_CHECK_TTL_MINUTES unless force is set.
+ * Returns { valid, reason?, accountName, profileUrl, expiresAt, cookieAgeDays, warnings, checkedAt, cached }
+ */
+export async function checkLinkedInSession(linkedinCookie, { force = false } = {}) {
+  const key = hashCookie(linkedinCookie);
+  const cookieAgeDays = getCookieAgeDays(key);
+  const describe = (result, cached) => {
+    const session = { ...result, cookieAgeDays };
+    return { ...session, warnings: session.valid ? buildWarnings(session) : [], cached };
+  };
+
+  const previous = results.get(key);
+  if (!force && previous && Date.now() - new Date(previous.checkedAt).getTime() < getCacheTtlMs()) {
+    return describe(previous, true);
+  }
+
+  log.info('Checking LinkedIn session');
+
+  assertLinkedInBudget(linkedinCookie, 1);
+  const session = await withPage(async page => {
+    await setSessionCookie(page, linkedinCookie);
+    await paceNavigation(page);
+    await page.goto(FEED_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    const currentUrl = page.url();
+    if (isAuthWallUrl(currentUrl)) {
+      return { valid: false, reason: 'LinkedIn redirected to the login page - the cookie has expired or is invalid' };
+    }
+
+    // The nav bar photo's alt text and the feed identity card hold the member's name
+    const account = await page.evaluate(() => {
+      const text = selector => document.querySelector(selector)?.textContent?.trim() || '';
+      const photo = document.querySelector('img.global-nav__me-photo, .feed-identity-module img');
+      const profileLink = document.querySelector('.feed-identity-module a[href*="/in/"], a.profile-card-profile-link, a[href*="/in/"][data-control-name="identity_welcome_message"]');
+      return {
+        name: text('.feed-identity-module__actor-meta .t-16') || text('.profile-card-name') || photo?.getAttribute('alt') || '',
+        profileUrl: profileLink?.href || ''
+      };
+    });
+
+    const liAt = (await page.cookies('https://www.linkedin.com')).find(c => c.name === 'li_at');
+    return {
+      valid: true,
+      accountName: account.name.replace(/^Photo of /i, ''),
+      profileUrl: account.profileUrl.split('?')[0],
+      expiresAt: liAt?.expires > 0 ? new Date(liAt.expires * 1000).toISOString() : null
+    };
+  }, { account: linkedinCookie });
+
+  const result = { ...session, checkedAt: new Date().toISOString() };
+  results.set(key, result);
+  log.info(`Session ${result.valid ? 'valid' : 'invalid'}`, { accountName: result.accountName });
+
+  return describe(result, false);
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { createJsonStore } from './json-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Throttle');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Timestamps of the LinkedIn page views of the last 24 hours per cookie hash (never the value),
+// so the caps survive restarts and apply to a LinkedIn account whichever user stored it
+const store = createJsonStore('linkedin-usage.json', {});
+
+// Page -> cookie hash of the account it is browsing as, set with the session cookie
+const pageAccounts = new WeakMap();
+
+// Cookie hash -> earliest time the account's next page view may start
+const nextNavigationAt = new Map();
+
+/**
+ * Thrown instead of opening a LinkedIn page when the account has used up its hourly
+ * or daily page views. retryAfter is in seconds.
+ */
+export class LinkedInRateLimitError extends Error {
+  constructor(message, { retryAfter, window }) {
+    super(message);
+    this.name = 'LinkedInRateLimitError';
+    this.retryAfter = retryAfter;
+    this.window = window;
+  }
+}
+
+function hashCookie(linkedinCookie) {
+  return crypto.createHash('sha256').update(linkedinCookie).digest('hex');
+}
+
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : Math.max(0, value);
+}
+
+/**
+ * Page view caps (0 = no cap) and the random pause between two page views of an account
+ */
+export function getThrottleConfig() {
+  const minDelayMs = readInt('LINKEDIN_MIN_DELAY_MS', 3000);
+  return {
+    perHour: readInt('LINKEDIN_PAGES_PER_HOUR', 40),
+    perDay: readInt('LINKEDIN_PAGES_PER_DAY', 250),
+    minDelayMs,
+    maxDelayMs: Math.max(minDelayMs, readInt('LINKEDIN_MAX_DELAY_MS', 8000))
+  };
+}
+
+function windows(config) {
+  return [
+    { name: 'hour', label: 'hourly', ms: HOUR_MS, limit: config.perHour },
+    { name: 'day', label: 'daily', ms: DAY_MS, limit: config.perDay }
+  ];
+}
+
+function viewsSince(key, since) {
+  return (store.read()[key] || []).filter(at => at > since);
+}
+
+function describeWait(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// Throw when `count` more page views would go over a cap, with the time until they fit
+function checkBudget(key, count) {
+  const now = Date.now();
+  for (const window of windows(getThrottleConfig())) {
+    if (!window.limit) continue;
+    // No wait makes this fit - the cap itself is too low for the scrape
+    if (count > window.limit) {
+      throw new Error(
+        `This scrape needs ${count} LinkedIn page views but ${window.name === 'hour' ? 'LINKEDIN_PAGES_PER_HOUR' : 'LINKEDIN_PAGES_PER_DAY'} ` +
+        `allows only ${window.limit}. Raise the limit on the server.`
+      );
+    }
+    const views = viewsSince(key, now - window.ms);
+    const excess = views.length + count - window.limit;
+    if (excess <= 0) continue;
+
+    // The oldest views have to leave the window first (excess <= views.length as count fits the cap)
+    const freedAt = views[excess - 1] + window.ms;
+    const retryAfter = Math.max(1, Math.ceil((freedAt - now) / 1000));
+    const left = window.limit - views.length;
+    const reason = left > 0
+      ? `has ${left} of its ${window.limit} ${window.label} page views left and this needs ${count}`
+      : `reached its ${window.label} limit of ${window.limit} page views`;
+    throw new LinkedInRateLimitError(
+      `This LinkedIn account ${reason}. Try again in ${describeWait(retryAfter)}.`,
+      { retryAfter, window: window.name }
+    );
+  }
+}
+
+function recordView(key, at) {
+  store.update(usage => {
+    usage[key] = [...(usage[key] || []).filter(time => time > at - DAY_MS), at];
+  });
+}
+
+function wait(ms, signal) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Refuse a scrape up front when its page views don't fit in the account's budget,
+ * rather than stopping it halfway
+ */
+export function assertLinkedInBudget(linkedinCookie, pageViews) {
+  checkBudget(hashCookie(linkedinCookie), pageViews);
+}
+
+/**
+ * Remember which account a pooled page browses as (called with the session cookie)
+ */
+export function bindPageAccount(page, linkedinCookie) {
+  pageAccounts.set(page, hashCookie(linkedinCookie));
+}
+
+/**
+ * Call right before each LinkedIn navigation: counts the page view against the caps
+ * (throws LinkedInRateLimitError when none is left) and waits a random pause since
+ * the account's previous page view, also across parallel scrapes.
+ */
+export async function paceNavigation(page, { signal } = {}) {
+  const key = pageAccounts.get(page);
+  if (!key) return;
+
+  checkBudget(key, 1);
+  const { minDelayMs, maxDelayMs } = getThrottleConfig();
+  const now = Date.now();
+  const startAt = Math.max(now, nextNavigationAt.get(key) || 0);
+  nextNavigationAt.set(key, startAt + Math.round(minDelayMs + Math.random() * (maxDelayMs - minDelayMs)));
+  recordView(key, startAt);
+
+  if (startAt > now) {
+    log.debug(`Waiting ${((startAt - now) / 1000).toFixed(1)}s before the next LinkedIn page`);
+    await wait(startAt - now, signal);
+  }
+}
+
+/**
+ * Page views used by the account in the last hour and day.
+ * Returns { hour: { used, limit, resetsAt }, day: { used, limit, resetsAt } } - limit 0 means no cap,
+ * resetsAt is when the oldest counted view stops counting (null when there is none)
+ */
+export function getLinkedInQuota(linkedinCookie) {
+  const key = hashCookie(linkedinCookie);
+  const now = Date.now();
+  const quota = {};
+  for (const window of windows(getThrottleConfig())) {
+    const views = viewsSince(key, now - window.ms);
+    quota[window.name] = {
+      used: views.length,
+      limit: window.limit,
+      resetsAt: views.length ? new Date(views[0] + window.ms).toISOString() : null
+    };
+  }
+  return quota;
+}
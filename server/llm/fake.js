@@ -0,0 +1,97 @@
+/**
+ * Deterministic provider for tests and offline development - makes no network calls.
+ * Scraping prompts get a JSON profile built from the page content, messaging prompts
+ * get the template back with {placeholders} filled from the profile block and
+ * shorten requests get the draft cut to the requested length.
+ * Set FAKE_LLM_RESPONSE to return a fixed string instead.
+ */
+export function createFakeProvider() {
+  return {
+    name: 'fake',
+    label: 'Fake (deterministic)',
+    defaultModels: {
+      scraping: 'fake',
+      messaging: 'fake'
+    },
+
+    configError() {
+      return null;
+    },
+
+    async generate({ prompt, purpose }) {
+      if (process.env.FAKE_LLM_RESPONSE) {
+        return { text: process.env.FAKE_LLM_RESPONSE };
+      }
+      if (purpose === 'scraping') return { text: fakeProfileJson(prompt) };
+      if (prompt.includes('**Message to shorten:**')) return { text: fakeShorten(prompt) };
+      return { text: fakeMessage(prompt) };
+    },
+
+    // Replays the generated text word by word so streaming UIs can be exercised offline
+    async *stream({ prompt, purpose, signal }) {
+      const { text } = await this.generate({ prompt, purpose });
+      for (const word of text.split(/(?<=\s)/)) {
+        signal?.throwIfAborted();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        yield word;
+      }
+    }
+  };
+}
+
+function section(prompt, startMarker, endMarker) {
+  const start = prompt.indexOf(startMarker);
+  if (start === -1) return '';
+  const from = start + startMarker.length;
+  const end = endMarker ? prompt.indexOf(endMarker, from) : -1;
+  return prompt.substring(from, end === -1 ? undefined : end).trim();
+}
+
+function fakeProfileJson(prompt) {
+  const lines = section(prompt, 'PAGE CONTENT:', '\nExtract and return')
+    .split('\n')
+    .map(l => l.trim())
+    // Skip the "## Section" headers of the captured page
+    .filter(l => l && !l.startsWith('## '));
+
+  return JSON.stringify({
+    name: lines[0] || 'Test Person',
+    title: '',
+    headline: lines[1] || '',
+    company: '',
+    location: '',
+    industry: '',
+    about: lines.slice(2, 4).join(' '),
+    positions: [],
+    education: [],
+    skills: [],
+    certifications: [],
+    languages: []
+  });
+}
+
+function fakeMessage(prompt) {
+  const profile = {};
+  for (const match of section(prompt, '**Profile Information:**', '**Original Message Template:**').matchAll(/^- ([^:]+): (.*)$/gm)) {
+    profile[match[1].trim().toLowerCase()] = match[2].trim();
+  }
+
+  const values = {
+    name: profile.name,
+    company: profile.company,
+    title: profile['current title'],
+    location: profile.location
+  };
+
+  const template = section(prompt, '**Original Message Template:**', '**Instructions:**');
+  return template.replace(/\{(\w+)\}/g, (token, key) => {
+    const value = values[key.toLowerCase()];
+    return value && value !== 'Not provided' ? value : token;
+  });
+}
+
+function fakeShorten(prompt) {
+  const draft = section(prompt, '**Message to shorten:**', '**Instructions:**');
+  const limit = parseInt(prompt.match(/at most (\d+) characters/)?.[1], 10) || draft.length;
+  return draft.substring(0, limit).trim();
+}
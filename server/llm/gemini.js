@@ -0,0 +1,49 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Google Gemini adapter (GOOGLE_AI_API_KEY)
+ */
+export function createGeminiProvider() {
+  return {
+    name: 'gemini',
+    label: 'Google Gemini',
+    defaultModels: {
+      scraping: process.env.GEMINI_MODEL_SCRAPING || 'gemini-2.0-flash',
+      messaging: process.env.GEMINI_MODEL_MESSAGING || 'gemini-3-pro-preview'
+    },
+
+    configError() {
+      return process.env.GOOGLE_AI_API_KEY
+        ? null
+        : 'Google AI API key not configured. Please add GOOGLE_AI_API_KEY to your .env file';
+    },
+
+    async generate({ model, prompt, signal, responseSchema }) {
+      const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(responseSchema && { generationConfig: { responseMimeType: 'application/json', responseSchema } })
+      });
+      const result = await generativeModel.generateContent(prompt, { signal });
+      return { text: result.response.text(), usage: readUsage(result.response) };
+    },
+
+    async *stream({ model, prompt, signal, onUsage }) {
+      const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+      const generativeModel = genAI.getGenerativeModel({ model });
+      const result = await generativeModel.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+      onUsage?.(readUsage(await result.response));
+    }
+  };
+}
+
+function readUsage(response) {
+  const metadata = response.usageMetadata;
+  return metadata
+    ? { inputTokens: metadata.promptTokenCount || 0, outputTokens: metadata.candidatesTokenCount || 0 }
+    : null;
+}
@@ -0,0 +1,154 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiCompatibleProvider } from './openai-compatible.js';
+import { createOllamaProvider } from './ollama.js';
+import { createFakeProvider } from './fake.js';
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiCompatibleProvider,
+  ollama: createOllamaProvider,
+  fake: createFakeProvider
+};
+
+export const LLM_PURPOSES = ['scraping', 'messaging'];
+
+// Providers read env when created, so build them on demand (after dotenv has loaded)
+function getProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Work out which provider/model to use for a purpose ('scraping' or 'messaging').
+ * Precedence: per-request override > LLM_PROVIDER_<PURPOSE> > LLM_PROVIDER > gemini
+ */
+export function resolveLlm(purpose, override = {}) {
+  const envProvider = process.env[`LLM_PROVIDER_${purpose.toUpperCase()}`] || process.env.LLM_PROVIDER;
+  const providerName = (override?.provider || envProvider || 'gemini').toLowerCase();
+  const provider = getProvider(providerName);
+  return {
+    provider,
+    model: override?.model || provider.defaultModels[purpose]
+  };
+}
+
+/**
+ * Returns an error message if the provider for this purpose can't be used, otherwise null
+ */
+export function getLlmConfigError(purpose, override) {
+  try {
+    return resolveLlm(purpose, override).provider.configError();
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Rough token count for providers that don't report usage (about 4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Describe a finished call: the provider's token counts (estimated when it reports none)
+ * and how long it took. The meter, if any, records it for usage accounting.
+ */
+function finishCall({ purpose, provider, model, prompt, text, reported, startedAt, meter }) {
+  const usage = {
+    inputTokens: reported ? reported.inputTokens : estimateTokens(prompt),
+    outputTokens: reported ? reported.outputTokens : estimateTokens(text),
+    estimated: !reported,
+    latencyMs: Date.now() - startedAt
+  };
+  meter?.record({ purpose, provider: provider.name, model, ...usage });
+  return { text, provider: provider.name, model, usage };
+}
+
+// Structured-output modes are on unless LLM_STRUCTURED_OUTPUT=false (for servers that reject them)
+function structuredOutputEnabled() {
+  return process.env.LLM_STRUCTURED_OUTPUT !== 'false';
+}
+
+/**
+ * Run a prompt through the configured provider for a purpose.
+ * responseSchema (a JSON schema) asks providers with a structured-output mode to answer in that shape.
+ * meter (see usage-store.js) records the call's token usage.
+ * Returns { text, provider, model, usage: { inputTokens, outputTokens, estimated, latencyMs } }
+ */
+export async function generateText(purpose, prompt, { llm, signal, responseSchema, meter } = {}) {
+  const { provider, model } = resolveLlm(purpose, llm);
+
+  const configError = provider.configError();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const startedAt = Date.now();
+  const result = await provider.generate({
+    model,
+    prompt,
+    purpose,
+    signal,
+    responseSchema: structuredOutputEnabled() ? responseSchema : undefined
+  });
+  return finishCall({ purpose, provider, model, prompt, text: result.text, reported: result.usage, startedAt, meter });
+}
+
+/**
+ * Like generateText, but calls onToken(chunk) as the provider streams the answer.
+ * Providers without streaming support deliver the whole text as a single chunk.
+ */
+export async function streamText(purpose, prompt, { llm, signal, onToken, meter } = {}) {
+  const { provider, model } = resolveLlm(purpose, llm);
+
+  const configError = provider.configError();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const startedAt = Date.now();
+  let text = '';
+  let reported = null;
+  if (provider.stream) {
+    const onUsage = usage => { reported = usage; };
+    for await (const chunk of provider.stream({ model, prompt, purpose, signal, onUsage })) {
+      text += chunk;
+      onToken?.(chunk);
+    }
+  } else {
+    const result = await provider.generate({ model, prompt, purpose, signal });
+    text = result.text;
+    reported = result.usage;
+    onToken?.(text);
+  }
+
+  return finishCall({ purpose, provider, model, prompt, text, reported, startedAt, meter });
+}
+
+/**
+ * Providers with their configuration state and the defaults for each purpose
+ */
+export function listLlmProviders() {
+  const defaults = Object.fromEntries(LLM_PURPOSES.map(purpose => {
+    try {
+      const { provider, model } = resolveLlm(purpose);
+      return [purpose, { provider: provider.name, model }];
+    } catch (error) {
+      return [purpose, { provider: null, model: null, error: error.message }];
+    }
+  }));
+
+  const providers = Object.keys(PROVIDER_FACTORIES).map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      label: provider.label,
+      configured: !provider.configError(),
+      defaultModels: provider.defaultModels
+    };
+  });
+
+  return { providers, defaults };
+}
@@ -0,0 +1,87 @@
+/**
+ * Recover a JSON object from model output that wraps it in markdown fences or commentary,
+ * leaves trailing commas, puts raw newlines inside strings or stops mid-object.
+ * Returns { value, repaired } or throws when nothing usable is found.
+ */
+export function parseJsonObject(text) {
+  const trimmed = (text || '').trim();
+  try {
+    const value = JSON.parse(trimmed);
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return { value, repaired: false };
+    }
+  } catch {
+    // Fall through to the repair pass
+  }
+
+  const start = trimmed.indexOf('{');
+  if (start === -1) {
+    throw new Error('Response contains no JSON object');
+  }
+
+  const candidate = repairJson(trimmed.slice(start));
+  try {
+    return { value: JSON.parse(candidate), repaired: true };
+  } catch (error) {
+    throw new Error(`Response is not valid JSON even after repair: ${error.message}`);
+  }
+}
+
+function dropTrailingComma(output) {
+  return output.replace(/,\s*$/, '');
+}
+
+/**
+ * Copy the first top-level object, fixing what JSON.parse would reject.
+ * Anything after the closing brace is ignored; an unterminated object is closed.
+ */
+function repairJson(text) {
+  const closers = [];
+  let output = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n') {
+        output += '\\n';
+        continue;
+      } else if (char === '\r' || char === '\t') {
+        output += char === '\t' ? '\\t' : '';
+        continue;
+      }
+      output += char;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      output = dropTrailingComma(output.trimEnd());
+      closers.pop();
+      output += char;
+      if (closers.length === 0) return output;
+      continue;
+    }
+    output += char;
+  }
+
+  // Truncated output: close the open string, drop a dangling key or value separator, close the brackets
+  if (inString) output += '"';
+  output = output.trimEnd();
+  if (output.endsWith(':')) {
+    output = output.replace(/"(?:[^"\\]|\\.)*"\s*:$/, '');
+  } else if (closers[closers.length - 1] === '}' && /[{,]\s*"(?:[^"\\]|\\.)*"$/.test(output)) {
+    output = output.replace(/"(?:[^"\\]|\\.)*"$/, '');
+  }
+  output = dropTrailingComma(output.trimEnd());
+  return output + closers.reverse().join('');
+}
@@ -0,0 +1,68 @@
+import { readLines } from './read-lines.js';
+
+/**
+ * Adapter for a local or self-hosted Ollama server (/api/chat)
+ */
+export function createOllamaProvider() {
+  const baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+
+  return {
+    name: 'ollama',
+    label: 'Ollama',
+    defaultModels: {
+      scraping: process.env.OLLAMA_MODEL_SCRAPING || 'llama3.1',
+      messaging: process.env.OLLAMA_MODEL_MESSAGING || 'llama3.1'
+    },
+
+    configError() {
+      return null;
+    },
+
+    async generate({ model, prompt, signal, responseSchema }) {
+      const response = await request({ model, prompt, signal, stream: false, responseSchema });
+      const data = await response.json();
+      return { text: data.message?.content || '', usage: readUsage(data) };
+    },
+
+    // Newline-delimited JSON, one object per chunk until "done": true (which carries the token counts)
+    async *stream({ model, prompt, signal, onUsage }) {
+      const response = await request({ model, prompt, signal, stream: true });
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.message?.content) yield data.message.content;
+        if (data.done) {
+          onUsage?.(readUsage(data));
+          return;
+        }
+      }
+    }
+  };
+
+  function readUsage(data) {
+    return data.prompt_eval_count !== undefined || data.eval_count !== undefined
+      ? { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+      : null;
+  }
+
+  async function request({ model, prompt, signal, stream, responseSchema }) {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({
+        model,
+        stream,
+        messages: [{ role: 'user', content: prompt }],
+        // Ollama 0.5+ constrains the output to a JSON schema passed as format
+        ...(responseSchema && { format: responseSchema })
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Ollama request failed (${response.status}): ${body.substring(0, 300)}`);
+    }
+    return response;
+  }
+}
@@ -0,0 +1,81 @@
+import { readLines } from './read-lines.js';
+
+/**
+ * Adapter for any OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, LiteLLM, ...)
+ */
+export function createOpenAiCompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModels: {
+      scraping: process.env.OPENAI_MODEL_SCRAPING || 'gpt-4o-mini',
+      messaging: process.env.OPENAI_MODEL_MESSAGING || 'gpt-4o'
+    },
+
+    configError() {
+      // Self-hosted servers often need no key, but then the base URL must point at them
+      if (!process.env.OPENAI_API_KEY && !process.env.OPENAI_BASE_URL) {
+        return 'OpenAI-compatible provider not configured. Please add OPENAI_API_KEY and/or OPENAI_BASE_URL to your .env file';
+      }
+      return null;
+    },
+
+    async generate({ model, prompt, signal, responseSchema }) {
+      const response = await request({ model, prompt, signal, stream: false, responseSchema });
+      const data = await response.json();
+      return { text: data.choices?.[0]?.message?.content || '', usage: readUsage(data) };
+    },
+
+    // Server-sent events: one "data: {json}" line per delta, terminated by "data: [DONE]".
+    // The token counts come in a last chunk without choices.
+    async *stream({ model, prompt, signal, onUsage }) {
+      const response = await request({ model, prompt, signal, stream: true });
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        const data = JSON.parse(payload);
+        if (data.usage) onUsage?.(readUsage(data));
+        const text = data.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+
+  function readUsage(data) {
+    return data.usage
+      ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+      : null;
+  }
+
+  async function request({ model, prompt, signal, stream, responseSchema }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        stream,
+        ...(stream && { stream_options: { include_usage: true } }),
+        messages: [{ role: 'user', content: prompt }],
+        ...(responseSchema && {
+          response_format: { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+        })
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible request failed (${response.status}): ${body.substring(0, 300)}`);
+    }
+    return response;
+  }
+}
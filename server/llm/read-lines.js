@@ -0,0 +1,19 @@
+/**
+ * Iterate over the lines of a fetch() response body stream
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
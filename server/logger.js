@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values are credentials - always replaced, whatever the settings
+const SECRET_KEY = /cookie|li_?at|passw|secret|authorization|api_?key|master_?key|^token$|session_?token|access_?token/i;
+
+// Fields holding a prospect's (or user's) personal data, page text or message content -
+// replaced by a short hash so the same value can still be followed across log lines
+const PII_KEYS = new Set([
+  'name', 'firstname', 'lastname', 'fullname', 'accountname', 'email', 'phone', 'headline', 'about', 'location',
+  'profileurl', 'companyurl', 'profile', 'profiledata', 'fullprofiledata', 'senderprofile',
+  'experience', 'education', 'skills', 'positions', 'activity', 'notes',
+  'pagecontent', 'content', 'text', 'prompt', 'responsetext', 'message', 'messages',
+  'personalizedmessage', 'finalmessage', 'variants', 'thread', 'repliedto'
+]);
+
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 6;
+
+// Request id (and any other fields) of the work in progress, set per request by the
+// API middleware and per campaign row by the runner
+const context = new AsyncLocalStorage();
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+function redactPii() {
+  return process.env.LOG_REDACT_PII !== 'false';
+}
+
+function shortHash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 8);
+}
+
+// Values of the secrets in the environment, wherever they end up in a string
+function envSecrets() {
+  return ['GOOGLE_AI_API_KEY', 'OPENAI_API_KEY', 'LINKEDIN_COOKIE', 'CREDENTIAL_MASTER_KEY']
+    .map(name => process.env[name])
+    .filter(value => value && value.length >= 8);
+}
+
+/**
+ * Mask secrets (and, unless LOG_REDACT_PII=false, emails and LinkedIn profile slugs) inside free text
+ */
+function redactText(text) {
+  let result = text;
+  for (const secret of envSecrets()) {
+    result = result.split(secret).join('[redacted]');
+  }
+  result = result
+    .replace(/AIza[0-9A-Za-z_-]{30,}/g, '[redacted]')
+    .replace(/\bsk-[A-Za-z0-9_-]{16,}/g, '[redacted]')
+    .replace(/\b(Bearer)\s+[^\s"']+/gi, '$1 [redacted]')
+    .replace(/\b(li_at=)[^;\s"']+/gi, '$1[redacted]');
+  if (redactPii()) {
+    result = result
+      .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, match => `[email:${shortHash(match)}]`)
+      .replace(/(linkedin\.com\/in\/)([^/?#\s"']+)/gi, (match, prefix, slug) => `${prefix}[pii:${shortHash(slug.toLowerCase())}]`);
+  }
+  if (result.length > MAX_STRING_LENGTH) {
+    result = `${result.slice(0, MAX_STRING_LENGTH)}… (${result.length - MAX_STRING_LENGTH} more chars)`;
+  }
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(error.message || ''),
+    ...(error.status && { status: error.status }),
+    ...(error.code && { code: error.code }),
+    ...(error.stack && { stack: redactText(error.stack) })
+  };
+}
+
+/**
+ * Copy of a log field value with secrets and personal data masked
+ */
+function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_KEY.test(key)) return '[redacted]';
+  if (key && redactPii() && PII_KEYS.has(key.toLowerCase())) {
+    return `[pii:${shortHash(typeof value === 'string' ? value : JSON.stringify(value))}]`;
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactText(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+function formatPretty(record) {
+  const { time, level, component, msg, ...fields } = record;
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${details ? ` ${details}` : ''}`;
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < LEVELS[getLevel()]) return;
+
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    ...(component && { component }),
+    msg: redactText(String(msg)),
+    ...redact({ ...context.getStore(), ...fields })
+  };
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(record) : JSON.stringify(record);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Logger for a part of the server, e.g. createLogger('Scraper').
+ * log.info(message, fields) writes one JSON line (LOG_FORMAT=pretty for plain text) at or
+ * above LOG_LEVEL, with the current request id and secrets and personal data masked.
+ * An `error` field is written with its name, message and stack.
+ */
+export function createLogger(component) {
+  const log = {};
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    log[level] = (msg, fields) => write(level, component, msg, fields);
+  }
+  return log;
+}
+
+/**
+ * Run fn with fields (e.g. { requestId }) added to every log line written while it,
+ * and anything it starts, runs
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
@@ -0,0 +1,540 @@
+import { generateText, streamText } from './llm/index.js';
+import {
+  analyzeTemplate,
+  renderTemplate,
+  resolveProfileValues,
+  findLeftoverPlaceholders
+} from '../shared/template-engine.js';
+import { HttpError } from './http-error.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Message');
+
+export const DEFAULT_DATA_INCLUSION = {
+  about: true,
+  experience: true,
+  skills: true,
+  education: true,
+  companyDetails: false,
+  activity: false
+};
+
+/**
+ * A request's data inclusion flags, with the defaults for those left out (or all of them
+ * for null). Anything but an object is a 400.
+ */
+export function normalizeDataInclusion(dataInclusion) {
+  if (dataInclusion === undefined || dataInclusion === null) return { ...DEFAULT_DATA_INCLUSION };
+  if (typeof dataInclusion !== 'object' || Array.isArray(dataInclusion)) {
+    throw new HttpError(400, 'dataInclusion must be an object of flags, e.g. { "about": true, "activity": false }');
+  }
+  return { ...DEFAULT_DATA_INCLUSION, ...dataInclusion };
+}
+
+export const MAX_VARIANTS = 4;
+
+// Tone presets a variant can be written in
+export const TONE_PRESETS = {
+  friendly: 'Warm, friendly and approachable, like reaching out to a friend of a friend',
+  professional: 'Polished and professional, respectful of their time',
+  concise: 'Very short and direct - get to the point in as few sentences as possible',
+  enthusiastic: 'Energetic and enthusiastic, showing genuine excitement about their work',
+  casual: 'Relaxed and conversational, no corporate language'
+};
+
+// LinkedIn message types and their hard character limits
+export const MESSAGE_TYPES = {
+  connection_note: {
+    label: 'Connection note',
+    maxLength: 300,
+    guidance: 'A note attached to a connection request. One or two short sentences: who you are, why you want to connect. No pitch, no links.'
+  },
+  direct_message: {
+    label: 'Direct message',
+    maxLength: 8000,
+    guidance: 'A direct message to a 1st-degree connection. Conversational, a few short paragraphs at most.'
+  },
+  inmail: {
+    label: 'InMail',
+    maxLength: 1900,
+    subjectMaxLength: 200,
+    guidance: 'An InMail to someone outside your network. It needs a short, specific subject line and a body that earns a reply from a stranger.'
+  },
+  follow_up: {
+    label: 'Follow-up',
+    maxLength: 8000,
+    guidance: 'A follow-up to an earlier message that got no reply. Short, friendly, adds something new instead of repeating the first message, never guilt-trips.'
+  }
+};
+
+export const DEFAULT_MESSAGE_TYPE = 'direct_message';
+
+// What a drafted reply should try to achieve
+export const REPLY_GOALS = {
+  book_call: {
+    label: 'Book a call',
+    instruction: 'Move towards a short call: suggest one or two concrete time windows or ask for a good time, and keep it low-pressure'
+  },
+  share_deck: {
+    label: 'Share deck',
+    instruction: 'Offer to share the deck or more material: say in one line what it covers and why it is relevant to them, and ask if you should send it over'
+  },
+  answer_question: {
+    label: 'Answer their question',
+    instruction: 'Answer what they asked directly and honestly, then leave the door open for the next step without pushing'
+  },
+  politely_close: {
+    label: 'Politely close',
+    instruction: 'Wrap up the conversation graciously: thank them, respect their answer, leave a good impression and do not try to change their mind'
+  }
+};
+
+// How many times the model is asked to shorten a draft that is over the limit
+const MAX_SHORTEN_ATTEMPTS = 2;
+
+// Positions listed in the prompt - older roles rarely matter for outreach
+const MAX_PROMPT_POSITIONS = 5;
+
+// When no tones are picked, nudge each variant towards a different hook so drafts don't converge
+const VARIANT_ANGLES = [
+  'their current role and company',
+  'their career path and past experience',
+  'their skills and areas of expertise',
+  'something specific from their about/summary section'
+];
+
+// Earlier messages of a sequence, e.g. "1. Connection note (sent 2024-05-02):" followed by the text
+function formatPreviousMessages(messages) {
+  return messages.map((m, i) => {
+    const label = MESSAGE_TYPES[m.messageType]?.label || 'Message';
+    const sent = m.sentAt ? ` (sent ${m.sentAt.slice(0, 10)})` : '';
+    return `${i + 1}. ${label}${sent}:\n${m.message}`;
+  }).join('\n\n');
+}
+
+// Most recent positions with their descriptions, one indented line each
+function formatPositions(positions) {
+  return positions.slice(0, MAX_PROMPT_POSITIONS).map(p => {
+    const range = [p.startDate, p.current ? 'Present' : p.endDate].filter(Boolean).join(' - ');
+    const role = [p.title, p.company].filter(Boolean).join(' at ') + (range ? ` (${range})` : '');
+    const description = (p.description || '').length > 300 ? `${p.description.slice(0, 300)}...` : p.description || '';
+    return `  • ${role}${description ? ` - ${description.replace(/\s*\n\s*/g, ' ')}` : ''}`;
+  }).join('\n');
+}
+
+// What the company does, its key facts and what it posted lately
+function formatCompanyDetails(company) {
+  const facts = [
+    company.industry && `Industry: ${company.industry}`,
+    company.size && `Size: ${company.size}`,
+    company.headquarters && `Headquarters: ${company.headquarters}`,
+    company.founded && `Founded: ${company.founded}`
+  ].filter(Boolean);
+
+  const lines = [`- Company Details (${company.name || 'current company'}):`];
+  if (company.description) {
+    lines.push(`  • About: ${company.description.length > 600 ? `${company.description.slice(0, 600)}...` : company.description}`);
+  }
+  if (facts.length > 0) lines.push(`  • ${facts.join(' · ')}`);
+  if (company.specialties) lines.push(`  • Specialties: ${company.specialties}`);
+  if (company.recentPosts?.length > 0) {
+    lines.push('  • Recent company posts:');
+    for (const post of company.recentPosts) {
+      lines.push(`    - "${post.text}"${post.postedAgo ? ` (${post.postedAgo} ago)` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// The sender's own background, kept short - it is context, not the subject of the message
+function buildSenderInfo(sender) {
+  const role = [sender.title, sender.company].filter(Boolean).join(' at ');
+  return [
+    `- Name: ${sender.name}`,
+    role && `- Current Role: ${role}`,
+    sender.headline && `- Headline: ${sender.headline}`,
+    sender.experience && `- Experience: ${sender.experience}`,
+    sender.education && `- Education: ${sender.education}`,
+    sender.skills && `- Skills: ${sender.skills}`,
+    sender.interests && `- Interests: ${sender.interests}`
+  ].filter(Boolean).join('\n');
+}
+
+// Latest posts and comments with their age and engagement, newest first
+function formatActivity(activity) {
+  const lines = ['- Recent Activity (newest first):'];
+  for (const item of activity) {
+    const meta = [
+      item.type,
+      item.postedAgo && `${item.postedAgo} ago`,
+      item.reactions && `${item.reactions} reactions`,
+      item.comments && `${item.comments} comments`
+    ].filter(Boolean).join(', ');
+    lines.push(item.comment
+      ? `  • [${meta}] Commented "${item.comment}" on a post: "${item.text}"`
+      : `  • [${meta}] "${item.text}"`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the profile info block for the prompt based on data inclusion settings
+ */
+export function buildProfileInfo(profileData, dataInclusion = DEFAULT_DATA_INCLUSION) {
+  const profileInfoParts = [
+    `- Name: ${profileData.name || 'Unknown'}`,
+    `- Current Title: ${profileData.title || 'Not provided'}`,
+    `- Headline: ${profileData.headline || 'Not provided'}`,
+    `- Company: ${profileData.company || 'Not provided'}`,
+    `- Location: ${profileData.location || 'Not provided'}`
+  ];
+  if (profileData.industry) {
+    profileInfoParts.push(`- Industry: ${profileData.industry}`);
+  }
+
+  if (dataInclusion.about) {
+    profileInfoParts.push(`- About/Summary: ${profileData.about || 'Not provided'}`);
+  }
+  if (dataInclusion.experience) {
+    profileInfoParts.push(profileData.positions?.length > 0
+      ? `- Experience:\n${formatPositions(profileData.positions)}`
+      : `- Experience: ${profileData.experience || 'Not provided'}`);
+  }
+  if (dataInclusion.skills) {
+    profileInfoParts.push(`- Skills: ${profileData.skills || 'Not provided'}`);
+    if (profileData.languages?.length > 0) {
+      profileInfoParts.push(`- Languages: ${profileData.languages.map(l => l.proficiency ? `${l.name} (${l.proficiency})` : l.name).join(', ')}`);
+    }
+  }
+  if (dataInclusion.education) {
+    profileInfoParts.push(`- Education: ${profileData.education || 'Not provided'}`);
+    if (profileData.certifications?.length > 0) {
+      profileInfoParts.push(`- Certifications: ${profileData.certifications.map(c => [c.name, c.issuer].filter(Boolean).join(' - ')).join('; ')}`);
+    }
+  }
+
+  if (dataInclusion.companyDetails && profileData.companyDetails) {
+    profileInfoParts.push(formatCompanyDetails(profileData.companyDetails));
+  }
+  if (dataInclusion.activity && profileData.activity?.length > 0) {
+    profileInfoParts.push(formatActivity(profileData.activity));
+  }
+
+  return profileInfoParts.join('\n');
+}
+
+/**
+ * Fill the template's placeholders from the profile before the AI sees it.
+ * extraValues (e.g. campaign CSV columns) can fill placeholders the profile can't.
+ * Returns { text, warnings } - warnings cover syntax errors, unknown and unfilled placeholders.
+ */
+export function prepareTemplate(messageTemplate, profileData, extraValues = {}) {
+  const { unknown } = analyzeTemplate(messageTemplate, { extraFields: Object.keys(extraValues) });
+  const { text, unresolved, errors } = renderTemplate(messageTemplate, resolveProfileValues(profileData, extraValues));
+
+  const warnings = errors.map(message => ({ code: 'template_syntax', message }));
+  if (unknown.length > 0) {
+    warnings.push({
+      code: 'unknown_placeholder',
+      message: `Unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(n => `{${n}}`).join(', ')} - the AI was asked to write around ${unknown.length > 1 ? 'them' : 'it'}`,
+      placeholders: unknown
+    });
+  }
+  const missing = unresolved.filter(name => !unknown.includes(name));
+  if (missing.length > 0) {
+    warnings.push({
+      code: 'unresolved_placeholder',
+      message: `No profile value for ${missing.map(n => `{${n}}`).join(', ')} - add a fallback like {${missing[0]}|...} to control the wording`,
+      placeholders: missing
+    });
+  }
+
+  return { text, warnings };
+}
+
+function leftoverWarning(text) {
+  const leftover = findLeftoverPlaceholders(text);
+  return leftover.length > 0
+    ? [{ code: 'leftover_placeholder', message: `The message still contains ${leftover.join(', ')}`, placeholders: leftover }]
+    : [];
+}
+
+/**
+ * Build the full personalization prompt sent to the messaging model.
+ * messageTemplate should already have its placeholders filled (see prepareTemplate).
+ */
+export function buildMessagePrompt({ profileData, messageTemplate, systemPrompt, dataInclusion, tone, angle, messageType, sender, overlaps = [], previousMessages = [] }) {
+  const profileInfoString = buildProfileInfo(profileData, dataInclusion);
+  const type = MESSAGE_TYPES[messageType] || MESSAGE_TYPES[DEFAULT_MESSAGE_TYPE];
+
+  // Build the system context
+  const baseSystemPrompt = `You are an expert at writing personalized LinkedIn outreach messages.
+Your task is to take a message template and personalize it for a specific person based on their LinkedIn profile information.`;
+
+  const customContext = systemPrompt ? `\n\n**Additional Context & Instructions from User:**\n${systemPrompt}` : '';
+
+  const styleNotes = [];
+  if (tone && TONE_PRESETS[tone]) styleNotes.push(`- Tone: ${TONE_PRESETS[tone]}`);
+  if (angle) styleNotes.push(`- Lead with a reference to ${angle}`);
+  const styleContext = styleNotes.length > 0 ? `\n\n**Style for this draft:**\n${styleNotes.join('\n')}` : '';
+
+  const typeNotes = [
+    `- ${type.label}: ${type.guidance}`,
+    `- Hard limit: the message must be at most ${type.maxLength} characters including spaces`
+  ];
+  if (type.subjectMaxLength) {
+    typeNotes.push(`- Start with a subject line written exactly as "Subject: <subject>" (at most ${type.subjectMaxLength} characters), then a blank line, then the message`);
+  }
+  const typeContext = `\n\n**Message Type:**\n${typeNotes.join('\n')}`;
+
+  const senderContext = sender ? `\n\n**About the Sender (you are writing as this person):**\n${buildSenderInfo(sender)}` : '';
+  const overlapContext = overlaps.length > 0
+    ? `\n\n**Shared Background (suggested hooks):**\n${overlaps.map(o => `- ${o.detail}`).join('\n')}`
+    : '';
+  const threadContext = previousMessages.length > 0
+    ? `\n\n**Messages You Already Sent to This Person (oldest first):**\n${formatPreviousMessages(previousMessages)}`
+    : '';
+
+  // Optional instructions, numbered after the fixed ones
+  const extraInstructions = [
+    sender && `Write in the first person as the sender. ${overlaps.length > 0 ? 'If an item from Shared Background fits naturally, mention one of them' : 'Do not claim any shared background'} - never invent other connections or shared history`,
+    previousMessages.length > 0 && 'This message continues the conversation above - do not introduce yourself again or repeat points already made, refer back to the earlier message briefly if it helps, and move things one step forward'
+  ].filter(Boolean).map((text, i) => `\n${9 + i}. ${text}`).join('');
+
+  const hasActivity = dataInclusion?.activity && profileData.activity?.length > 0;
+  const referenceInstruction = hasActivity
+    ? 'Open with a reference to one specific recent post or comment from their Recent Activity - mention what it was about, pick the one most relevant to the message, and add other references to their background where appropriate'
+    : 'Add specific, relevant references to their background, experience, or skills where appropriate';
+
+  return `${baseSystemPrompt}${customContext}${typeContext}${styleContext}
+
+**Profile Information:**
+${profileInfoString}${senderContext}${overlapContext}${threadContext}
+
+**Original Message Template:**
+${messageTemplate}
+
+**Instructions:**
+1. Personalize the message template using the profile information
+2. Placeholders have already been filled in from the profile - keep those values as they are. If a {placeholder} is still left, rewrite that part so it reads naturally without it. Never invent a value for it and never leave {braces} in the message
+3. ${referenceInstruction}
+4. Keep the tone professional yet warm and authentic
+5. Make sure the message feels genuine and not generic
+6. Keep the message concise and impactful
+7. Do NOT make up information that wasn't provided
+8. If some information is missing, gracefully work around it${extraInstructions}
+
+**Output only the ${type.subjectMaxLength ? 'subject line and the personalized message' : 'personalized message'}, nothing else.**`;
+}
+
+// Conversation so far, oldest first, labelled by who wrote each message
+function formatThread(thread, prospectName) {
+  return thread.map(m => {
+    const author = m.from === 'them' ? (prospectName || 'Them') : 'You';
+    const sent = m.sentAt ? ` (${m.sentAt.slice(0, 10)})` : '';
+    return `[${author}${sent}]:\n${m.message}`;
+  }).join('\n\n');
+}
+
+/**
+ * Build the prompt for drafting an answer to the prospect's latest message.
+ * thread is [{ from: 'me' | 'them', message, sentAt? }], oldest first; goal is a REPLY_GOALS key;
+ * goalNote adds free-text detail (e.g. the deck link or the times that work).
+ */
+export function buildReplyPrompt({ profileData, thread, goal, goalNote, systemPrompt, dataInclusion, tone, messageType, sender }) {
+  const type = MESSAGE_TYPES[messageType] || MESSAGE_TYPES[DEFAULT_MESSAGE_TYPE];
+  const customContext = systemPrompt ? `\n\n**Additional Context & Instructions from User:**\n${systemPrompt}` : '';
+  const styleContext = tone && TONE_PRESETS[tone] ? `\n\n**Style for this draft:**\n- Tone: ${TONE_PRESETS[tone]}` : '';
+  const senderContext = sender ? `\n\n**About You (the sender):**\n${buildSenderInfo(sender)}` : '';
+  const goalContext = `\n\n**Goal of Your Reply:**\n- ${REPLY_GOALS[goal].label}: ${REPLY_GOALS[goal].instruction}${goalNote ? `\n- Details: ${goalNote}` : ''}`;
+
+  return `You are an expert at LinkedIn conversations. You are replying to a prospect who answered your outreach.${customContext}${styleContext}
+
+**Profile Information (the person you are replying to):**
+${buildProfileInfo(profileData, dataInclusion)}${senderContext}
+
+**Conversation So Far (oldest first):**
+${formatThread(thread, profileData.name)}${goalContext}
+
+**Instructions:**
+1. Reply to their latest message - respond to what they actually said, including any question or objection
+2. Work towards the goal above, but only as far as their reply allows - never ignore a "no"
+3. Do not repeat what you already said earlier in the conversation and do not introduce yourself again
+4. Match the length and formality of their message; keep it short
+5. Do NOT make up information that wasn't provided (no invented meetings, links, prices or availability)
+6. Write in the first person as the sender, in the language of their message
+7. The reply must be at most ${type.maxLength} characters including spaces
+
+**Output only the reply, nothing else.**`;
+}
+
+/**
+ * Split model output into { subject, message } - subject only for types that have one
+ */
+export function parseMessageOutput(text, messageType) {
+  const type = MESSAGE_TYPES[messageType] || MESSAGE_TYPES[DEFAULT_MESSAGE_TYPE];
+  const trimmed = text.trim();
+  if (!type.subjectMaxLength) {
+    return { message: trimmed };
+  }
+
+  const match = trimmed.match(/^\**subject:?\**:?\s*(.+?)\s*(?:\n+([\s\S]*))?$/i);
+  return match
+    ? { subject: match[1].trim(), message: (match[2] || '').trim() }
+    : { subject: '', message: trimmed };
+}
+
+/**
+ * List the parts of a draft that are over its type's limits
+ */
+export function checkMessageLimits({ subject, message }, messageType) {
+  const type = MESSAGE_TYPES[messageType] || MESSAGE_TYPES[DEFAULT_MESSAGE_TYPE];
+  const problems = [];
+  if (message.length > type.maxLength) {
+    problems.push(`The message is ${message.length} characters, the limit is ${type.maxLength}`);
+  }
+  if (type.subjectMaxLength && subject && subject.length > type.subjectMaxLength) {
+    problems.push(`The subject is ${subject.length} characters, the limit is ${type.subjectMaxLength}`);
+  }
+  return problems;
+}
+
+function buildShortenPrompt({ subject, message }, messageType, problems) {
+  const type = MESSAGE_TYPES[messageType] || MESSAGE_TYPES[DEFAULT_MESSAGE_TYPE];
+  const draft = type.subjectMaxLength ? `Subject: ${subject}\n\n${message}` : message;
+  // Aim a little under the limit so the rewrite doesn't land just over it again
+  const target = Math.floor(type.maxLength * 0.9);
+
+  return `You are editing a LinkedIn ${type.label.toLowerCase()} that is too long.
+
+**Problems:**
+${problems.map(p => `- ${p}`).join('\n')}
+
+**Message to shorten:**
+${draft}
+
+**Instructions:**
+1. Rewrite it to at most ${target} characters including spaces${type.subjectMaxLength ? `, with a subject of at most ${type.subjectMaxLength} characters` : ''}
+2. Keep the personal references and the main ask, drop filler first
+3. Keep the same tone and language
+${type.subjectMaxLength ? '4. Keep the "Subject: <subject>" line, a blank line, then the message\n' : ''}
+**Output only the shortened ${type.subjectMaxLength ? 'subject line and message' : 'message'}, nothing else.**`;
+}
+
+/**
+ * Generate a personalized message for one profile with the messaging LLM.
+ * sender/overlaps (see sender-profile.js) let the model write as the user and use shared background.
+ * previousMessages ([{ messageType, message, sentAt }]) are the earlier messages of a sequence.
+ * reply ({ thread, goal, goalNote }) drafts an answer to the prospect instead of filling the template.
+ * Pass onToken to stream the answer as it is written. Drafts over the message type's
+ * limit are sent back to the model to be shortened (reported via onProgress('shortening')).
+ * meter (see usage-store.js) records the token usage of every call, shortening included.
+ * Returns { message, subject?, overLimit, warnings, provider, model }
+ */
+export async function generatePersonalizedMessage({
+  profileData,
+  messageTemplate,
+  systemPrompt,
+  dataInclusion,
+  tone,
+  angle,
+  messageType = DEFAULT_MESSAGE_TYPE,
+  templateValues,
+  sender,
+  overlaps,
+  previousMessages,
+  reply,
+  llm,
+  signal,
+  onToken,
+  onProgress,
+  meter
+}) {
+  const template = reply ? { text: '', warnings: [] } : prepareTemplate(messageTemplate, profileData, templateValues);
+  const prompt = reply
+    ? buildReplyPrompt({
+        profileData,
+        ...reply,
+        systemPrompt,
+        dataInclusion: dataInclusion || DEFAULT_DATA_INCLUSION,
+        tone,
+        messageType,
+        sender
+      })
+    : buildMessagePrompt({
+        profileData,
+        messageTemplate: template.text,
+        systemPrompt,
+        dataInclusion: dataInclusion || DEFAULT_DATA_INCLUSION,
+        tone,
+        angle,
+        messageType,
+        sender,
+        overlaps,
+        previousMessages
+      });
+
+  const result = onToken
+    ? await streamText('messaging', prompt, { llm, signal, onToken, meter })
+    : await generateText('messaging', prompt, { llm, signal, meter });
+
+  let output = parseMessageOutput(result.text, messageType);
+  let problems = checkMessageLimits(output, messageType);
+
+  // Over the limit - ask the model to shorten it rather than cutting the text off
+  for (let attempt = 1; problems.length > 0 && attempt <= MAX_SHORTEN_ATTEMPTS; attempt++) {
+    log.info('Draft over limit, shortening', { problems, attempt });
+    onProgress?.('shortening');
+    const shortened = await generateText('messaging', buildShortenPrompt(output, messageType, problems), { llm, signal, meter });
+    output = parseMessageOutput(shortened.text, messageType);
+    problems = checkMessageLimits(output, messageType);
+  }
+
+  return {
+    ...output,
+    overLimit: problems.length > 0,
+    warnings: [...template.warnings, ...leftoverWarning(`${output.subject || ''}\n${output.message}`)],
+    provider: result.provider,
+    model: result.model
+  };
+}
+
+/**
+ * Generate several distinct drafts in parallel. Tones are assigned round-robin;
+ * without tones each draft gets a different opening angle.
+ * onToken(variantId, chunk) streams every draft as it is written.
+ * Returns { variants: [{ id, tone, message, subject?, overLimit, warnings }], warnings, provider, model } -
+ * the top-level warnings list template problems once plus leftover placeholders per draft.
+ */
+export async function generateMessageVariants({ count = 1, tones = [], onToken, ...options }) {
+  const total = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_VARIANTS);
+  const validTones = (tones || []).filter(t => TONE_PRESETS[t]);
+
+  const results = await Promise.all(Array.from({ length: total }, (_, i) => {
+    const tone = validTones.length > 0 ? validTones[i % validTones.length] : null;
+    // A single draft without a tone keeps the original, unconstrained prompt
+    const angle = total > 1 && !tone ? VARIANT_ANGLES[i % VARIANT_ANGLES.length] : null;
+    const onVariantToken = onToken ? chunk => onToken(i + 1, chunk) : undefined;
+    return generatePersonalizedMessage({ ...options, tone, angle, onToken: onVariantToken })
+      .then(result => ({ ...result, tone }));
+  }));
+
+  return {
+    variants: results.map((result, i) => ({
+      id: i + 1,
+      tone: result.tone,
+      ...(result.subject !== undefined && { subject: result.subject }),
+      message: result.message,
+      overLimit: result.overLimit,
+      warnings: result.warnings.filter(w => w.code === 'leftover_placeholder')
+    })),
+    warnings: [
+      ...results[0].warnings.filter(w => w.code !== 'leftover_placeholder'),
+      ...results.flatMap((result, i) => result.warnings
+        .filter(w => w.code === 'leftover_placeholder')
+        .map(w => ({ ...w, variantId: i + 1 })))
+    ],
+    provider: results[0].provider,
+    model: results[0].model
+  };
+}
@@ -0,0 +1,281 @@
+import { getProfile } from './profile-cache.js';
+import {
+  generateMessageVariants,
+  normalizeDataInclusion,
+  DEFAULT_MESSAGE_TYPE,
+  MESSAGE_TYPES,
+  REPLY_GOALS
+} from './message-generator.js';
+import { getLlmConfigError } from './llm/index.js';
+import { HttpError } from './http-error.js';
+import { createHistoryEntry, getHistoryEntry, updateHistoryEntry } from './history-store.js';
+import { LinkedInSessionError } from './linkedin-session.js';
+import { LinkedInRateLimitError } from './linkedin-throttle.js';
+import { getSenderProfile, findOverlaps } from './sender-profile.js';
+import { resolveTemplateVersion } from './template-store.js';
+import { resolveLinkedinCookie } from './credential-vault.js';
+import { createUsageMeter } from './usage-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('API');
+
+const MAX_THREAD_MESSAGES = 50;
+
+/**
+ * Check a reply thread: [{ from: 'me' | 'them', message, sentAt? }], oldest first,
+ * ending with the prospect's message we are answering
+ */
+function validateThread(thread) {
+  if (!Array.isArray(thread) || thread.length === 0) {
+    throw new HttpError(400, 'thread is required: the conversation so far, ending with their reply');
+  }
+  if (thread.length > MAX_THREAD_MESSAGES) {
+    throw new HttpError(400, `thread is limited to ${MAX_THREAD_MESSAGES} messages`);
+  }
+  if (thread.some(m => !['me', 'them'].includes(m?.from) || typeof m.message !== 'string' || !m.message.trim())) {
+    throw new HttpError(400, 'thread must be a list of { from: "me" | "them", message, sentAt? }');
+  }
+  if (thread[thread.length - 1].from !== 'them') {
+    throw new HttpError(400, 'The last message of the thread must be their reply');
+  }
+  return thread.map(({ from, message, sentAt }) => ({
+    from,
+    message: message.trim(),
+    sentAt: typeof sentAt === 'string' ? sentAt : null
+  }));
+}
+
+/**
+ * Full generate-message flow shared by the JSON and streaming endpoints:
+ * validate the request, load the profile (manual, cached or scraped), write the drafts
+ * and record them in the outreach history (unless saveHistory is false, e.g. for a regenerate).
+ * The stored sender profile is used unless useSenderProfile is false. templateId (a library
+ * template) records which version of it the drafts were written from.
+ * mode 'reply' drafts an answer instead: it takes the conversation `thread`, a `goal` (REPLY_GOALS)
+ * and an optional `goalNote`, needs no template, and can reuse the profile of the history entry
+ * `historyId` (the message they replied to), which is then marked replied.
+ * Everything read or written (templates, history, sender profile, LinkedIn accounts) is userId's.
+ * Throws HttpError for problems the client should act on.
+ *
+ * hooks.onProgress(stage, details) - 'cache' | 'browser' | 'navigating' | 'details' | 'extracting' | 'company' | 'activity' | 'profile' | 'generating' | 'shortening'
+ * hooks.onToken(variantId, chunk)  - streams the drafts as they are written
+ * hooks.signal                     - AbortSignal to stop work when the client goes away
+ * hooks.historyFields              - extra fields stored on the history entry (e.g. the sequence step)
+ */
+export async function generateMessageForRequest(userId, body, { onProgress, onToken, signal, historyFields } = {}) {
+  const { 
+    profileUrl, 
+    messageTemplate, 
+    systemPrompt, 
+    templateId,
+    dataInclusion: requestedInclusion,
+    manualProfileData, 
+    linkedinAccountId,
+    linkedinCookie,
+    forceRefresh = false,
+    variants: variantCount = 1,
+    tones = [],
+    messageType = DEFAULT_MESSAGE_TYPE,
+    llm = {},
+    useSenderProfile = true,
+    previousMessages = [],
+    mode = 'message',
+    thread,
+    goal,
+    goalNote,
+    historyId,
+    saveHistory = true
+  } = body;
+
+  if (!['message', 'reply'].includes(mode)) {
+    throw new HttpError(400, `Unknown mode "${mode}". Use message or reply`);
+  }
+  const replying = mode === 'reply';
+  const dataInclusion = normalizeDataInclusion(requestedInclusion);
+
+  // The message they replied to, whose profile snapshot the reply can reuse
+  const repliedTo = replying && historyId ? getHistoryEntry(userId, historyId) : null;
+  if (replying && historyId && !repliedTo) {
+    throw new HttpError(404, 'History entry not found');
+  }
+
+  if (!profileUrl && !manualProfileData && !repliedTo) {
+    throw new HttpError(400, 'Please provide a LinkedIn profile URL or manual profile data');
+  }
+
+  if (!messageTemplate && !replying) {
+    throw new HttpError(400, 'Message template is required');
+  }
+
+  let reply = null;
+  if (replying) {
+    if (!REPLY_GOALS[goal]) {
+      throw new HttpError(400, `Unknown goal "${goal}". Use one of: ${Object.keys(REPLY_GOALS).join(', ')}`);
+    }
+    if (goalNote !== undefined && typeof goalNote !== 'string') {
+      throw new HttpError(400, 'goalNote must be a string');
+    }
+    reply = { thread: validateThread(thread), goal, goalNote: goalNote?.trim() || '' };
+  }
+
+  if (!MESSAGE_TYPES[messageType]) {
+    throw new HttpError(400, `Unknown message type "${messageType}". Use one of: ${Object.keys(MESSAGE_TYPES).join(', ')}`);
+  }
+
+  if (!Array.isArray(previousMessages) || previousMessages.some(m => typeof m?.message !== 'string')) {
+    throw new HttpError(400, 'previousMessages must be a list of { message, messageType?, sentAt? }');
+  }
+
+  const llmConfigError = getLlmConfigError('messaging', llm.messaging);
+  if (llmConfigError) {
+    throw new HttpError(500, llmConfigError);
+  }
+
+  // Every model call of this request - profile extraction and drafts - is accounted to the user and template
+  const templateRef = replying ? null : resolveTemplateVersion(userId, templateId, { template: messageTemplate, systemPrompt, dataInclusion });
+  const meter = createUsageMeter({
+    userId,
+    source: replying ? 'reply' : historyFields?.sequenceId ? 'sequence' : 'single',
+    templateId: templateRef?.templateId,
+    templateName: templateRef?.templateName
+  });
+
+  // Get profile data - either from cache/scraping or manual input
+  let profileData;
+  let profileCache = null;
+  
+  if (manualProfileData && Object.keys(manualProfileData).length > 0) {
+    profileData = manualProfileData;
+  } else if (repliedTo && Object.keys(repliedTo.profileData).length > 0 && !forceRefresh) {
+    profileData = repliedTo.profileData;
+  } else {
+    // Check if we have a LinkedIn cookie for scraping (stored account, request or environment)
+    const liAtCookie = resolveLinkedinCookie(userId, { linkedinAccountId, linkedinCookie }).cookie;
+    if (!liAtCookie) {
+      throw new HttpError(400, 'A LinkedIn account (li_at cookie) is required for scraping. Please add one in settings or enter profile details manually.', {
+        requireManualInput: true,
+        requireCookie: true
+      });
+    }
+    
+    // Use the cached profile if we have a fresh one, otherwise scrape with Puppeteer
+    try {
+      onProgress?.('cache');
+      const result = await getProfile(profileUrl || repliedTo.profileUrl, liAtCookie, {
+        forceRefresh,
+        includeCompany: !!dataInclusion.companyDetails,
+        includeActivity: !!dataInclusion.activity,
+        llm: llm.scraping,
+        onProgress,
+        signal,
+        meter
+      });
+      profileData = result.profileData;
+      profileCache = { hit: result.fromCache, scrapedAt: result.scrapedAt };
+    } catch (scrapeError) {
+      if (signal?.aborted) throw scrapeError;
+      if (scrapeError instanceof LinkedInRateLimitError) {
+        throw new HttpError(429, scrapeError.message, {
+          rateLimited: true,
+          retryAfter: scrapeError.retryAfter,
+          requireManualInput: true
+        });
+      }
+      log.warn('Scraping failed', { error: scrapeError.message });
+      throw new HttpError(400, `Could not fetch LinkedIn profile: ${scrapeError.message}`, {
+        requireManualInput: true,
+        ...(scrapeError instanceof LinkedInSessionError && { sessionExpired: true })
+      });
+    }
+  }
+
+  // Store full profile data before filtering
+  const fullProfileData = { ...profileData };
+  const profileSummary = {
+    name: profileData.name,
+    title: profileData.title,
+    headline: profileData.headline,
+    company: profileData.company,
+    location: profileData.location,
+    industry: profileData.industry,
+    about: profileData.about,
+    experience: profileData.experience,
+    skills: profileData.skills,
+    education: profileData.education,
+    profileUrl: profileData.profileUrl
+  };
+
+  // Shared background with the user's own profile, if they set one up
+  const sender = useSenderProfile ? getSenderProfile(userId) : null;
+  const overlaps = findOverlaps(sender, profileData);
+  onProgress?.('profile', { profileData: profileSummary, fullProfileData, profileCache, overlaps });
+
+  // Generate one or more personalized drafts with the configured messaging model
+  onProgress?.('generating');
+  const { variants, warnings, provider, model } = await generateMessageVariants({
+    count: variantCount,
+    tones,
+    profileData,
+    messageTemplate,
+    systemPrompt,
+    dataInclusion,
+    messageType,
+    sender,
+    overlaps,
+    previousMessages,
+    reply,
+    llm: llm.messaging,
+    signal,
+    onToken,
+    onProgress,
+    meter
+  });
+  const usage = meter.summary();
+
+  log.debug('Profile data being returned', { fullProfileData });
+
+  const historyEntry = saveHistory
+    ? createHistoryEntry(userId, {
+        profileUrl: profileData.profileUrl || profileUrl || repliedTo?.profileUrl,
+        profileData: fullProfileData,
+        template: replying ? '' : messageTemplate,
+        ...templateRef,
+        ...(replying && { source: 'reply', thread: reply.thread, goal, goalNote: reply.goalNote, replyTo: repliedTo?.id }),
+        systemPrompt,
+        dataInclusion,
+        messageType,
+        llm: { provider, model },
+        usage,
+        variants,
+        overlaps,
+        ...historyFields
+      })
+    : null;
+
+  // Their reply answers our message
+  if (repliedTo && saveHistory && repliedTo.status !== 'replied') {
+    updateHistoryEntry(userId, repliedTo.id, { status: 'replied' });
+  }
+
+  return {
+    success: true,
+    historyId: historyEntry?.id || null,
+    mode,
+    ...(replying && { thread: reply.thread, goal }),
+    messageType,
+    limits: {
+      maxLength: MESSAGE_TYPES[messageType].maxLength,
+      subjectMaxLength: MESSAGE_TYPES[messageType].subjectMaxLength || null
+    },
+    originalTemplate: replying ? '' : messageTemplate,
+    profileData: profileSummary,
+    fullProfileData: fullProfileData,
+    profileCache,
+    overlaps,
+    llm: { provider, model },
+    usage,
+    variants,
+    warnings,
+    personalizedMessage: variants[0].message
+  };
+}
@@ -0,0 +1,363 @@
+import { LinkedInSessionError, isAuthWallUrl } from './linkedin-session.js';
+import { LinkedInRateLimitError, paceNavigation } from './linkedin-throttle.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Capture');
+
+// Detail subpages that list every position / skill instead of the top few
+const DETAIL_PAGES = [
+  { path: 'details/experience/', heading: 'Experience' },
+  { path: 'details/skills/', heading: 'Skills' }
+];
+
+// LinkedIn pages opened per scrape, checked against the account's rate limits up front
+export const PROFILE_PAGE_VIEWS = 1 + DETAIL_PAGES.length;
+export const COMPANY_PAGE_VIEWS = 2;
+export const ACTIVITY_PAGE_VIEWS = 1;
+
+// Sections kept first when the document has to be cut to the token budget
+const SECTION_PRIORITY = [
+  'Profile', 'About', 'Experience', 'Education', 'Skills', 'Licenses & certifications',
+  'Languages', 'Volunteering', 'Projects', 'Honors & awards', 'Publications', 'Courses'
+];
+
+// Sidebar and recommendation blocks that describe other people
+const NOISE_SECTIONS = [
+  'people also viewed', 'people you may know', 'more profiles for you', 'you might like',
+  'explore premium profiles', 'other similar profiles', 'activity', 'interests', 'ad options'
+];
+
+// No single section may take more than this share of the budget
+const MAX_SECTION_SHARE = 0.4;
+
+const MAX_SCROLL_STEPS = 15;
+
+const MAX_COMPANY_POSTS = 3;
+const MAX_POST_LENGTH = 500;
+
+function getActivityLimit() {
+  return parseInt(process.env.LINKEDIN_ACTIVITY_LIMIT, 10) || 5;
+}
+
+// Rough characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getTokenBudget() {
+  return parseInt(process.env.PROFILE_CAPTURE_TOKEN_BUDGET, 10) || 6000;
+}
+
+/**
+ * Scroll to the bottom in steps so lazily rendered sections load
+ */
+async function autoScroll(page) {
+  for (let step = 0; step < MAX_SCROLL_STEPS; step++) {
+    const atBottom = await page.evaluate(() => {
+      window.scrollBy(0, window.innerHeight);
+      return window.innerHeight + window.scrollY >= document.body.scrollHeight - 10;
+    });
+    await sleep(400);
+    if (atBottom) break;
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+}
+
+/**
+ * Click the "…see more" toggles that truncate about texts and role descriptions.
+ * Returns the number of buttons clicked.
+ */
+async function expandSeeMore(page) {
+  const clicked = await page.evaluate(() => {
+    const buttons = [...document.querySelectorAll('main button, main [role="button"]')]
+      .filter(button => /^(…|\.\.\.)?\s*(see|show) more/i.test(button.innerText.trim()) ||
+        button.classList.contains('inline-show-more-text__button'))
+      .filter(button => button.getAttribute('aria-expanded') !== 'true');
+    buttons.forEach(button => button.click());
+    return buttons.length;
+  });
+  if (clicked > 0) await sleep(500);
+  return clicked;
+}
+
+/**
+ * Read the main profile column as { heading, text } sections. Screen-reader duplicates
+ * and the sidebar are left out.
+ */
+async function readSections(page) {
+  return page.evaluate(() => {
+    const main = document.querySelector('main.scaffold-layout__main, main') || document.body;
+    const clone = main.cloneNode(true);
+    clone.querySelectorAll('.visually-hidden, aside, script, style, button, [aria-hidden="true"] svg')
+      .forEach(element => element.remove());
+
+    const clean = element => {
+      const seen = new Set();
+      return (element.innerText || element.textContent || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        // LinkedIn renders most labels twice; keep the first occurrence of each line
+        .filter(line => line && !seen.has(line) && seen.add(line))
+        .join('\n');
+    };
+
+    // innerText needs the clone attached to lay out line breaks
+    clone.style.position = 'absolute';
+    clone.style.left = '-99999px';
+    document.body.appendChild(clone);
+
+    const sections = [];
+    const topCard = clone.querySelector('section.artdeco-card, .pv-top-card, section');
+    if (topCard && !topCard.querySelector('h2')) {
+      sections.push({ heading: 'Profile', text: clean(topCard) });
+    }
+    for (const section of clone.querySelectorAll('section')) {
+      const heading = section.querySelector('h2')?.innerText.split('\n')[0].trim();
+      if (!heading) continue;
+      sections.push({ heading, text: clean(section).split('\n').slice(1).join('\n') });
+    }
+    if (sections.length === 0) {
+      sections.push({ heading: 'Profile', text: clean(clone) });
+    }
+
+    clone.remove();
+    return sections;
+  });
+}
+
+/**
+ * Normalize a company link to https://www.linkedin.com/company/<slug>, or null if it isn't one
+ */
+export function normalizeCompanyUrl(url) {
+  const match = (url || '').match(/linkedin\.com\/company\/([^/?#]+)/i);
+  return match ? `https://www.linkedin.com/company/${match[1].toLowerCase()}` : null;
+}
+
+/**
+ * Link to the person's current company: the top card link, else the first experience entry's
+ */
+async function readCompanyLink(page) {
+  const href = await page.evaluate(() => {
+    const main = document.querySelector('main.scaffold-layout__main, main') || document.body;
+    const link = main.querySelector('[aria-label^="Current company"] a[href*="/company/"], .pv-text-details__right-panel a[href*="/company/"]') ||
+      main.querySelector('a[href*="/company/"]');
+    return link?.href || '';
+  });
+  return normalizeCompanyUrl(href);
+}
+
+/**
+ * Open a detail subpage and return its text, or null when it can't be read
+ */
+async function readDetailPage(page, url, signal) {
+  signal?.throwIfAborted();
+  try {
+    await paceNavigation(page, { signal });
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await sleep(1500);
+    if (isAuthWallUrl(page.url())) {
+      throw new LinkedInSessionError();
+    }
+    await autoScroll(page);
+    await expandSeeMore(page);
+    const sections = await readSections(page);
+    return sections.map(section => section.text).join('\n').trim() || null;
+  } catch (error) {
+    if (error instanceof LinkedInSessionError || error instanceof LinkedInRateLimitError || signal?.aborted) throw error;
+    log.warn(`Could not read ${url}`, { error: error.message });
+    return null;
+  }
+}
+
+function priorityOf(heading) {
+  const index = SECTION_PRIORITY.findIndex(name => name.toLowerCase() === heading.toLowerCase());
+  return index === -1 ? SECTION_PRIORITY.length : index;
+}
+
+function truncate(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const lastLine = cut.lastIndexOf('\n');
+  return `${lastLine > maxChars / 2 ? cut.slice(0, lastLine) : cut}\n[...]`;
+}
+
+/**
+ * Join sections into one document that fits the budget: most useful sections first,
+ * each capped at a share of the budget, the rest cut once the budget runs out
+ */
+export function assembleDocument(sections, tokenBudget = getTokenBudget()) {
+  const maxChars = tokenBudget * CHARS_PER_TOKEN;
+  const sectionCap = Math.floor(maxChars * MAX_SECTION_SHARE);
+  const ordered = [...sections].sort((a, b) => priorityOf(a.heading) - priorityOf(b.heading));
+
+  const parts = [];
+  const dropped = [];
+  let remaining = maxChars;
+  for (const section of ordered) {
+    const header = `## ${section.heading}\n`;
+    const room = Math.min(sectionCap, remaining - header.length - 2);
+    if (room < 100) {
+      dropped.push(section.heading);
+      continue;
+    }
+    const part = header + truncate(section.text, room);
+    parts.push(part);
+    remaining -= part.length + 2;
+  }
+
+  return {
+    text: parts.join('\n\n'),
+    truncated: dropped.length > 0 || parts.some(part => part.endsWith('[...]')),
+    dropped
+  };
+}
+
+/**
+ * Capture a profile for extraction. The page must already be on the profile URL.
+ * Scrolls and expands the main page, reads the experience and skills subpages and
+ * returns { text, sections, truncated, dropped, companyUrl } with text fitting PROFILE_CAPTURE_TOKEN_BUDGET.
+ */
+export async function captureProfilePage(page, profileUrl, { signal, onProgress } = {}) {
+  await autoScroll(page);
+  const expanded = await expandSeeMore(page);
+  log.debug('Expanded "see more" toggles', { expanded });
+
+  const sections = (await readSections(page))
+    .filter(section => section.text && !NOISE_SECTIONS.includes(section.heading.toLowerCase()));
+  const companyUrl = await readCompanyLink(page);
+
+  onProgress?.('details');
+  for (const detail of DETAIL_PAGES) {
+    const text = await readDetailPage(page, `${profileUrl}/${detail.path}`, signal);
+    if (!text) continue;
+    // The subpage lists everything the main page section only previews
+    const index = sections.findIndex(section => section.heading === detail.heading);
+    const section = { heading: detail.heading, text };
+    if (index === -1) sections.push(section);
+    else sections[index] = section;
+  }
+
+  const document = assembleDocument(sections);
+  log.info('Assembled page document', {
+    sections: sections.length,
+    chars: document.text.length,
+    truncated: document.truncated,
+    dropped: document.dropped
+  });
+
+  return { ...document, sections: sections.map(section => section.heading), companyUrl };
+}
+
+/**
+ * Read a company's about page (description and the facts list) and its latest posts.
+ * The page must already carry the session cookie. Returns the company details object.
+ */
+export async function captureCompanyPage(page, companyUrl, { signal } = {}) {
+  await paceNavigation(page, { signal });
+  await page.goto(`${companyUrl}/about/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await sleep(2000);
+  if (isAuthWallUrl(page.url())) {
+    throw new LinkedInSessionError();
+  }
+
+  // The about page lists its facts as <dt>/<dd> pairs (Website, Industry, Company size, ...)
+  const about = await page.evaluate(() => {
+    const text = element => element?.innerText.replace(/\s+\n/g, '\n').trim() || '';
+    const main = document.querySelector('main') || document.body;
+    const facts = {};
+    for (const term of main.querySelectorAll('dt')) {
+      const label = text(term).toLowerCase();
+      const value = text(term.nextElementSibling);
+      if (label && value && !facts[label]) facts[label] = value.split('\n')[0];
+    }
+    return {
+      name: text(main.querySelector('h1')),
+      description: text(main.querySelector('section p')),
+      facts
+    };
+  });
+
+  signal?.throwIfAborted();
+  let recentPosts = [];
+  try {
+    await paceNavigation(page, { signal });
+    await page.goto(`${companyUrl}/posts/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await sleep(2000);
+    await expandSeeMore(page);
+    recentPosts = await page.evaluate((maxPosts, maxLength) => {
+      return [...document.querySelectorAll('.feed-shared-update-v2')].slice(0, maxPosts).map(post => {
+        const body = post.querySelector('.update-components-text, .feed-shared-inline-show-more-text');
+        const posted = post.querySelector('.update-components-actor__sub-description');
+        return {
+          text: (body?.innerText || '').replace(/\s+/g, ' ').trim().slice(0, maxLength),
+          postedAgo: (posted?.innerText || '').split('•')[0].trim()
+        };
+      }).filter(post => post.text);
+    }, MAX_COMPANY_POSTS, MAX_POST_LENGTH);
+  } catch (error) {
+    if (error instanceof LinkedInRateLimitError || signal?.aborted) throw error;
+    log.warn(`Could not read posts for ${companyUrl}`, { error: error.message });
+  }
+
+  const fact = (...labels) => labels.map(label => about.facts[label]).find(Boolean) || '';
+  return {
+    name: about.name,
+    companyUrl,
+    description: about.description,
+    website: fact('website'),
+    industry: fact('industry'),
+    size: fact('company size', 'size'),
+    headquarters: fact('headquarters'),
+    founded: fact('founded'),
+    specialties: fact('specialties'),
+    recentPosts
+  };
+}
+
+/**
+ * Read the person's latest posts, reposts and comments from /recent-activity/all/.
+ * The page must already carry the session cookie. Returns up to LINKEDIN_ACTIVITY_LIMIT
+ * items as { type, text, postedAgo, reactions, comments, url }, newest first.
+ */
+export async function captureRecentActivity(page, profileUrl, { signal } = {}) {
+  await paceNavigation(page, { signal });
+  await page.goto(`${profileUrl}/recent-activity/all/`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await sleep(2000);
+  if (isAuthWallUrl(page.url())) {
+    throw new LinkedInSessionError();
+  }
+
+  signal?.throwIfAborted();
+  const limit = getActivityLimit();
+  // A few screens are enough to load the latest items
+  for (let step = 0; step < Math.min(MAX_SCROLL_STEPS, Math.ceil(limit / 2)); step++) {
+    await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+    await sleep(500);
+  }
+  await expandSeeMore(page);
+
+  return page.evaluate((maxItems, maxLength) => {
+    const text = element => (element?.innerText || '').replace(/\s+/g, ' ').trim();
+    const count = value => parseInt(value.replace(/[^\d]/g, ''), 10) || 0;
+
+    return [...document.querySelectorAll('.feed-shared-update-v2')].slice(0, maxItems).map(item => {
+      // The header says "X commented on this" / "X reposted this"; plain posts have none
+      const header = text(item.querySelector('.update-components-header__text-view, .update-components-header')).toLowerCase();
+      const type = header.includes('comment') ? 'comment' : header.includes('repost') ? 'repost' : 'post';
+      const comment = type === 'comment'
+        ? text(item.querySelector('.comments-comment-item__main-content, .comments-comment-entity .update-components-text'))
+        : '';
+      const urn = item.getAttribute('data-urn') || item.closest('[data-urn]')?.getAttribute('data-urn') || '';
+
+      return {
+        type,
+        text: text(item.querySelector('.update-components-text, .feed-shared-inline-show-more-text')).slice(0, maxLength),
+        ...(comment && { comment: comment.slice(0, maxLength) }),
+        postedAgo: text(item.querySelector('.update-components-actor__sub-description')).split('•')[0].trim(),
+        reactions: count(text(item.querySelector('.social-details-social-counts__reactions-count'))),
+        comments: count(text(item.querySelector('.social-details-social-counts__comments'))),
+        url: urn ? `https://www.linkedin.com/feed/update/${urn}/` : ''
+      };
+    }).filter(item => item.text || item.comment);
+  }, limit, MAX_POST_LENGTH);
+}
@@ -0,0 +1,184 @@
+import { createJsonStore } from './json-store.js';
+import {
+  scrapeLinkedInProfile,
+  scrapeLinkedInCompany,
+  scrapeLinkedInActivity,
+  normalizeProfileUrl
+} from './linkedin-scraper.js';
+import { LinkedInSessionError } from './linkedin-session.js';
+import { LinkedInRateLimitError } from './linkedin-throttle.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Cache');
+
+// Cached profiles keyed by normalized profile URL
+const store = createJsonStore('profile-cache.json', {});
+
+// Cached company pages keyed by normalized company URL - many prospects share a company
+const companyStore = createJsonStore('company-cache.json', {});
+
+// Cached recent activity keyed by normalized profile URL
+const activityStore = createJsonStore('activity-cache.json', {});
+
+function getTtlMs() {
+  const hours = parseFloat(process.env.PROFILE_CACHE_TTL_HOURS);
+  return (Number.isNaN(hours) ? 24 : hours) * 60 * 60 * 1000;
+}
+
+function isFresh(entry) {
+  return Date.now() - new Date(entry.scrapedAt).getTime() < getTtlMs();
+}
+
+function summarize(entry) {
+  return {
+    slug: entry.slug,
+    profileUrl: entry.profileUrl,
+    name: entry.profileData?.name || '',
+    headline: entry.profileData?.headline || '',
+    company: entry.profileData?.company || '',
+    scrapedAt: entry.scrapedAt,
+    expiresAt: new Date(new Date(entry.scrapedAt).getTime() + getTtlMs()).toISOString(),
+    expired: !isFresh(entry)
+  };
+}
+
+function slugFromUrl(profileUrl) {
+  return profileUrl.split('/in/')[1];
+}
+
+/**
+ * Return a fresh cached profile for the URL, or null
+ */
+export function getCachedProfile(profileUrl) {
+  const entry = store.read()[normalizeProfileUrl(profileUrl)];
+  return entry && isFresh(entry) ? entry : null;
+}
+
+export function cacheProfile(profileUrl, profileData) {
+  const key = normalizeProfileUrl(profileUrl);
+  const entry = {
+    slug: slugFromUrl(key),
+    profileUrl: key,
+    profileData,
+    scrapedAt: new Date().toISOString()
+  };
+  store.update(cache => {
+    cache[key] = entry;
+  });
+  return entry;
+}
+
+/**
+ * Read a cached extra page (company, activity) or scrape and cache it
+ */
+async function getCachedExtra(extraStore, key, forceRefresh, scrape) {
+  const useCache = getTtlMs() > 0;
+
+  const cached = extraStore.read()[key];
+  if (useCache && !forceRefresh && cached?.data !== undefined && isFresh(cached)) {
+    log.info(`Hit for ${key}`, { scrapedAt: cached.scrapedAt });
+    return cached.data;
+  }
+
+  const data = await scrape();
+  if (useCache) {
+    extraStore.update(cache => {
+      cache[key] = { data, scrapedAt: new Date().toISOString() };
+    });
+  }
+  return data;
+}
+
+/**
+ * Get company details from the cache or by scraping (and caching) the company page
+ */
+export function getCompany(companyUrl, linkedinCookie, { forceRefresh = false, ...scrapeOptions } = {}) {
+  return getCachedExtra(companyStore, companyUrl, forceRefresh,
+    () => scrapeLinkedInCompany(companyUrl, linkedinCookie, scrapeOptions));
+}
+
+/**
+ * Get a person's recent posts and comments from the cache or by scraping (and caching) them
+ */
+export function getActivity(profileUrl, linkedinCookie, { forceRefresh = false, ...scrapeOptions } = {}) {
+  const key = normalizeProfileUrl(profileUrl);
+  return getCachedExtra(activityStore, key, forceRefresh,
+    () => scrapeLinkedInActivity(key, linkedinCookie, scrapeOptions));
+}
+
+/**
+ * Get profile data from the cache or by scraping (and caching) it.
+ * Scrape options (llm, onProgress, signal, meter) are passed through to the scraper.
+ * includeCompany also follows the profile's current company link and adds companyDetails;
+ * includeActivity adds the recent posts and comments as activity. An extra page that
+ * can't be read is logged and left out rather than failing the profile (an expired session or a
+ * reached rate limit still fails; the profile itself is cached by then).
+ * Returns { profileData, fromCache, scrapedAt }
+ */
+export async function getProfile(profileUrl, linkedinCookie, { forceRefresh = false, includeCompany = false, includeActivity = false, ...scrapeOptions } = {}) {
+  const useCache = getTtlMs() > 0;
+
+  let result = null;
+  if (useCache && !forceRefresh) {
+    const cached = getCachedProfile(profileUrl);
+    if (cached) {
+      log.info(`Hit for ${cached.profileUrl}`, { scrapedAt: cached.scrapedAt });
+      result = { profileData: cached.profileData, fromCache: true, scrapedAt: cached.scrapedAt };
+    }
+  }
+
+  if (!result) {
+    const profileData = await scrapeLinkedInProfile(profileUrl, linkedinCookie, scrapeOptions);
+    const scrapedAt = useCache
+      ? cacheProfile(profileUrl, profileData).scrapedAt
+      : new Date().toISOString();
+    result = { profileData, fromCache: false, scrapedAt };
+  }
+
+  const extraOptions = { forceRefresh, onProgress: scrapeOptions.onProgress, signal: scrapeOptions.signal };
+  const attach = async (field, load) => {
+    try {
+      result.profileData = { ...result.profileData, [field]: await load() };
+    } catch (error) {
+      if (scrapeOptions.signal?.aborted || error instanceof LinkedInSessionError || error instanceof LinkedInRateLimitError) throw error;
+      log.warn(`Could not load ${field} for ${profileUrl}`, { error: error.message });
+    }
+  };
+
+  if (includeCompany && result.profileData.companyUrl) {
+    await attach('companyDetails', () => getCompany(result.profileData.companyUrl, linkedinCookie, extraOptions));
+  }
+  if (includeActivity) {
+    await attach('activity', () => getActivity(profileUrl, linkedinCookie, extraOptions));
+  }
+
+  return result;
+}
+
+export function listCachedProfiles() {
+  return Object.values(store.read())
+    .sort((a, b) => b.scrapedAt.localeCompare(a.scrapedAt))
+    .map(summarize);
+}
+
+export function getCachedProfileBySlug(slug) {
+  const entry = Object.values(store.read()).find(e => e.slug === slug.toLowerCase());
+  return entry ? { ...summarize(entry), profileData: entry.profileData } : null;
+}
+
+export function deleteCachedProfile(slug) {
+  const key = Object.keys(store.read()).find(k => store.read()[k].slug === slug.toLowerCase());
+  if (!key) return false;
+  store.update(cache => {
+    delete cache[key];
+  });
+  return true;
+}
+
+export function clearProfileCache() {
+  const count = Object.keys(store.read()).length;
+  store.write({});
+  companyStore.write({});
+  activityStore.write({});
+  return count;
+}
@@ -0,0 +1,252 @@
+/**
+ * Structured LinkedIn profile schema.
+ *
+ * The scraping model returns positions, education, skills, certifications and languages
+ * as arrays. validateProfile() checks that output, drops malformed entries and adds the
+ * flattened `experience`, `education` and `skills` strings that prompts, templates,
+ * campaigns and older cache entries rely on.
+ */
+
+// JSON shape the scraping model is asked to return
+export const PROFILE_JSON_SHAPE = `{
+  "name": "Full name of the person",
+  "title": "Current job title",
+  "headline": "Profile headline (the text under their name)",
+  "company": "Current company name",
+  "location": "Location (city, country)",
+  "industry": "Industry or field they work in",
+  "about": "About/summary section content",
+  "positions": [
+    {
+      "title": "Job title",
+      "company": "Company name",
+      "location": "Location of the role",
+      "startDate": "Start as shown, e.g. Jan 2020",
+      "endDate": "End as shown, empty if current",
+      "current": true,
+      "description": "Role description"
+    }
+  ],
+  "education": [
+    { "school": "School name", "degree": "Degree", "field": "Field of study", "startDate": "", "endDate": "" }
+  ],
+  "skills": ["Skill"],
+  "certifications": [
+    { "name": "Certification name", "issuer": "Issuing organization", "date": "Issue date" }
+  ],
+  "languages": [
+    { "name": "Language", "proficiency": "Proficiency as shown" }
+  ]
+}`;
+
+const STRING_FIELDS = ['name', 'title', 'headline', 'company', 'location', 'industry', 'about', 'profileUrl', 'companyUrl'];
+
+// Filled in by the scraper rather than the model
+const SCRAPER_FIELDS = ['profileUrl', 'companyUrl'];
+
+// Longest value accepted per field; longer values are cut and reported
+const MAX_LENGTHS = {
+  name: 120,
+  headline: 300,
+  about: 3000,
+  description: 2000,
+  profileUrl: 300,
+  companyUrl: 300,
+  skill: 100
+};
+const DEFAULT_MAX_LENGTH = 200;
+
+// Entry fields per array; entries are dropped when all of their `required` fields are empty
+// (a position needs a title or a company, not both)
+const ARRAY_SCHEMAS = {
+  positions: {
+    target: 'positions',
+    fields: ['title', 'company', 'location', 'startDate', 'endDate', 'description'],
+    booleans: ['current'],
+    required: ['title', 'company']
+  },
+  education: {
+    target: 'educationHistory',
+    fields: ['school', 'degree', 'field', 'startDate', 'endDate'],
+    required: ['school']
+  },
+  certifications: {
+    target: 'certifications',
+    fields: ['name', 'issuer', 'date'],
+    required: ['name']
+  },
+  languages: {
+    target: 'languages',
+    fields: ['name', 'proficiency'],
+    required: ['name']
+  }
+};
+
+const MAX_ENTRIES = 30;
+
+const stringSchema = { type: 'string' };
+
+/**
+ * JSON schema for the providers' structured-output modes (Gemini responseSchema,
+ * OpenAI json_schema, Ollama format). Only keywords all three accept are used -
+ * length bounds are enforced by validateProfile instead.
+ */
+export const PROFILE_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(STRING_FIELDS.filter(field => !SCRAPER_FIELDS.includes(field)).map(field => [field, stringSchema])),
+    ...Object.fromEntries(Object.entries(ARRAY_SCHEMAS).map(([key, schema]) => [key, {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: Object.fromEntries([
+          ...schema.fields.map(field => [field, stringSchema]),
+          ...(schema.booleans || []).map(field => [field, { type: 'boolean' }])
+        ]),
+        // Strict structured output would make the model invent the other field of an "either one" rule
+        ...(schema.required.length === 1 && { required: schema.required })
+      }
+    }])),
+    skills: { type: 'array', items: stringSchema }
+  },
+  required: ['name']
+};
+
+/**
+ * Trim a string field, reporting values of the wrong type or over the length bound
+ */
+function cleanString(value, path, errors, maxLength = MAX_LENGTHS[path] || DEFAULT_MAX_LENGTH) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    errors.push(`${path} must be a string`);
+    return '';
+  }
+  const text = String(value).replace(/\s+\n/g, '\n').trim();
+  if (text.length > maxLength) {
+    errors.push(`${path} is longer than ${maxLength} characters`);
+    return text.slice(0, maxLength).trim();
+  }
+  return text;
+}
+
+function validateEntries(key, value, errors) {
+  const schema = ARRAY_SCHEMAS[key];
+  if (!Array.isArray(value)) {
+    errors.push(`${key} must be an array`);
+    return [];
+  }
+
+  const entries = [];
+  value.slice(0, MAX_ENTRIES).forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`${key}[${index}] must be an object`);
+      return;
+    }
+    const entry = {};
+    for (const field of schema.fields) {
+      entry[field] = cleanString(item[field], `${key}[${index}].${field}`, errors, MAX_LENGTHS[field] || DEFAULT_MAX_LENGTH);
+    }
+    for (const field of schema.booleans || []) {
+      entry[field] = item[field] === true || item[field] === 'true';
+    }
+    const missing = schema.required.filter(field => !entry[field]);
+    if (missing.length === schema.required.length) {
+      errors.push(`${key}[${index}] has no ${schema.required.join(' or ')}`);
+      return;
+    }
+    entries.push(entry);
+  });
+  return entries;
+}
+
+function validateSkills(value, errors) {
+  // Older prompts and manual input use a comma separated string
+  if (typeof value === 'string') {
+    return value.split(/[,\n•·]/).map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(value)) {
+    errors.push('skills must be an array of strings');
+    return [];
+  }
+  const skills = [];
+  value.forEach((item, index) => {
+    const name = typeof item === 'object' && item !== null ? item.name : item;
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push(`skills[${index}] must be a non-empty string`);
+      return;
+    }
+    const skill = cleanString(name, `skills[${index}]`, errors, MAX_LENGTHS.skill);
+    if (!skills.includes(skill)) skills.push(skill);
+  });
+  return skills.slice(0, 50);
+}
+
+function dateRange(entry) {
+  const end = entry.current ? 'Present' : entry.endDate;
+  return [entry.startDate, end].filter(Boolean).join(' - ');
+}
+
+/**
+ * Summary strings for the structured arrays - kept as the `experience`, `education`
+ * and `skills` fields so existing prompts, templates and CSV exports keep working
+ */
+export function summarizePositions(positions) {
+  return positions.map(p => {
+    const role = [p.title, p.company].filter(Boolean).join(' at ');
+    const range = dateRange(p);
+    return range ? `${role} (${range})` : role;
+  }).join('; ');
+}
+
+export function summarizeEducation(educationHistory) {
+  return educationHistory.map(e => {
+    const study = [e.degree, e.field].filter(Boolean).join(', ');
+    const range = dateRange(e);
+    return [e.school, study].filter(Boolean).join(' - ') + (range ? ` (${range})` : '');
+  }).join('; ');
+}
+
+/**
+ * Validate a profile object (AI output, cache entry or manual input) against the schema:
+ * types, required name and length bounds. Returns { profile, errors } - errors describe
+ * what was wrong, cut or dropped; the profile is always usable apart from a missing name.
+ */
+export function validateProfile(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { profile: null, errors: ['Profile must be a JSON object'] };
+  }
+
+  const profile = {};
+  for (const field of STRING_FIELDS) {
+    profile[field] = cleanString(raw[field], field, errors);
+  }
+  if (!profile.name) {
+    errors.push('name is required');
+  }
+
+  for (const key of Object.keys(ARRAY_SCHEMAS)) {
+    const { target } = ARRAY_SCHEMAS[key];
+    const value = raw[target] ?? raw[key];
+    // A plain string is a legacy summary, not a schema violation
+    profile[target] = value === undefined || value === null || typeof value === 'string'
+      ? []
+      : validateEntries(key, value, errors);
+  }
+  profile.skillList = validateSkills(raw.skillList ?? raw.skills ?? [], errors);
+
+  // Flattened strings: prefer a summary of the structured data, fall back to legacy strings
+  const legacy = field => typeof raw[field] === 'string' ? raw[field].trim() : '';
+  profile.experience = summarizePositions(profile.positions) || legacy('experience');
+  profile.education = summarizeEducation(profile.educationHistory) || legacy('education');
+  profile.skills = profile.skillList.join(', ');
+
+  // Current role from the first current position when the model left the top-level fields empty
+  const current = profile.positions.find(p => p.current) || profile.positions[0];
+  if (current) {
+    profile.title = profile.title || current.title;
+    profile.company = profile.company || current.company;
+  }
+
+  return { profile, errors };
+}
@@ -0,0 +1,137 @@
+import { createUserJsonStore } from './json-store.js';
+import { validateProfile } from './profile-schema.js';
+import { getProfile } from './profile-cache.js';
+import { createUsageMeter } from './usage-store.js';
+
+const MAX_INTERESTS_LENGTH = 1000;
+const MAX_SHARED_SKILLS = 5;
+
+// Each user's own profile, used to write as them and to find shared background
+const storeFor = createUserJsonStore('sender-profile.json', { profile: null });
+
+export function getSenderProfile(userId) {
+  return storeFor(userId).read().profile;
+}
+
+/**
+ * Validate and store the sender profile. data uses the structured profile shape
+ * (positions, education, skills, ...) plus a free-text `interests` field.
+ * Returns { senderProfile, warnings }
+ */
+export function saveSenderProfile(userId, data, source = 'manual') {
+  const { profile, errors } = validateProfile(data);
+  if (!profile?.name) {
+    throw new Error('Your profile needs at least a name');
+  }
+
+  const senderProfile = {
+    ...profile,
+    interests: typeof data.interests === 'string' ? data.interests.trim().slice(0, MAX_INTERESTS_LENGTH) : '',
+    source,
+    updatedAt: new Date().toISOString()
+  };
+  storeFor(userId).write({ profile: senderProfile });
+  return { senderProfile, warnings: errors };
+}
+
+/**
+ * Scrape the user's own LinkedIn profile and store it as the sender profile,
+ * keeping the interests typed in earlier
+ */
+export async function importSenderProfile(userId, profileUrl, linkedinCookie, { llm } = {}) {
+  const meter = createUsageMeter({ userId, source: 'sender-profile' });
+  const { profileData } = await getProfile(profileUrl, linkedinCookie, { forceRefresh: true, llm, meter });
+  return saveSenderProfile(userId, { ...profileData, profileUrl, interests: getSenderProfile(userId)?.interests || '' }, 'scraped');
+}
+
+export function clearSenderProfile(userId) {
+  const existed = !!getSenderProfile(userId);
+  storeFor(userId).write({ profile: null });
+  return existed;
+}
+
+// "Acme, Inc." and "ACME" should match
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[.,()&]/g, ' ')
+    .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|the|university of)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function companiesOf(profile) {
+  const companies = new Map();
+  const add = (name, current) => {
+    const key = normalizeName(name);
+    if (!key) return;
+    const existing = companies.get(key);
+    companies.set(key, { name: existing?.name || name, current: current || existing?.current || false });
+  };
+  add(profile.company, true);
+  for (const position of profile.positions || []) add(position.company, position.current);
+  return companies;
+}
+
+function schoolsOf(profile) {
+  return new Map((profile.educationHistory || [])
+    .filter(entry => normalizeName(entry.school))
+    .map(entry => [normalizeName(entry.school), entry.school]));
+}
+
+function locationParts(location) {
+  const parts = (location || '').split(',').map(part => part.trim()).filter(Boolean);
+  return {
+    city: normalizeName(parts[0]?.replace(/^greater\s+|\s+(metropolitan|bay)?\s*area$/gi, '')),
+    cityName: parts[0] || '',
+    country: parts.length > 1 ? normalizeName(parts[parts.length - 1]) : '',
+    countryName: parts.length > 1 ? parts[parts.length - 1] : ''
+  };
+}
+
+function companyDetail(name, mine, theirs) {
+  if (mine.current && theirs.current) return `You both work at ${name}`;
+  if (theirs.current) return `They work at ${name}, where you used to work`;
+  if (mine.current) return `They used to work at ${name}, where you work now`;
+  return `You both worked at ${name}`;
+}
+
+/**
+ * Explicit background shared by the sender and a prospect: companies, schools,
+ * skills, location and industry. Returns [{ type, value, detail }], strongest first.
+ */
+export function findOverlaps(sender, prospect) {
+  if (!sender || !prospect) return [];
+  const overlaps = [];
+
+  const theirCompanies = companiesOf(prospect);
+  for (const [key, mine] of companiesOf(sender)) {
+    const theirs = theirCompanies.get(key);
+    if (theirs) overlaps.push({ type: 'company', value: theirs.name, detail: companyDetail(theirs.name, mine, theirs) });
+  }
+
+  const theirSchools = schoolsOf(prospect);
+  for (const [key, school] of schoolsOf(sender)) {
+    if (theirSchools.has(key)) overlaps.push({ type: 'school', value: school, detail: `You both studied at ${school}` });
+  }
+
+  const mySkills = new Set((sender.skillList || []).map(skill => skill.toLowerCase()));
+  const sharedSkills = (prospect.skillList || []).filter(skill => mySkills.has(skill.toLowerCase())).slice(0, MAX_SHARED_SKILLS);
+  if (sharedSkills.length > 0) {
+    overlaps.push({ type: 'skills', value: sharedSkills.join(', '), detail: `Shared skills: ${sharedSkills.join(', ')}` });
+  }
+
+  const myLocation = locationParts(sender.location);
+  const theirLocation = locationParts(prospect.location);
+  if (myLocation.city && myLocation.city === theirLocation.city) {
+    overlaps.push({ type: 'location', value: theirLocation.cityName, detail: `You're both based in ${theirLocation.cityName}` });
+  } else if (myLocation.country && myLocation.country === theirLocation.country) {
+    overlaps.push({ type: 'location', value: theirLocation.countryName, detail: `You're both in ${theirLocation.countryName}` });
+  }
+
+  if (sender.industry && normalizeName(sender.industry) === normalizeName(prospect.industry)) {
+    overlaps.push({ type: 'industry', value: prospect.industry, detail: `You both work in ${prospect.industry}` });
+  }
+
+  return overlaps;
+}
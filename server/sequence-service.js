@@ -0,0 +1,60 @@
+import { generateMessageForRequest } from './message-service.js';
+import { HttpError } from './http-error.js';
+import {
+  getSequence,
+  getEnrollment,
+  previousMessagesFor,
+  recordStepDraft
+} from './sequence-store.js';
+
+/**
+ * Write the next step of an enrollment. The sequence's template, system prompt and
+ * data inclusion are used with the step's message type, and the messages already
+ * sent to this person are passed along so the step continues the conversation.
+ * options: { linkedinAccountId, linkedinCookie, llm, forceRefresh }; hooks are passed to generateMessageForRequest.
+ * Returns { enrollment, result } - result is the generate-message response.
+ */
+export async function generateSequenceStep(userId, enrollmentId, { linkedinAccountId, linkedinCookie, llm = {}, forceRefresh = false } = {}, hooks = {}) {
+  const enrollment = getEnrollment(userId, enrollmentId);
+  if (!enrollment) {
+    throw new HttpError(404, 'Enrollment not found');
+  }
+  const sequence = getSequence(userId, enrollment.sequenceId);
+  if (!sequence) {
+    throw new HttpError(404, 'Sequence not found');
+  }
+  const index = enrollment.nextStep;
+  if (index === null) {
+    throw new HttpError(409, enrollment.status === 'completed'
+      ? 'Every step of this sequence was sent'
+      : `This enrollment is ${enrollment.status}`);
+  }
+
+  const step = sequence.steps[index];
+  const result = await generateMessageForRequest(userId, {
+    profileUrl: enrollment.profileUrl,
+    messageTemplate: step.template,
+    systemPrompt: sequence.systemPrompt || undefined,
+    dataInclusion: sequence.dataInclusion,
+    messageType: step.messageType,
+    previousMessages: previousMessagesFor(enrollment, index),
+    linkedinAccountId,
+    linkedinCookie,
+    forceRefresh,
+    llm
+  }, {
+    ...hooks,
+    historyFields: { sequenceId: sequence.id, enrollmentId, sequenceStep: index }
+  });
+
+  const [draft] = result.variants;
+  return {
+    enrollment: recordStepDraft(userId, enrollmentId, index, {
+      historyId: result.historyId,
+      message: draft.message,
+      subject: draft.subject,
+      profileData: result.profileData
+    }),
+    result
+  };
+}
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { createUserJsonStore } from './json-store.js';
+import { DEFAULT_DATA_INCLUSION, MESSAGE_TYPES } from './message-generator.js';
+import { normalizeProfileUrl } from './linkedin-scraper.js';
+import { updateHistoryEntry } from './history-store.js';
+import { HttpError } from './http-error.js';
+
+const MAX_STEPS = 10;
+const MAX_DELAY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set by the user; 'completed' is derived once every step was sent
+export const ENROLLMENT_STATUSES = ['active', 'replied', 'stopped'];
+
+// Each user's multi-step outreach sequences and the prospects enrolled in them.
+// enrollment.steps[i] holds the draft/sent message for sequence.steps[i].
+const storeFor = createUserJsonStore('sequences.json', { sequences: [], enrollments: [] });
+
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new HttpError(400, 'A sequence needs at least one step');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new HttpError(400, `Sequences are limited to ${MAX_STEPS} steps`);
+  }
+  return steps.map((step, i) => {
+    const label = `Step ${i + 1}`;
+    if (typeof step?.template !== 'string' || !step.template.trim()) {
+      throw new HttpError(400, `${label}: template is required`);
+    }
+    const messageType = step.messageType || (i === 0 ? 'connection_note' : 'follow_up');
+    if (!MESSAGE_TYPES[messageType]) {
+      throw new HttpError(400, `${label}: unknown message type "${messageType}"`);
+    }
+    const delayDays = i === 0 ? 0 : Number(step.delayDays ?? 0);
+    if (!Number.isInteger(delayDays) || delayDays < 0 || delayDays > MAX_DELAY_DAYS) {
+      throw new HttpError(400, `${label}: delayDays must be a whole number from 0 to ${MAX_DELAY_DAYS}`);
+    }
+    return {
+      name: typeof step.name === 'string' && step.name.trim() ? step.name.trim() : MESSAGE_TYPES[messageType].label,
+      messageType,
+      template: step.template,
+      delayDays,
+      // The first step has nothing to wait for
+      waitForAcceptance: i > 0 && !!step.waitForAcceptance
+    };
+  });
+}
+
+function buildSequence(data, existing = null) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) throw new HttpError(400, 'Sequence name is required');
+
+  const now = new Date().toISOString();
+  return {
+    id: existing?.id || crypto.randomUUID(),
+    name,
+    systemPrompt: typeof data.systemPrompt === 'string' ? data.systemPrompt : '',
+    dataInclusion: { ...DEFAULT_DATA_INCLUSION, ...data.dataInclusion },
+    steps: validateSteps(data.steps),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+}
+
+export function listSequences(userId) {
+  return storeFor(userId).read().sequences;
+}
+
+export function getSequence(userId, id) {
+  return storeFor(userId).read().sequences.find(s => s.id === id) || null;
+}
+
+export function createSequence(userId, data) {
+  const sequence = buildSequence(data);
+  storeFor(userId).update(({ sequences }) => { sequences.push(sequence); });
+  return sequence;
+}
+
+/**
+ * Replace a sequence's name, prompt and steps. Enrollments keep their sent steps by position.
+ */
+export function updateSequence(userId, id, data) {
+  const existing = getSequence(userId, id);
+  if (!existing) return null;
+  const sequence = buildSequence({ ...existing, ...data }, existing);
+  storeFor(userId).update(library => {
+    library.sequences = library.sequences.map(s => s.id === id ? sequence : s);
+  });
+  return sequence;
+}
+
+/**
+ * Delete a sequence and its enrollments. Returns the number of enrollments removed, or null
+ */
+export function deleteSequence(userId, id) {
+  if (!getSequence(userId, id)) return null;
+  let removed = 0;
+  storeFor(userId).update(library => {
+    removed = library.enrollments.filter(e => e.sequenceId === id).length;
+    library.sequences = library.sequences.filter(s => s.id !== id);
+    library.enrollments = library.enrollments.filter(e => e.sequenceId !== id);
+  });
+  return removed;
+}
+
+function findEnrollment(userId, id) {
+  return storeFor(userId).read().enrollments.find(e => e.id === id) || null;
+}
+
+/**
+ * When each step is due and which one is next. Step 1 is due on enrollment; every
+ * later step is due delayDays after the previous one was sent (and, for steps that
+ * wait for acceptance, after the connection was accepted).
+ * Step states: sent | due | scheduled | waiting_acceptance | pending | cancelled
+ */
+export function buildTimeline(enrollment, sequence, now = Date.now()) {
+  let previousSentAt = enrollment.createdAt;
+  let nextStep = null;
+
+  const steps = sequence.steps.map((step, index) => {
+    const record = enrollment.steps[index] || {};
+    const base = {
+      index,
+      name: step.name,
+      messageType: step.messageType,
+      delayDays: step.delayDays,
+      waitForAcceptance: step.waitForAcceptance,
+      historyId: record.historyId || null,
+      message: record.message || '',
+      subject: record.subject || '',
+      generatedAt: record.generatedAt || null,
+      sentAt: record.sentAt || null,
+      dueAt: null
+    };
+
+    if (record.sentAt) {
+      previousSentAt = record.sentAt;
+      return { ...base, state: 'sent' };
+    }
+    if (nextStep !== null || !previousSentAt) {
+      previousSentAt = null;
+      return { ...base, state: enrollment.status === 'active' ? 'pending' : 'cancelled' };
+    }
+    if (enrollment.status !== 'active') {
+      previousSentAt = null;
+      return { ...base, state: 'cancelled' };
+    }
+
+    nextStep = index;
+    const waiting = step.waitForAcceptance && !enrollment.acceptedAt;
+    const startsAt = step.waitForAcceptance && enrollment.acceptedAt > previousSentAt ? enrollment.acceptedAt : previousSentAt;
+    const dueAt = waiting ? null : new Date(Date.parse(startsAt) + step.delayDays * DAY_MS).toISOString();
+    previousSentAt = null;
+    return {
+      ...base,
+      dueAt,
+      state: waiting ? 'waiting_acceptance' : Date.parse(dueAt) <= now ? 'due' : 'scheduled'
+    };
+  });
+
+  const allSent = steps.every(s => s.state === 'sent');
+  return {
+    status: enrollment.status === 'active' && allSent ? 'completed' : enrollment.status,
+    nextStep,
+    nextDueAt: nextStep === null ? null : steps[nextStep].dueAt,
+    steps
+  };
+}
+
+function serializeEnrollment(userId, enrollment) {
+  const sequence = getSequence(userId, enrollment.sequenceId);
+  return {
+    ...enrollment,
+    sequenceName: sequence?.name || '',
+    ...(sequence ? buildTimeline(enrollment, sequence) : { nextStep: null, nextDueAt: null, steps: [] })
+  };
+}
+
+/**
+ * Enroll prospects in a sequence. Profiles already active in it are skipped.
+ * Returns { enrolled, skipped } or null for an unknown sequence
+ */
+export function enrollProspects(userId, sequenceId, profileUrls) {
+  if (!getSequence(userId, sequenceId)) return null;
+  if (!Array.isArray(profileUrls)) {
+    throw new HttpError(400, 'profileUrls must be an array');
+  }
+
+  const known = new Set(storeFor(userId).read().enrollments
+    .filter(e => e.sequenceId === sequenceId && e.status === 'active')
+    .map(e => e.profileUrl));
+  const now = new Date().toISOString();
+  const enrolled = [];
+  let skipped = 0;
+
+  for (const url of profileUrls) {
+    if (typeof url !== 'string' || !url.includes('linkedin.com/in/')) {
+      skipped++;
+      continue;
+    }
+    const profileUrl = normalizeProfileUrl(url.trim());
+    if (known.has(profileUrl)) {
+      skipped++;
+      continue;
+    }
+    known.add(profileUrl);
+    enrolled.push({
+      id: crypto.randomUUID(),
+      sequenceId,
+      profileUrl,
+      profileName: '',
+      profileHeadline: '',
+      status: 'active',
+      acceptedAt: null,
+      notes: '',
+      steps: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  if (enrolled.length > 0) {
+    storeFor(userId).update(({ enrollments }) => { enrollments.push(...enrolled); });
+  }
+  return { enrolled: enrolled.map(enrollment => serializeEnrollment(userId, enrollment)), skipped };
+}
+
+/**
+ * Enrollments with their timelines, optionally for one sequence. The ones with a
+ * step due soonest come first; finished ones last.
+ */
+export function listEnrollments(userId, { sequenceId = '' } = {}) {
+  // Waiting for acceptance sorts after anything scheduled, finished enrollments after that
+  const order = e => e.nextStep === null ? Infinity : e.nextDueAt ? Date.parse(e.nextDueAt) : Number.MAX_SAFE_INTEGER;
+  return storeFor(userId).read().enrollments
+    .filter(e => !sequenceId || e.sequenceId === sequenceId)
+    .map(enrollment => serializeEnrollment(userId, enrollment))
+    .sort((a, b) => order(a) - order(b) || b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getEnrollment(userId, id) {
+  const enrollment = findEnrollment(userId, id);
+  return enrollment ? serializeEnrollment(userId, enrollment) : null;
+}
+
+/**
+ * Messages already sent before the given step of a (serialized) enrollment, for the prompt
+ */
+export function previousMessagesFor(enrollment, index) {
+  return enrollment.steps.slice(0, index)
+    .filter(step => step.sentAt && step.message)
+    .map(({ messageType, message, sentAt }) => ({ messageType, message, sentAt }));
+}
+
+function changeEnrollment(userId, id, mutate) {
+  const enrollment = findEnrollment(userId, id);
+  if (!enrollment) return null;
+  storeFor(userId).update(() => {
+    mutate(enrollment);
+    enrollment.updatedAt = new Date().toISOString();
+  });
+  return serializeEnrollment(userId, enrollment);
+}
+
+/**
+ * Keep the generated draft for a step (replaces an earlier unsent draft)
+ */
+export function recordStepDraft(userId, id, index, { historyId, message, subject, profileData }) {
+  return changeEnrollment(userId, id, enrollment => {
+    enrollment.steps[index] = {
+      historyId,
+      message,
+      subject: subject || '',
+      generatedAt: new Date().toISOString(),
+      sentAt: null
+    };
+    if (profileData?.name) enrollment.profileName = profileData.name;
+    if (profileData?.headline || profileData?.company) enrollment.profileHeadline = profileData.headline || profileData.company;
+  });
+}
+
+/**
+ * Mark the next step as sent, with the final text that went out. The step's
+ * history entry is updated to match.
+ */
+export function markStepSent(userId, id, index, { message, subject } = {}) {
+  const current = getEnrollment(userId, id);
+  if (!current) return null;
+  if (current.nextStep !== index) {
+    throw new HttpError(409, current.nextStep === null
+      ? 'This enrollment has no step left to send'
+      : `Step ${current.nextStep + 1} is the next step to send`);
+  }
+
+  const step = current.steps[index];
+  const finalMessage = typeof message === 'string' && message.trim() ? message : step.message;
+  if (!finalMessage) {
+    throw new HttpError(400, 'Generate or write the message before marking it sent');
+  }
+
+  if (step.historyId) {
+    updateHistoryEntry(userId, step.historyId, { status: 'sent', finalMessage, ...(subject !== undefined && { finalSubject: subject }) });
+  }
+  return changeEnrollment(userId, id, enrollment => {
+    enrollment.steps[index] = {
+      ...enrollment.steps[index],
+      message: finalMessage,
+      subject: subject ?? step.subject,
+      sentAt: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * Change status (active/replied/stopped), the accepted flag or notes. Marking an
+ * enrollment replied also marks the last sent message replied in the history.
+ */
+export function updateEnrollment(userId, id, { status, accepted, notes } = {}) {
+  if (status !== undefined && !ENROLLMENT_STATUSES.includes(status)) {
+    throw new HttpError(400, `Unknown status "${status}". Use one of: ${ENROLLMENT_STATUSES.join(', ')}`);
+  }
+
+  return changeEnrollment(userId, id, enrollment => {
+    if (status !== undefined && status !== enrollment.status) {
+      enrollment.status = status;
+      const lastSent = [...enrollment.steps].reverse().find(s => s?.sentAt && s.historyId);
+      if (status === 'replied' && lastSent) updateHistoryEntry(userId, lastSent.historyId, { status: 'replied' });
+    }
+    if (accepted !== undefined) enrollment.acceptedAt = accepted ? enrollment.acceptedAt || new Date().toISOString() : null;
+    if (typeof notes === 'string') enrollment.notes = notes;
+  });
+}
+
+export function deleteEnrollment(userId, id) {
+  if (!findEnrollment(userId, id)) return false;
+  storeFor(userId).update(library => {
+    library.enrollments = library.enrollments.filter(e => e.id !== id);
+  });
+  return true;
+}
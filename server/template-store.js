@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import { createUserJsonStore } from './json-store.js';
+import { DEFAULT_DATA_INCLUSION } from './message-generator.js';
+import { HttpError } from './http-error.js';
+import { templateVersionStats } from './history-store.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TEMPLATE_LENGTH = 10000;
+const MAX_SYSTEM_PROMPT_LENGTH = 5000;
+
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// Seeded into a new library; afterwards they can be edited or deleted like any other template
+export const BUILT_IN_TEMPLATES = [
+  {
+    name: 'Networking',
+    template: `Hi {firstName},
+
+I came across your profile and was impressed by your work{#if company} at {company}{/if}. I'd love to connect and learn more about your journey in {industry|your industry}.
+
+Would you be open to a brief chat sometime?
+
+Best regards`
+  },
+  {
+    name: 'Job Opportunity',
+    template: `Hi {firstName},
+
+I noticed your experience in {field|your field} and thought you might be interested in an exciting opportunity at our company.
+
+We're looking for someone with your background, and I'd love to share more details if you're open to it.
+
+Let me know if you'd like to connect!`
+  },
+  {
+    name: 'Collaboration',
+    template: `Hello {firstName},
+
+I've been following your work and find it really inspiring. I'm working on a project that aligns with your expertise, and I think there could be some great synergy.
+
+Would you be interested in exploring a potential collaboration?
+
+Looking forward to hearing from you!`
+  }
+];
+
+// Each user's template library, in display order. Each template keeps every version of
+// its content in `versions`, oldest first; `version` is the current one.
+const storeFor = createUserJsonStore('templates.json', { seeded: false, templates: [] });
+
+function readLibrary(userId) {
+  const store = storeFor(userId);
+  const library = store.read();
+  if (!library.seeded) {
+    const now = new Date().toISOString();
+    store.write({
+      seeded: true,
+      templates: [
+        ...BUILT_IN_TEMPLATES.map(t => buildTemplate({ ...t, builtIn: true }, now)),
+        ...library.templates
+      ]
+    });
+  }
+  // Libraries saved before versioning: the current content becomes version 1
+  if (store.read().templates.some(t => !t.versions)) {
+    store.update(({ templates }) => {
+      for (const t of templates.filter(t => !t.versions)) {
+        t.version = 1;
+        t.versions = [snapshot(t, 1, t.updatedAt)];
+      }
+    });
+  }
+  return store.read();
+}
+
+function snapshot(template, version, createdAt) {
+  return {
+    version,
+    template: template.template,
+    systemPrompt: template.systemPrompt,
+    dataInclusion: template.dataInclusion,
+    createdAt
+  };
+}
+
+// The library API returns templates without their version history
+function summarize(template) {
+  const { versions, ...rest } = template;
+  return { ...rest, versionCount: versions.length };
+}
+
+// Keep known toggles only; templates saved before a toggle existed get its default
+function normalizeDataInclusion(dataInclusion) {
+  return Object.fromEntries(Object.entries(DEFAULT_DATA_INCLUSION).map(([key, fallback]) =>
+    [key, typeof dataInclusion?.[key] === 'boolean' ? dataInclusion[key] : fallback]));
+}
+
+function validate(data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) throw new HttpError(400, 'Template name is required');
+  if (name.length > MAX_NAME_LENGTH) throw new HttpError(400, `Template name must be at most ${MAX_NAME_LENGTH} characters`);
+  if (typeof data.template !== 'string' || !data.template.trim()) throw new HttpError(400, 'Template text is required');
+  if (data.template.length > MAX_TEMPLATE_LENGTH) throw new HttpError(400, `Template text must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  if (data.systemPrompt !== undefined && typeof data.systemPrompt !== 'string') throw new HttpError(400, 'systemPrompt must be a string');
+  if ((data.systemPrompt || '').length > MAX_SYSTEM_PROMPT_LENGTH) {
+    throw new HttpError(400, `System prompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+  }
+  return name;
+}
+
+function buildTemplate(data, createdAt = new Date().toISOString()) {
+  const template = {
+    id: crypto.randomUUID(),
+    name: validate(data),
+    template: data.template,
+    systemPrompt: data.systemPrompt || '',
+    dataInclusion: normalizeDataInclusion(data.dataInclusion),
+    builtIn: !!data.builtIn,
+    version: 1,
+    createdAt,
+    updatedAt: createdAt
+  };
+  template.versions = [snapshot(template, 1, createdAt)];
+  return template;
+}
+
+function findByName(userId, name, exceptId = null) {
+  const key = name.trim().toLowerCase();
+  return readLibrary(userId).templates.find(t => t.id !== exceptId && t.name.toLowerCase() === key) || null;
+}
+
+// Generation requests send the system prompt trimmed
+function sameContent(a, b) {
+  return a.template === b.template &&
+    (a.systemPrompt || '').trim() === (b.systemPrompt || '').trim() &&
+    JSON.stringify(normalizeDataInclusion(a.dataInclusion)) === JSON.stringify(normalizeDataInclusion(b.dataInclusion));
+}
+
+function findTemplate(userId, id) {
+  return readLibrary(userId).templates.find(t => t.id === id) || null;
+}
+
+export function listTemplates(userId) {
+  return readLibrary(userId).templates.map(summarize);
+}
+
+export function getTemplate(userId, id) {
+  const template = findTemplate(userId, id);
+  return template ? summarize(template) : null;
+}
+
+/**
+ * Add a template. Names are unique, ignoring case (409 otherwise)
+ */
+export function createTemplate(userId, data) {
+  const template = buildTemplate({ ...data, builtIn: false });
+  if (findByName(userId, template.name)) {
+    throw new HttpError(409, 'A template with this name already exists');
+  }
+  storeFor(userId).update(library => { library.templates.push(template); });
+  return summarize(template);
+}
+
+/**
+ * Change name, text, system prompt or data inclusion. A content change adds a new
+ * version; earlier versions are kept. Returns null for an unknown id
+ */
+export function updateTemplate(userId, id, changes) {
+  const existing = findTemplate(userId, id);
+  if (!existing) return null;
+
+  const next = { ...existing, ...changes };
+  const name = validate(next);
+  if (findByName(userId, name, id)) {
+    throw new HttpError(409, 'A template with this name already exists');
+  }
+
+  const now = new Date().toISOString();
+  storeFor(userId).update(() => {
+    existing.name = name;
+    if (!sameContent(existing, next)) {
+      existing.template = next.template;
+      existing.systemPrompt = next.systemPrompt || '';
+      existing.dataInclusion = normalizeDataInclusion(next.dataInclusion);
+      existing.version = existing.versions.length + 1;
+      existing.versions.push(snapshot(existing, existing.version, now));
+    }
+    existing.updatedAt = now;
+  });
+  return summarize(existing);
+}
+
+export function deleteTemplate(userId, id) {
+  if (!findTemplate(userId, id)) return false;
+  storeFor(userId).update(library => {
+    library.templates = library.templates.filter(t => t.id !== id);
+  });
+  return true;
+}
+
+// "Intro" -> "Intro (2)", "Intro (3)", ... until the name is free
+function freeName(userId, name) {
+  let candidate = name;
+  for (let n = 2; findByName(userId, candidate); n++) candidate = `${name.slice(0, MAX_NAME_LENGTH - 5)} (${n})`;
+  return candidate;
+}
+
+/**
+ * Add templates from an export file or from the localStorage of older clients.
+ * A template identical to one with the same name is skipped. Other name clashes
+ * replace the existing template when overwrite is set, or are imported as "Name (2)".
+ * Returns { imported, updated, skipped, errors }
+ */
+export function importTemplates(userId, items, { overwrite = false } = {}) {
+  if (!Array.isArray(items)) {
+    throw new HttpError(400, 'templates must be an array');
+  }
+
+  const result = { imported: 0, updated: 0, skipped: 0, errors: [] };
+  items.forEach((item, index) => {
+    try {
+      const name = validate(item || {});
+      const existing = findByName(userId, name);
+      if (existing && sameContent(existing, item)) {
+        result.skipped++;
+      } else if (existing && overwrite) {
+        updateTemplate(userId, existing.id, { template: item.template, systemPrompt: item.systemPrompt, dataInclusion: item.dataInclusion });
+        result.updated++;
+      } else {
+        createTemplate(userId, { ...item, name: freeName(userId, name) });
+        result.imported++;
+      }
+    } catch (error) {
+      result.errors.push(`Template ${index + 1}${item?.name ? ` ("${item.name}")` : ''}: ${error.message}`);
+    }
+  });
+  return result;
+}
+
+/**
+ * The library as a JSON document meant to be checked into a repo: no ids or
+ * timestamps, so re-exporting an unchanged library gives an identical file
+ */
+export function exportTemplates(userId) {
+  return {
+    version: TEMPLATE_EXPORT_VERSION,
+    templates: listTemplates(userId).map(({ name, template, systemPrompt, dataInclusion }) =>
+      ({ name, template, systemPrompt, dataInclusion }))
+  };
+}
+
+/**
+ * Find which saved version a generation request used. The content must match a
+ * version exactly - unsaved edits in the editor don't count as any version.
+ * Returns { templateId, templateName, templateVersion } or null
+ */
+export function resolveTemplateVersion(userId, templateId, { template, systemPrompt, dataInclusion }) {
+  const saved = templateId ? findTemplate(userId, templateId) : null;
+  if (!saved) return null;
+  const used = { template, systemPrompt, dataInclusion };
+  const match = [...saved.versions].reverse().find(version => sameContent(version, used));
+  return {
+    templateId: saved.id,
+    templateName: saved.name,
+    templateVersion: match ? match.version : null
+  };
+}
+
+function withReplyRate(stats) {
+  return { ...stats, replyRate: stats.sent > 0 ? stats.replied / stats.sent : null };
+}
+
+/**
+ * Every version of a template, newest first, with how its messages performed:
+ * generated, sent (any status past draft), replied and replyRate (replied / sent).
+ * `unsavedEdits` counts messages written from edited, unsaved copies of the template.
+ */
+export function getTemplateVersions(userId, id) {
+  const template = findTemplate(userId, id);
+  if (!template) return null;
+
+  const stats = templateVersionStats(userId, id);
+  const empty = { generated: 0, sent: 0, replied: 0 };
+  return {
+    template: summarize(template),
+    versions: [...template.versions].reverse().map(version => ({
+      ...version,
+      stats: withReplyRate(stats.get(version.version) || empty)
+    })),
+    unsavedEdits: withReplyRate(stats.get(null) || empty)
+  };
+}
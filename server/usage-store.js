@@ -0,0 +1,249 @@
+import { createJsonStore } from './json-store.js';
+import { HttpError } from './http-error.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Usage');
+
+// USD per million tokens - list prices when this was written; LLM_PRICING overrides or adds models
+const DEFAULT_PRICING = {
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-3-pro-preview': { input: 2.00, output: 12.00 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+
+// Local and test models cost nothing unless LLM_PRICING lists them
+const FREE_PROVIDERS = ['ollama', 'fake'];
+
+// Share of the monthly budget at which the app starts warning
+const BUDGET_WARNING_SHARE = 0.8;
+
+const MAX_REPORT_DAYS = 366;
+
+// Daily totals per user, source, template, purpose and model, plus each user's monthly budget.
+// Totals outlive deleted users and templates so past spending stays accounted for.
+const store = createJsonStore('usage.json', { totals: [], budgets: {} });
+
+let pricingSource = null;
+let pricing = null;
+
+/**
+ * Price per million input/output tokens by model name: the defaults merged with LLM_PRICING,
+ * a JSON object like {"my-model": {"input": 0.5, "output": 1.5}}
+ */
+export function getPricing() {
+  const raw = process.env.LLM_PRICING || '';
+  if (pricing && pricingSource === raw) return pricing;
+
+  let overrides = {};
+  if (raw) {
+    try {
+      overrides = Object.fromEntries(Object.entries(JSON.parse(raw)).filter(([model, price]) => {
+        const valid = [price?.input, price?.output].every(value => typeof value === 'number' && value >= 0);
+        if (!valid) log.warn(`Ignoring LLM_PRICING for "${model}" - it needs numeric input and output prices`);
+        return valid;
+      }));
+    } catch (error) {
+      log.warn('LLM_PRICING is not valid JSON, using the default prices', { error: error.message });
+    }
+  }
+  pricingSource = raw;
+  pricing = { ...DEFAULT_PRICING, ...overrides };
+  return pricing;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Cost of a call in USD, or null when its model has no price
+ */
+function costOf({ provider, model, inputTokens, outputTokens }) {
+  const price = getPricing()[model];
+  if (!price) return FREE_PROVIDERS.includes(provider) ? 0 : null;
+  return round((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getRetentionDays() {
+  return parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400;
+}
+
+function addToTotals(context, call, costUsd) {
+  const day = today();
+  const oldest = new Date(Date.now() - getRetentionDays() * 86400000).toISOString().slice(0, 10);
+
+  store.update(data => {
+    data.totals = data.totals.filter(row => row.day >= oldest);
+    let row = data.totals.find(r =>
+      r.day === day &&
+      r.userId === context.userId &&
+      r.source === context.source &&
+      r.templateId === context.templateId &&
+      r.purpose === call.purpose &&
+      r.provider === call.provider &&
+      r.model === call.model);
+    if (!row) {
+      row = {
+        day,
+        userId: context.userId,
+        source: context.source,
+        templateId: context.templateId,
+        templateName: '',
+        purpose: call.purpose,
+        provider: call.provider,
+        model: call.model,
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+        unpricedCalls: 0,
+        estimatedCalls: 0,
+        latencyMs: 0
+      };
+      data.totals.push(row);
+    }
+    // The latest name, in case the template was renamed
+    if (context.templateName) row.templateName = context.templateName;
+    row.calls += 1;
+    row.inputTokens += call.inputTokens;
+    row.outputTokens += call.outputTokens;
+    row.latencyMs += call.latencyMs;
+    if (costUsd === null) row.unpricedCalls += 1;
+    else row.costUsd = round(row.costUsd + costUsd);
+    if (call.estimated) row.estimatedCalls += 1;
+  });
+}
+
+function sumUp(items) {
+  const total = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0, estimatedCalls: 0, latencyMs: 0 };
+  for (const item of items) {
+    total.calls += item.calls;
+    total.inputTokens += item.inputTokens;
+    total.outputTokens += item.outputTokens;
+    total.costUsd = round(total.costUsd + item.costUsd);
+    total.unpricedCalls += item.unpricedCalls;
+    total.estimatedCalls += item.estimatedCalls;
+    total.latencyMs += item.latencyMs;
+  }
+  return { ...total, avgLatencyMs: total.calls ? Math.round(total.latencyMs / total.calls) : null };
+}
+
+/**
+ * Usage accounting for one request (a generation, a scrape, a campaign row). Every model call
+ * passed to record() - by generateText/streamText as `meter` - is added to the daily totals
+ * right away; summary() gives the request's own totals for its response and history entry.
+ * context: { userId, source, templateId?, templateName? }
+ */
+export function createUsageMeter({ userId, source, templateId = null, templateName = '' }) {
+  const calls = [];
+  return {
+    record(call) {
+      const costUsd = costOf(call);
+      calls.push({ ...call, costUsd });
+      addToTotals({ userId, source, templateId, templateName }, call, costUsd);
+    },
+
+    summary() {
+      const total = sumUp(calls.map(call => ({
+        ...call,
+        calls: 1,
+        costUsd: call.costUsd || 0,
+        unpricedCalls: call.costUsd === null ? 1 : 0,
+        estimatedCalls: call.estimated ? 1 : 0
+      })));
+      return { ...total, models: [...new Set(calls.map(call => `${call.provider}/${call.model}`))] };
+    }
+  };
+}
+
+function groupBy(rows, keyOf, describe) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()]
+    .map(group => ({ ...describe(group[group.length - 1]), ...sumUp(group) }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls);
+}
+
+/**
+ * Usage of the last `days` days (today included) for a user, or for everyone when userId is null.
+ * Returns { from, to, totals, byDay, byTemplate, byModel, bySource, byUser? } - byDay lists every
+ * day of the range, byUser only comes with the all-users report.
+ */
+export function getUsageReport({ userId = null, days = 30 } = {}) {
+  const count = parseInt(days, 10);
+  if (!(count >= 1 && count <= MAX_REPORT_DAYS)) {
+    throw new HttpError(400, `days must be between 1 and ${MAX_REPORT_DAYS}`);
+  }
+
+  const dayList = Array.from({ length: count }, (_, i) =>
+    new Date(Date.now() - (count - 1 - i) * 86400000).toISOString().slice(0, 10));
+  const from = dayList[0];
+  const rows = store.read().totals.filter(row => row.day >= from && (userId === null || row.userId === userId));
+
+  const byDayRows = groupBy(rows, row => row.day, row => ({ day: row.day }));
+  return {
+    from,
+    to: dayList[dayList.length - 1],
+    totals: sumUp(rows),
+    byDay: dayList.map(day => byDayRows.find(row => row.day === day) || { day, ...sumUp([]) }),
+    byTemplate: groupBy(rows, row => row.templateId || '', row => ({ templateId: row.templateId, templateName: row.templateName })),
+    byModel: groupBy(rows, row => `${row.provider}/${row.model}`, row => ({ provider: row.provider, model: row.model })),
+    bySource: groupBy(rows, row => row.source, row => ({ source: row.source })),
+    ...(userId === null && { byUser: groupBy(rows, row => row.userId, row => ({ userId: row.userId })) })
+  };
+}
+
+function getDefaultBudget() {
+  const value = parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD);
+  return value > 0 ? value : null;
+}
+
+/**
+ * This month's (UTC) spending against the user's monthly budget - their own, else
+ * USAGE_MONTHLY_BUDGET_USD. status: 'none' (no budget), 'ok', 'warning' (80% used) or 'exceeded'
+ */
+export function getBudgetStatus(userId) {
+  const { totals, budgets } = store.read();
+  const month = today().slice(0, 7);
+  const own = budgets[userId] ?? null;
+  const monthlyUsd = own ?? getDefaultBudget();
+  const spentUsd = sumUp(totals.filter(row => row.userId === userId && row.day.startsWith(month))).costUsd;
+
+  let status = 'none';
+  if (monthlyUsd) {
+    status = spentUsd >= monthlyUsd ? 'exceeded' : spentUsd >= monthlyUsd * BUDGET_WARNING_SHARE ? 'warning' : 'ok';
+  }
+  return {
+    month,
+    monthlyUsd,
+    spentUsd,
+    share: monthlyUsd ? round(spentUsd / monthlyUsd) : null,
+    status,
+    isDefault: own === null && monthlyUsd !== null
+  };
+}
+
+/**
+ * Set the user's monthly budget in USD; null falls back to USAGE_MONTHLY_BUDGET_USD
+ */
+export function setMonthlyBudget(userId, monthlyUsd) {
+  if (monthlyUsd !== null && !(typeof monthlyUsd === 'number' && monthlyUsd > 0 && monthlyUsd <= 1e6)) {
+    throw new HttpError(400, 'monthlyUsd must be a positive amount in USD, or null to use the default');
+  }
+  store.update(data => {
+    if (monthlyUsd === null) delete data.budgets[userId];
+    else data.budgets[userId] = monthlyUsd;
+  });
+  return getBudgetStatus(userId);
+}
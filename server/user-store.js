@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { createJsonStore, getDataDir, getUserDataDir } from './json-store.js';
+import { HttpError } from './http-error.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const USER_ROLES = ['admin', 'user'];
+
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/;
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_LOGINS = 10000;
+
+// Data files that belonged to the single user of versions without accounts
+const LEGACY_DATA_FILES = ['history.json', 'templates.json', 'sequences.json', 'sender-profile.json', 'credentials.json'];
+
+// Accounts and their login sessions. Passwords are scrypt hashes, session tokens
+// are stored as SHA-256 hashes so the file alone can't be used to log in.
+const store = createJsonStore('users.json', { users: [], sessions: [] });
+
+// username -> { count, lockedUntil, lastFailedAt } - reset on a successful login or restart,
+// dropped once stale and capped so guessed usernames can't grow it without bound
+const failedLogins = new Map();
+
+function recordFailedLogin(name, failures) {
+  const now = Date.now();
+  for (const [key, entry] of failedLogins) {
+    if (entry.lockedUntil <= now && entry.lastFailedAt + LOCKOUT_MS <= now) failedLogins.delete(key);
+  }
+  failedLogins.delete(name);
+  if (failedLogins.size >= MAX_TRACKED_LOGINS) {
+    // Oldest first - Maps keep insertion order
+    failedLogins.delete(failedLogins.keys().next().value);
+  }
+  const count = (failures?.count || 0) + 1;
+  failedLogins.set(name, count >= MAX_FAILED_LOGINS
+    ? { count: 0, lockedUntil: now + LOCKOUT_MS, lastFailedAt: now }
+    : { count, lockedUntil: 0, lastFailedAt: now });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against for unknown usernames, so a login costs one scrypt whether or not the user exists
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new HttpError(400, `Passwords can have at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function normalizeUsername(username) {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new HttpError(400, 'Usernames are 3-40 characters: letters, digits, dots, dashes or underscores');
+  }
+  return name;
+}
+
+// What the API returns for a user - never the password hash
+function serialize(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function findUser(id) {
+  return store.read().users.find(u => u.id === id) || null;
+}
+
+function activeAdmins(users = store.read().users) {
+  return users.filter(u => u.role === 'admin' && !u.disabled);
+}
+
+function assertKeepsAnAdmin(users) {
+  if (activeAdmins(users).length === 0) {
+    throw new HttpError(409, 'There has to be at least one active admin');
+  }
+}
+
+export function hasUsers() {
+  return store.read().users.length > 0;
+}
+
+export function listUsers() {
+  return store.read().users.map(serialize);
+}
+
+export function getUser(id) {
+  const user = findUser(id);
+  return user ? serialize(user) : null;
+}
+
+/**
+ * Add an account. Usernames are unique, ignoring case (409 otherwise).
+ * With onlyIfFirst the account is only added while there are no users yet (first-run setup)
+ */
+export async function createUser({ username, password, role = 'user' } = {}, { onlyIfFirst = false } = {}) {
+  const name = normalizeUsername(username);
+  validatePassword(password);
+  if (!USER_ROLES.includes(role)) {
+    throw new HttpError(400, `Unknown role "${role}". Use one of: ${USER_ROLES.join(', ')}`);
+  }
+  if (store.read().users.some(u => u.username === name)) {
+    throw new HttpError(409, 'A user with this name already exists');
+  }
+
+  const passwordHash = await hashPassword(password);
+  const now = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    username: name,
+    role,
+    disabled: false,
+    passwordHash,
+    createdAt: now,
+    updatedAt: now,
+    lastLoginAt: null
+  };
+  // Checked again after hashing - another request may have added a user meanwhile
+  store.update(({ users }) => {
+    if (onlyIfFirst && users.length > 0) {
+      throw new HttpError(409, 'Setup is already done - sign in instead');
+    }
+    if (users.some(u => u.username === name)) {
+      throw new HttpError(409, 'A user with this name already exists');
+    }
+    users.push(user);
+  });
+  return serialize(user);
+}
+
+/**
+ * Change role, password or the disabled flag. The last active admin can't be demoted
+ * or disabled. A new password or disabling ends the user's sessions.
+ * Returns null for an unknown id
+ */
+export async function updateUser(id, { role, password, disabled } = {}) {
+  const user = findUser(id);
+  if (!user) return null;
+
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    throw new HttpError(400, `Unknown role "${role}". Use one of: ${USER_ROLES.join(', ')}`);
+  }
+  const losesAdmin = user.role === 'admin' && !user.disabled && ((role && role !== 'admin') || disabled === true);
+  if (losesAdmin && activeAdmins().length === 1) {
+    throw new HttpError(409, 'There has to be at least one active admin');
+  }
+  if (password !== undefined) validatePassword(password);
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+  store.update(data => {
+    const current = data.users.find(u => u.id === id);
+    if (!current) return;
+    // Checked again on the users as they are now - another request may have changed them meanwhile
+    if ((role && role !== 'admin') || disabled === true) {
+      assertKeepsAnAdmin(data.users.map(u => (u.id === id ? { ...u, role: role ?? u.role, disabled: disabled ?? u.disabled } : u)));
+    }
+    if (role !== undefined) current.role = role;
+    if (disabled !== undefined) current.disabled = !!disabled;
+    if (passwordHash) current.passwordHash = passwordHash;
+    current.updatedAt = new Date().toISOString();
+    if (passwordHash || current.disabled) {
+      data.sessions = data.sessions.filter(s => s.userId !== id);
+    }
+  });
+  const updated = findUser(id);
+  return updated ? serialize(updated) : null;
+}
+
+/**
+ * Remove an account, its sessions and all of its data (templates, history, ...)
+ */
+export function deleteUser(id) {
+  const user = findUser(id);
+  if (!user) return false;
+  if (user.role === 'admin' && !user.disabled && activeAdmins().length === 1) {
+    throw new HttpError(409, 'There has to be at least one active admin');
+  }
+  store.update(data => {
+    const remaining = data.users.filter(u => u.id !== id);
+    // Checked again on the users as they are now - another request may have changed them meanwhile
+    assertKeepsAnAdmin(remaining);
+    data.users = remaining;
+    data.sessions = data.sessions.filter(s => s.userId !== id);
+  });
+  fs.rmSync(getUserDataDir(id), { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Check a username and password. Returns the user, or null when they don't match.
+ * Repeated failures lock the username for a while (429).
+ */
+export async function authenticate(username, password) {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const failures = failedLogins.get(name);
+  if (failures?.lockedUntil > Date.now()) {
+    const minutes = Math.ceil((failures.lockedUntil - Date.now()) / 60000);
+    throw new HttpError(429, `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+  }
+
+  const user = store.read().users.find(u => u.username === name);
+  const matches = await verifyPassword(typeof password === 'string' ? password : '', user ? user.passwordHash : await DUMMY_HASH);
+  const valid = user && matches;
+  if (!valid || user.disabled) {
+    recordFailedLogin(name, failures);
+    return null;
+  }
+
+  failedLogins.delete(name);
+  store.update(() => { user.lastLoginAt = new Date().toISOString(); });
+  return serialize(user);
+}
+
+export async function changePassword(id, currentPassword, newPassword) {
+  const user = findUser(id);
+  if (!user || !await verifyPassword(currentPassword || '', user.passwordHash)) {
+    throw new HttpError(400, 'Your current password is not correct');
+  }
+  return updateUser(id, { password: newPassword });
+}
+
+/**
+ * Start a session. The token is returned once; only its hash is stored.
+ * Returns { token, expiresAt }
+ */
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const session = {
+    id: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  store.update(data => {
+    // Expired sessions are dropped whenever a new one starts
+    data.sessions = data.sessions.filter(s => Date.parse(s.expiresAt) > now);
+    data.sessions.push(session);
+  });
+  return { token, expiresAt: session.expiresAt };
+}
+
+/**
+ * The user a session token belongs to, or null if it is unknown, expired or the user is disabled
+ */
+export function getSessionUser(token) {
+  if (!token) return null;
+  const id = hashToken(token);
+  const session = store.read().sessions.find(s => s.id === id);
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  const user = findUser(session.userId);
+  return user && !user.disabled ? serialize(user) : null;
+}
+
+export function deleteSession(token) {
+  const id = hashToken(token || '');
+  store.update(data => {
+    data.sessions = data.sessions.filter(s => s.id !== id);
+  });
+}
+
+/**
+ * Move the data files of a single-user install into the given user's directory,
+ * so the first admin keeps the existing templates, history and accounts
+ */
+export function claimLegacyData(userId) {
+  const claimed = [];
+  for (const file of LEGACY_DATA_FILES) {
+    const source = path.join(getDataDir(), file);
+    if (!fs.existsSync(source)) continue;
+    const target = path.join(getUserDataDir(userId), file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(source, target);
+    claimed.push(file);
+  }
+  return claimed;
+}
@@ -0,0 +1,212 @@
+/**
+ * Deterministic template engine shared by the server (filling templates before the AI
+ * sees them) and the client (flagging problems in the editor).
+ *
+ * Syntax:
+ *   {name}                         value from the profile, left in place when missing
+ *   {company|your team}            value with a fallback
+ *   {#if company}...{else}...{/if} conditional on a value being present ({#if !company} negates)
+ */
+
+// Placeholders that resolve from profile fields
+export const PLACEHOLDER_FIELDS = {
+  name: 'Full name',
+  firstName: 'First name',
+  lastName: 'Last name',
+  title: 'Current job title',
+  headline: 'Profile headline',
+  company: 'Current company',
+  location: 'Location',
+  industry: 'Industry',
+  field: 'Field of work (falls back to industry)'
+};
+
+const TOKEN_PATTERN = /\{(#if\s+!?\s*[A-Za-z_][\w.]*|else|\/if|[A-Za-z_][\w.]*(?:\|[^{}\n]*)?)\}/g;
+
+// Anything still looking like {placeholder} after rendering or in the AI output
+const LEFTOVER_PATTERN = /\{[A-Za-z_#/!][^{}\n]{0,40}\}/g;
+
+const MISSING_VALUES = ['', 'not provided', 'unknown', 'n/a'];
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[_\s]/g, '');
+}
+
+const KNOWN_KEYS = new Set(Object.keys(PLACEHOLDER_FIELDS).map(normalizeKey));
+
+/**
+ * Parse a template into a node tree. Unbalanced conditionals are reported in errors
+ * and the rest of the template is still parsed.
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const errors = [];
+  let lastIndex = 0;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  for (const match of (template || '').matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const token = match[1];
+    if (token.startsWith('#if')) {
+      const expression = token.slice(3).trim();
+      const negate = expression.startsWith('!');
+      const node = { type: 'if', name: expression.replace(/^!\s*/, ''), negate, children: [], otherwise: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (token === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.inElse) {
+        errors.push('{else} without a matching {#if ...}');
+        current().push({ type: 'text', value: match[0] });
+      } else {
+        node.inElse = true;
+      }
+    } else if (token === '/if') {
+      if (stack.length === 1) {
+        errors.push('{/if} without a matching {#if ...}');
+        current().push({ type: 'text', value: match[0] });
+      } else {
+        stack.pop();
+      }
+    } else {
+      const separator = token.indexOf('|');
+      current().push(separator === -1
+        ? { type: 'placeholder', name: token, fallback: null }
+        : { type: 'placeholder', name: token.slice(0, separator).trim(), fallback: token.slice(separator + 1) });
+    }
+  }
+
+  if (lastIndex < (template || '').length) {
+    current().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  for (const node of stack.slice(1)) {
+    errors.push(`{#if ${node.negate ? '!' : ''}${node.name}} is never closed with {/if}`);
+  }
+
+  return { nodes: root.children, errors };
+}
+
+function walk(nodes, visit) {
+  for (const node of nodes) {
+    visit(node);
+    if (node.type === 'if') {
+      walk(node.children, visit);
+      walk(node.otherwise, visit);
+    }
+  }
+}
+
+/**
+ * List the placeholders used in a template and flag unknown ones.
+ * extraFields are additional names that will have values (e.g. campaign CSV columns).
+ */
+export function analyzeTemplate(template, { extraFields = [] } = {}) {
+  const { nodes, errors } = parseTemplate(template);
+  const extraKeys = new Set(extraFields.map(normalizeKey));
+  const seen = new Map();
+
+  walk(nodes, node => {
+    if (node.type !== 'placeholder' && node.type !== 'if') return;
+    const key = normalizeKey(node.name);
+    // A fallback or a conditional means the template copes with the value missing
+    const optional = node.type === 'if' || node.fallback !== null;
+    const existing = seen.get(key);
+    if (existing) {
+      existing.optional = existing.optional || optional;
+      return;
+    }
+    seen.set(key, {
+      name: node.name,
+      known: KNOWN_KEYS.has(key) || extraKeys.has(key),
+      optional
+    });
+  });
+
+  const placeholders = [...seen.values()];
+  return {
+    placeholders,
+    unknown: placeholders.filter(p => !p.known).map(p => p.name),
+    errors
+  };
+}
+
+function isPresent(value) {
+  return typeof value === 'string'
+    ? !MISSING_VALUES.includes(value.trim().toLowerCase())
+    : value !== undefined && value !== null;
+}
+
+// Only a value set for this name - never something inherited like {constructor}
+function ownValue(values, key) {
+  return Object.hasOwn(values, key) ? values[key] : undefined;
+}
+
+/**
+ * Build the placeholder values for a profile. extraValues (e.g. campaign CSV columns)
+ * only fill names the profile has no value for.
+ */
+export function resolveProfileValues(profileData = {}, extraValues = {}) {
+  const nameParts = (profileData.name || '').trim().split(/\s+/).filter(Boolean);
+  const values = {
+    name: profileData.name,
+    firstname: nameParts[0],
+    lastname: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+    title: profileData.title,
+    headline: profileData.headline,
+    company: profileData.company,
+    location: profileData.location,
+    industry: profileData.industry,
+    field: profileData.field || profileData.industry
+  };
+
+  for (const [key, value] of Object.entries(extraValues)) {
+    const normalized = normalizeKey(key);
+    if (!isPresent(ownValue(values, normalized)) && isPresent(value)) values[normalized] = value;
+  }
+
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => isPresent(value))
+    .map(([key, value]) => [key, String(value).trim()]));
+}
+
+/**
+ * Fill a template from resolved values. Placeholders without a value or fallback are
+ * left as {name} and listed in unresolved.
+ */
+export function renderTemplate(template, values = {}) {
+  const { nodes, errors } = parseTemplate(template);
+  const unresolved = new Set();
+
+  const render = list => list.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = ownValue(values, normalizeKey(node.name));
+    if (node.type === 'if') {
+      const condition = node.negate ? !value : !!value;
+      return render(condition ? node.children : node.otherwise);
+    }
+
+    if (value) return value;
+    if (node.fallback !== null) return node.fallback;
+    unresolved.add(node.name);
+    return `{${node.name}}`;
+  }).join('');
+
+  return { text: render(nodes), unresolved: [...unresolved], errors };
+}
+
+/**
+ * Return {tokens} still present in a text - used to check the AI output
+ */
+export function findLeftoverPlaceholders(text) {
+  return [...new Set((text || '').match(LEFTOVER_PATTERN) || [])];
+}
@@ -1,56 +1,96 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import CampaignResults from './CampaignResults'
+import MessageVariants, { CharacterCounter } from './MessageVariants'
+import HistoryPanel, { HISTORY_STATUS_LABELS, formatTimeAgo } from './HistoryPanel'
+import ProfileSections from './ProfileSections'
+import SenderProfileSettings from './SenderProfileSettings'
+import SharedBackground from './SharedBackground'
+import TemplateVersions from './TemplateVersions'
+import SequencesPanel from './SequencesPanel'
+import ReplyDrafter from './ReplyDrafter'
+import LinkedInAccounts from './LinkedInAccounts'
+import UserAdmin, { PasswordSettings } from './UserAdmin'
+import UsagePanel, { describeUsage, describeBudgetAlert } from './UsagePanel'
+import { apiFetch } from './api'
+import { analyzeTemplate, PLACEHOLDER_FIELDS } from '../shared/template-engine.js'
 import './App.css'
 
-const STORAGE_KEY = 'reachout-saved-templates'
-const COOKIE_STORAGE_KEY = 'reachout-linkedin-cookie'
+// The id of the LinkedIn account to scrape with - the cookie itself stays in the server's vault
+const ACCOUNT_STORAGE_KEY = 'reachout-linkedin-account'
+// Older versions kept the li_at cookie itself in localStorage - it is moved into the vault once on load
+const LEGACY_COOKIE_STORAGE_KEY = 'reachout-linkedin-cookie'
+const LLM_STORAGE_KEY = 'reachout-llm-settings'
+// Older versions kept history and templates in localStorage - they are moved to the server once on load
+const LEGACY_HISTORY_STORAGE_KEY = 'reachout-history'
+const LEGACY_TEMPLATES_STORAGE_KEY = 'reachout-saved-templates'
+
+const DEFAULT_LLM_SETTINGS = {
+  messaging: { provider: '', model: '' },
+  scraping: { provider: '', model: '' }
+}
+
+// Only send the provider/model fields the user actually set, the server falls back to its env defaults
+const buildLlmOverrides = (settings) => {
+  const overrides = {}
+  for (const purpose of ['messaging', 'scraping']) {
+    const { provider, model } = settings[purpose] || {}
+    if (provider || model.trim()) {
+      overrides[purpose] = { provider: provider || undefined, model: model.trim() || undefined }
+    }
+  }
+  return overrides
+}
 
 const DEFAULT_DATA_INCLUSION = {
   about: true,
   experience: true,
   skills: true,
-  education: true
+  education: true,
+  // Off by default - these open extra LinkedIn pages
+  companyDetails: false,
+  activity: false
 }
 
-const SAMPLE_TEMPLATES = [
-  {
-    name: "Networking",
-    template: `Hi {name},
-
-I came across your profile and was impressed by your work at {company}. I'd love to connect and learn more about your journey in {industry}.
-
-Would you be open to a brief chat sometime?
-
-Best regards`,
-    systemPrompt: '',
-    dataInclusion: { ...DEFAULT_DATA_INCLUSION }
-  },
-  {
-    name: "Job Opportunity",
-    template: `Hi {name},
-
-I noticed your experience in {field} and thought you might be interested in an exciting opportunity at our company.
-
-We're looking for someone with your background, and I'd love to share more details if you're open to it.
-
-Let me know if you'd like to connect!`,
-    systemPrompt: '',
-    dataInclusion: { ...DEFAULT_DATA_INCLUSION }
-  },
-  {
-    name: "Collaboration",
-    template: `Hello {name},
+// Labels for the progress events sent by /api/generate-message/stream
+const GENERATION_STAGES = {
+  cache: 'Checking profile cache...',
+  browser: 'Opening browser...',
+  navigating: 'Loading LinkedIn profile...',
+  details: 'Reading experience and skills pages...',
+  extracting: 'Extracting profile details...',
+  company: 'Reading company page...',
+  activity: 'Reading recent activity...',
+  generating: 'Writing your message...',
+  shortening: 'Shortening to fit the limit...'
+}
 
-I've been following your work and find it really inspiring. I'm working on a project that aligns with your expertise, and I think there could be some great synergy.
+// Read a Server-Sent Events response body and call onEvent(event, data) for every message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
 
-Would you be interested in exploring a potential collaboration?
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
 
-Looking forward to hearing from you!`,
-    systemPrompt: '',
-    dataInclusion: { ...DEFAULT_DATA_INCLUSION }
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const chunk = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      let event = 'message'
+      let data = ''
+      for (const line of chunk.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trim()
+      }
+      if (data) onEvent(event, JSON.parse(data))
+    }
   }
-];
+}
 
-function App() {
+function App({ user, onSignOut }) {
   const [profileUrl, setProfileUrl] = useState('')
   const [messageTemplate, setMessageTemplate] = useState('')
   const [systemPrompt, setSystemPrompt] = useState('')
@@ -63,10 +103,31 @@ function App() {
     about: ''
   })
   const [showManualInput, setShowManualInput] = useState(false)
-  const [generatedMessage, setGeneratedMessage] = useState('')
+  const [variants, setVariants] = useState([])
+  const [favoriteVariantId, setFavoriteVariantId] = useState(null)
+  const [regeneratingId, setRegeneratingId] = useState(null)
+  const [variantCount, setVariantCount] = useState(1)
+  const [selectedTones, setSelectedTones] = useState([])
+  const [tonePresets, setTonePresets] = useState({})
+  const [messageType, setMessageType] = useState('direct_message')
+  const [messageTypes, setMessageTypes] = useState({})
+  const [outputMessageType, setOutputMessageType] = useState('direct_message')
+  const [templateWarnings, setTemplateWarnings] = useState([])
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
+  const [currentHistoryId, setCurrentHistoryId] = useState(null)
+  const [historyStatus, setHistoryStatus] = useState('draft')
+  const [finalMessage, setFinalMessage] = useState('')
+  const [finalSubject, setFinalSubject] = useState('')
+  const [finalMessageEdited, setFinalMessageEdited] = useState(false)
+  const [finalMessageSaved, setFinalMessageSaved] = useState(false)
   const [profileData, setProfileData] = useState(null)
   const [scrapedProfileData, setScrapedProfileData] = useState(null)
+  const [profileCache, setProfileCache] = useState(null)
+  const [overlaps, setOverlaps] = useState([])
+  const [replyThread, setReplyThread] = useState([])
+  const [forceRefresh, setForceRefresh] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [generationStage, setGenerationStage] = useState('')
   const [error, setError] = useState('')
   const [copied, setCopied] = useState(false)
   const [saved, setSaved] = useState(false)
@@ -75,80 +136,382 @@ function App() {
   const [showSaveInput, setShowSaveInput] = useState(false)
   const [selectedTemplateId, setSelectedTemplateId] = useState(null)
   const [nameError, setNameError] = useState('')
-  const [linkedinCookie, setLinkedinCookie] = useState('')
+  const [linkedinAccountId, setLinkedinAccountId] = useState(() => localStorage.getItem(ACCOUNT_STORAGE_KEY))
+  const [linkedinVault, setLinkedinVault] = useState(null)
   const [showSettings, setShowSettings] = useState(false)
+  const [showVersions, setShowVersions] = useState(false)
+  const [linkedinSession, setLinkedinSession] = useState({ state: 'unknown' })
+  const [llmSettings, setLlmSettings] = useState(DEFAULT_LLM_SETTINGS)
+  const [llmProviders, setLlmProviders] = useState(null)
   const [showSystemPrompt, setShowSystemPrompt] = useState(false)
   const [showProfileDetails, setShowProfileDetails] = useState(false)
+  const [mode, setMode] = useState('single')
+  const generateAbortRef = useRef(null)
+  const [campaignInput, setCampaignInput] = useState('')
+  const [campaignConcurrency, setCampaignConcurrency] = useState(2)
+  const [campaignRetries, setCampaignRetries] = useState(1)
+  const [campaign, setCampaign] = useState(null)
+  const [generationUsage, setGenerationUsage] = useState(null)
+  const [usageBudget, setUsageBudget] = useState(null)
 
-  // Load saved templates and LinkedIn cookie from localStorage on mount
+  // Load the template library and LinkedIn accounts from the server on mount
   useEffect(() => {
-    const stored = localStorage.getItem(STORAGE_KEY)
-    if (stored) {
+    const legacyTemplates = localStorage.getItem(LEGACY_TEMPLATES_STORAGE_KEY)
+    if (legacyTemplates) {
+      let templates = []
       try {
-        setSavedTemplates(JSON.parse(stored))
+        templates = JSON.parse(legacyTemplates)
       } catch {
-        setSavedTemplates([])
+        templates = []
       }
+      apiFetch('/api/templates/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ templates })
+      })
+        .then(async response => {
+          if (!response.ok) return loadTemplates()
+          localStorage.removeItem(LEGACY_TEMPLATES_STORAGE_KEY)
+          setSavedTemplates((await response.json()).templates)
+        })
+        .catch(() => {})
+    } else {
+      loadTemplates()
     }
-    
-    const storedCookie = localStorage.getItem(COOKIE_STORAGE_KEY)
-    if (storedCookie) {
-      setLinkedinCookie(storedCookie)
+
+    const legacyCookie = localStorage.getItem(LEGACY_COOKIE_STORAGE_KEY)
+    if (legacyCookie) {
+      apiFetch('/api/linkedin/accounts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'My LinkedIn', cookie: legacyCookie })
+      })
+        .then(async response => {
+          // Kept in the browser while the server has no vault (CREDENTIAL_MASTER_KEY unset)
+          if (!response.ok) return
+          localStorage.removeItem(LEGACY_COOKIE_STORAGE_KEY)
+          selectLinkedinAccount((await response.json()).account.id)
+        })
+        .catch(() => {})
+        .finally(loadLinkedinAccounts)
+    } else {
+      loadLinkedinAccounts()
+      checkLinkedinSession()
+    }
+
+    const legacyHistory = localStorage.getItem(LEGACY_HISTORY_STORAGE_KEY)
+    if (legacyHistory) {
+      let entries = []
+      try {
+        entries = JSON.parse(legacyHistory)
+      } catch {
+        entries = []
+      }
+      apiFetch('/api/history/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entries })
+      })
+        .then(response => {
+          if (!response.ok) return
+          localStorage.removeItem(LEGACY_HISTORY_STORAGE_KEY)
+          setHistoryRefreshKey(key => key + 1)
+        })
+        .catch(() => {})
+    }
+
+    apiFetch('/api/tones')
+      .then(response => response.json())
+      .then(data => setTonePresets(data.tones || {}))
+      .catch(() => {})
+
+    apiFetch('/api/message-types')
+      .then(response => response.json())
+      .then(data => setMessageTypes(data.messageTypes || {}))
+      .catch(() => {})
+
+    const storedLlm = localStorage.getItem(LLM_STORAGE_KEY)
+    if (storedLlm) {
+      try {
+        setLlmSettings({ ...DEFAULT_LLM_SETTINGS, ...JSON.parse(storedLlm) })
+      } catch {
+        setLlmSettings(DEFAULT_LLM_SETTINGS)
+      }
     }
   }, [])
 
-  // Save LinkedIn cookie when it changes
-  const handleSaveCookie = () => {
-    if (linkedinCookie.trim()) {
-      localStorage.setItem(COOKIE_STORAGE_KEY, linkedinCookie.trim())
+  // This month's AI spending against the budget, for the budget alert
+  const loadUsageBudget = () => {
+    apiFetch('/api/usage/budget')
+      .then(response => response.json())
+      .then(data => data.budget && setUsageBudget(data.budget))
+      .catch(() => {})
+  }
+
+  useEffect(loadUsageBudget, [])
+
+  // Load the available AI providers when settings are opened
+  useEffect(() => {
+    if (!showSettings || llmProviders) return
+    apiFetch('/api/llm/providers')
+      .then(response => response.json())
+      .then(data => setLlmProviders(data))
+      .catch(() => {})
+  }, [showSettings, llmProviders])
+
+  const loadLinkedinAccounts = () => {
+    apiFetch('/api/linkedin/accounts')
+      .then(response => response.json())
+      .then(data => {
+        setLinkedinVault(data)
+        // Forget an account that was removed; the server then uses the default one
+        setLinkedinAccountId(id => {
+          if (!id || data.accounts?.some(a => a.id === id)) return id
+          localStorage.removeItem(ACCOUNT_STORAGE_KEY)
+          return null
+        })
+      })
+      .catch(() => {})
+  }
+
+  // Validate the chosen account (else the default account or the server's LINKEDIN_COOKIE) against LinkedIn
+  const checkLinkedinSession = async ({ accountId = linkedinAccountId, force = false } = {}) => {
+    setLinkedinSession(prev => ({ ...prev, state: 'checking' }))
+    try {
+      const response = await apiFetch('/api/linkedin/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ linkedinAccountId: accountId || undefined, force })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setLinkedinSession({ state: data.requireCookie ? 'missing' : 'error', error: data.error })
+        return
+      }
+      setLinkedinSession({ state: data.session.valid ? 'valid' : 'invalid', session: data.session })
+    } catch (err) {
+      setLinkedinSession({ state: 'error', error: 'Network error. Make sure the server is running.' })
+    }
+  }
+
+  // Use another stored account (null falls back to the default one) and check its session
+  const selectLinkedinAccount = (id) => {
+    setLinkedinAccountId(id)
+    if (id) {
+      localStorage.setItem(ACCOUNT_STORAGE_KEY, id)
     } else {
-      localStorage.removeItem(COOKIE_STORAGE_KEY)
+      localStorage.removeItem(ACCOUNT_STORAGE_KEY)
     }
+    checkLinkedinSession({ accountId: id, force: true })
+  }
+
+  const handleSaveSettings = () => {
+    localStorage.setItem(LLM_STORAGE_KEY, JSON.stringify(llmSettings))
     setShowSettings(false)
   }
 
+  const updateHistoryEntry = async (id, changes) => {
+    try {
+      const response = await apiFetch(`/api/history/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to update history')
+        return false
+      }
+      setHistoryRefreshKey(key => key + 1)
+      return true
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+      return false
+    }
+  }
+
+  // Apply a change to the history entry of the message currently on screen
+  const updateCurrentHistory = (changes) => {
+    if (!currentHistoryId) return Promise.resolve(false)
+    return updateHistoryEntry(currentHistoryId, changes)
+  }
+
+  const handleGenerateError = (data) => {
+    if (data.sessionExpired) {
+      setLinkedinSession({ state: 'invalid', session: { valid: false, reason: data.error } })
+    }
+    if (data.requireCookie) {
+      setShowSettings(true)
+      setError('LinkedIn cookie is required for scraping. Please add your li_at cookie in Settings.')
+    } else if (data.requireManualInput) {
+      setShowManualInput(true)
+      setError('Could not fetch LinkedIn profile automatically. Please enter profile details manually below.')
+    } else {
+      setError(data.error || 'Failed to generate message')
+    }
+  }
+
+  const handleGenerateDone = (data) => {
+    const newVariants = data.variants || [{ id: 1, tone: null, message: data.personalizedMessage }]
+    setVariants(newVariants)
+    setProfileData(data.profileData)
+    setScrapedProfileData(data.fullProfileData || data.profileData)
+    setProfileCache(data.profileCache)
+    setOverlaps(data.overlaps || [])
+    setShowProfileDetails(true) // Auto-expand profile details
+    setCurrentHistoryId(data.historyId)
+    setOutputMessageType(data.messageType)
+    setTemplateWarnings((data.warnings || []).filter(w => !w.variantId))
+    setHistoryStatus('draft')
+    setHistoryRefreshKey(key => key + 1)
+    setGenerationUsage(data.usage)
+    loadUsageBudget()
+  }
+
+  // Append a streamed chunk to its draft, creating the draft card on its first token
+  const appendVariantToken = ({ variantId, text }) => {
+    setVariants(prev => {
+      if (!prev.some(v => v.id === variantId)) {
+        const tone = selectedTones.length > 0 ? selectedTones[(variantId - 1) % selectedTones.length] : null
+        return [...prev, { id: variantId, tone, message: text }].sort((a, b) => a.id - b.id)
+      }
+      return prev.map(v => v.id === variantId ? { ...v, message: v.message + text } : v)
+    })
+  }
+
   const handleGenerate = async () => {
     setError('')
-    setGeneratedMessage('')
+    setVariants([])
+    setFavoriteVariantId(null)
+    setCurrentHistoryId(null)
+    setFinalMessage('')
+    setFinalSubject('')
+    setFinalMessageEdited(false)
+    setOutputMessageType(messageType)
+    setTemplateWarnings([])
+    setProfileData(null)
     setScrapedProfileData(null)
+    setProfileCache(null)
+    setOverlaps([])
+    setReplyThread([])
     setShowProfileDetails(false)
+    setGenerationStage('')
+    setGenerationUsage(null)
     setLoading(true)
 
+    const controller = new AbortController()
+    generateAbortRef.current = controller
+
     try {
-      const response = await fetch('/api/generate-message', {
+      const response = await apiFetch('/api/generate-message/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
         body: JSON.stringify({
           profileUrl,
           messageTemplate,
+          templateId: selectedTemplateId || undefined,
           systemPrompt: systemPrompt.trim() || undefined,
           dataInclusion,
           manualProfileData: showManualInput ? manualProfile : null,
-          linkedinCookie: linkedinCookie.trim() || undefined
+          linkedinAccountId: linkedinAccountId || undefined,
+          forceRefresh,
+          variants: variantCount,
+          tones: selectedTones,
+          messageType,
+          llm: buildLlmOverrides(llmSettings)
+        })
+      })
+
+      if (!response.ok) {
+        handleGenerateError(await response.json().catch(() => ({})))
+        return
+      }
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'progress') {
+          setGenerationStage(data.stage)
+        } else if (event === 'profile') {
+          setProfileData(data.profileData)
+          setProfileCache(data.profileCache)
+          setOverlaps(data.overlaps || [])
+        } else if (event === 'token') {
+          appendVariantToken(data)
+        } else if (event === 'done') {
+          handleGenerateDone(data)
+        } else if (event === 'error') {
+          setVariants([])
+          handleGenerateError(data)
+        }
+      })
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setVariants([])
+        setError('Generation cancelled.')
+      } else {
+        setError('Network error. Make sure the server is running.')
+      }
+    } finally {
+      generateAbortRef.current = null
+      setGenerationStage('')
+      setLoading(false)
+    }
+  }
+
+  const handleCancelGenerate = () => {
+    generateAbortRef.current?.abort()
+  }
+
+  // Poll the running campaign until every row has finished
+  useEffect(() => {
+    if (!campaign || campaign.status !== 'running') return
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await apiFetch(`/api/campaigns/${campaign.id}`)
+        const data = await response.json()
+        if (response.ok) setCampaign(data.campaign)
+      } catch {
+        // Keep polling - the server may be restarting
+      }
+    }, 2000)
+
+    return () => clearInterval(timer)
+  }, [campaign?.id, campaign?.status])
+
+  const handleStartCampaign = async () => {
+    setError('')
+    setLoading(true)
+
+    try {
+      const response = await apiFetch('/api/campaigns', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          csv: campaignInput,
+          messageTemplate,
+          templateId: selectedTemplateId || undefined,
+          systemPrompt: systemPrompt.trim() || undefined,
+          dataInclusion,
+          concurrency: campaignConcurrency,
+          maxRetries: campaignRetries,
+          linkedinAccountId: linkedinAccountId || undefined,
+          forceRefresh,
+          messageType,
+          llm: buildLlmOverrides(llmSettings)
         })
       })
 
       const data = await response.json()
 
       if (!response.ok) {
-        if (data.requireCookie) {
-          setShowSettings(true)
-          setError('LinkedIn cookie is required for scraping. Please add your li_at cookie in Settings.')
-        } else if (data.requireManualInput) {
-          setShowManualInput(true)
-          setError('Could not fetch LinkedIn profile automatically. Please enter profile details manually below.')
-        } else {
-          setError(data.error || 'Failed to generate message')
-        }
+        if (data.requireCookie) setShowSettings(true)
+        setError(data.error || 'Failed to start campaign')
         return
       }
 
-      console.log('[Frontend] Full profile data received:', data.fullProfileData)
-      console.log('[Frontend] Profile data received:', data.profileData)
-      setGeneratedMessage(data.personalizedMessage)
-      setProfileData(data.profileData)
-      setScrapedProfileData(data.fullProfileData || data.profileData)
-      setShowProfileDetails(true) // Auto-expand profile details
+      setCampaign(data.campaign)
     } catch (err) {
       setError('Network error. Make sure the server is running.')
     } finally {
@@ -156,12 +519,142 @@ function App() {
     }
   }
 
+  const handleCampaignAction = async (action, body = {}) => {
+    try {
+      const response = await apiFetch(`/api/campaigns/${campaign.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      const data = await response.json()
+      if (response.ok) {
+        setCampaign(data.campaign)
+      } else {
+        setError(data.error || `Failed to ${action} campaign`)
+      }
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    }
+  }
+
+  const handleCampaignFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setCampaignInput(await file.text())
+    e.target.value = ''
+  }
+
+  const campaignRowCount = campaignInput.split(/\r?\n/).filter(l => l.includes('linkedin.com/')).length
+
+  // In campaign mode the CSV header columns can fill placeholders too
+  const campaignHeader = campaignInput.split(/\r?\n/)[0] || ''
+  const campaignColumns = mode === 'campaign' && !campaignHeader.includes('linkedin.com/')
+    ? campaignHeader.split(',').map(c => c.trim()).filter(Boolean)
+    : []
+  const templateAnalysis = analyzeTemplate(messageTemplate, { extraFields: campaignColumns })
+
   const handleCopy = async () => {
-    await navigator.clipboard.writeText(generatedMessage)
+    await navigator.clipboard.writeText(finalMessage || primaryMessage)
     setCopied(true)
     setTimeout(() => setCopied(false), 2000)
   }
 
+  // Regenerate a single draft from the already-fetched profile, keeping its tone
+  const handleRegenerateVariant = async (variant) => {
+    setError('')
+    setRegeneratingId(variant.id)
+
+    try {
+      const response = await apiFetch('/api/generate-message', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          messageTemplate,
+          systemPrompt: systemPrompt.trim() || undefined,
+          dataInclusion,
+          manualProfileData: scrapedProfileData || profileData,
+          variants: 1,
+          tones: variant.tone ? [variant.tone] : [],
+          messageType: outputMessageType,
+          llm: buildLlmOverrides(llmSettings),
+          saveHistory: false
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to regenerate message')
+        return
+      }
+
+      const [regenerated] = data.variants
+      const updated = variants.map(v => v.id === variant.id ? { ...regenerated, id: v.id, tone: v.tone } : v)
+      setVariants(updated)
+      updateCurrentHistory({ variants: updated })
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    } finally {
+      setRegeneratingId(null)
+    }
+  }
+
+  const handleToggleFavorite = (variantId) => {
+    const next = favoriteVariantId === variantId ? null : variantId
+    setFavoriteVariantId(next)
+    updateCurrentHistory({ favoriteVariantId: next })
+  }
+
+  const handleRestoreHistory = async (id) => {
+    setError('')
+    try {
+      const response = await apiFetch(`/api/history/${id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to load history entry')
+        return
+      }
+
+      const { entry } = data
+      setMode('single')
+      setVariants(entry.variants)
+      setFavoriteVariantId(entry.favoriteVariantId)
+      setCurrentHistoryId(entry.id)
+      setHistoryStatus(entry.status)
+      setOutputMessageType(entry.messageType || 'direct_message')
+      setTemplateWarnings([])
+      setFinalMessage(entry.finalMessage)
+      setFinalSubject(entry.finalSubject || '')
+      setFinalMessageEdited(!!(entry.finalMessage || entry.finalSubject))
+      setProfileData(entry.profileData)
+      setScrapedProfileData(entry.profileData)
+      setProfileCache(null)
+      setOverlaps(entry.overlaps || [])
+      setReplyThread(entry.thread || [])
+      setShowProfileDetails(false)
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    }
+  }
+
+  const handleHistoryStatusChange = async (id, status) => {
+    if (await updateHistoryEntry(id, { status }) && id === currentHistoryId) {
+      setHistoryStatus(status)
+    }
+  }
+
+  const handleSaveFinalMessage = async () => {
+    if (await updateCurrentHistory({ finalMessage, finalSubject })) {
+      setFinalMessageSaved(true)
+      setTimeout(() => setFinalMessageSaved(false), 2000)
+    }
+  }
+
+  const toggleTone = (tone) => {
+    setSelectedTones(selectedTones.includes(tone)
+      ? selectedTones.filter(t => t !== tone)
+      : [...selectedTones, tone])
+  }
+
   const selectTemplate = (templateObj, id = null) => {
     if (typeof templateObj === 'string') {
       // Legacy: just template text
@@ -172,85 +665,150 @@ function App() {
       // New: full template object
       setMessageTemplate(templateObj.template || '')
       setSystemPrompt(templateObj.systemPrompt || '')
-      setDataInclusion(templateObj.dataInclusion || { ...DEFAULT_DATA_INCLUSION })
+      // Templates saved before a toggle existed get its default
+      setDataInclusion({ ...DEFAULT_DATA_INCLUSION, ...templateObj.dataInclusion })
     }
     setSelectedTemplateId(id)
   }
 
-  const handleSaveTemplate = () => {
+  const loadTemplates = () => {
+    apiFetch('/api/templates')
+      .then(response => response.json())
+      .then(data => setSavedTemplates(data.templates || []))
+      .catch(() => setError('Could not load templates. Make sure the server is running.'))
+  }
+
+  // Send a change to the template library; returns the server response body, or null on failure
+  const saveTemplateRequest = async (url, method, body) => {
+    try {
+      const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        return { error: data.error || 'Failed to save template' }
+      }
+      return data
+    } catch (err) {
+      return { error: 'Network error. Make sure the server is running.' }
+    }
+  }
+
+  const flashSaved = () => {
+    setSaved(true)
+    setTimeout(() => setSaved(false), 2000)
+  }
+
+  const handleSaveTemplate = async () => {
     if (!templateName.trim() || !messageTemplate.trim()) return
     
     const trimmedName = templateName.trim()
-    const nameExists = 
-      SAMPLE_TEMPLATES.some(t => t.name.toLowerCase() === trimmedName.toLowerCase()) ||
-      savedTemplates.some(t => t.name.toLowerCase() === trimmedName.toLowerCase())
-    
-    if (nameExists) {
+    if (savedTemplates.some(t => t.name.toLowerCase() === trimmedName.toLowerCase())) {
       setNameError('A template with this name already exists')
       return
     }
     
-    const newTemplate = {
-      id: Date.now(),
+    const data = await saveTemplateRequest('/api/templates', 'POST', {
       name: trimmedName,
       template: messageTemplate,
       systemPrompt: systemPrompt,
       dataInclusion: { ...dataInclusion }
+    })
+    if (data.error) {
+      setNameError(data.error)
+      return
     }
     
-    const updated = [...savedTemplates, newTemplate]
-    setSavedTemplates(updated)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated))
-    
+    setSavedTemplates([...savedTemplates, data.template])
     setTemplateName('')
     setNameError('')
     setShowSaveInput(false)
-    setSelectedTemplateId(newTemplate.id)
-    setSaved(true)
-    setTimeout(() => setSaved(false), 2000)
+    setSelectedTemplateId(data.template.id)
+    flashSaved()
   }
 
-  const handleUpdateTemplate = () => {
+  const handleUpdateTemplate = async () => {
     if (!selectedTemplateId || !messageTemplate.trim()) return
     
-    const updated = savedTemplates.map(t => 
-      t.id === selectedTemplateId ? { 
-        ...t, 
-        template: messageTemplate,
-        systemPrompt: systemPrompt,
-        dataInclusion: { ...dataInclusion }
-      } : t
-    )
-    setSavedTemplates(updated)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated))
-    
-    setSaved(true)
-    setTimeout(() => setSaved(false), 2000)
+    const data = await saveTemplateRequest(`/api/templates/${selectedTemplateId}`, 'PUT', {
+      template: messageTemplate,
+      systemPrompt: systemPrompt,
+      dataInclusion: { ...dataInclusion }
+    })
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    setSavedTemplates(savedTemplates.map(t => t.id === selectedTemplateId ? data.template : t))
+    flashSaved()
   }
 
-  const handleDeleteTemplate = (id) => {
-    const updated = savedTemplates.filter(t => t.id !== id)
-    setSavedTemplates(updated)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated))
+  const handleDeleteTemplate = async (id) => {
+    const data = await saveTemplateRequest(`/api/templates/${id}`, 'DELETE')
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    setSavedTemplates(savedTemplates.filter(t => t.id !== id))
     if (selectedTemplateId === id) {
       setSelectedTemplateId(null)
     }
   }
 
+  // Import an exported library file; templates with the same name are replaced by the file's version
+  const handleImportTemplates = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    e.target.value = ''
+
+    let library
+    try {
+      library = JSON.parse(await file.text())
+    } catch {
+      setError(`${file.name} is not a valid JSON file`)
+      return
+    }
+
+    const data = await saveTemplateRequest('/api/templates/import', 'POST', {
+      ...(Array.isArray(library) ? { templates: library } : library),
+      overwrite: true
+    })
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    setSavedTemplates(data.templates)
+    setError(data.errors.length > 0 ? `Some templates were not imported: ${data.errors.join('; ')}` : '')
+    flashSaved()
+  }
+
   // Check if current template content differs from selected saved template
   const selectedTemplate = savedTemplates.find(t => t.id === selectedTemplateId)
   const hasUnsavedChanges = selectedTemplate && (
     messageTemplate !== selectedTemplate.template ||
     systemPrompt !== (selectedTemplate.systemPrompt || '') ||
-    JSON.stringify(dataInclusion) !== JSON.stringify(selectedTemplate.dataInclusion || DEFAULT_DATA_INCLUSION)
+    JSON.stringify(dataInclusion) !== JSON.stringify({ ...DEFAULT_DATA_INCLUSION, ...selectedTemplate.dataInclusion })
   )
 
-  // Combine default and saved templates
-  const allTemplates = [
-    ...SAMPLE_TEMPLATES.map((t, i) => ({ ...t, id: `default-${i}`, isDefault: true })),
-    ...savedTemplates.map(t => ({ ...t, isDefault: false }))
+  const primaryVariant = variants.find(v => v.id === favoriteVariantId) || variants[0]
+  const primaryMessage = primaryVariant?.message || ''
+  const linkedinConfigured = linkedinVault?.accounts?.length > 0 || !!linkedinVault?.envCookie
+  const primarySubject = primaryVariant?.subject || ''
+  const outputLimits = messageTypes[outputMessageType]
+  const outputWarnings = [
+    ...templateWarnings.map(w => w.message),
+    ...variants.flatMap(v => (v.warnings || []).map(w => variants.length > 1 ? `Draft ${v.id}: ${w.message}` : w.message))
   ]
 
+  // The final message follows the favourite/first draft until the user edits it
+  useEffect(() => {
+    if (finalMessageEdited || loading) return
+    setFinalMessage(primaryMessage)
+    setFinalSubject(primarySubject)
+  }, [primaryMessage, primarySubject, finalMessageEdited, loading])
+
   return (
     <div className="app">
       {/* Header */}
@@ -275,7 +833,7 @@ function App() {
           <div className="header-right">
             <p className="tagline">AI-Powered LinkedIn Messages</p>
             <button 
-              className={`settings-btn ${linkedinCookie ? 'configured' : ''}`}
+              className={`settings-btn ${linkedinConfigured ? 'configured' : ''}`}
               onClick={() => setShowSettings(true)}
               title="Settings"
             >
@@ -283,13 +841,30 @@ function App() {
                 <circle cx="12" cy="12" r="3"/>
                 <path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42"/>
               </svg>
-              {linkedinCookie ? 'Cookie Set' : 'Settings'}
+              {linkedinConfigured ? 'LinkedIn Set' : 'Settings'}
             </button>
+            <div className="header-user">
+              <span className="header-username">{user.username}</span>
+              <button className="session-check-btn" onClick={onSignOut}>
+                Sign out
+              </button>
+            </div>
           </div>
         </div>
       </header>
 
       {/* Settings Modal */}
+      {showVersions && selectedTemplate && (
+        <TemplateVersions
+          templateId={selectedTemplate.id}
+          onUse={(version) => {
+            selectTemplate(version, selectedTemplate.id)
+            setShowVersions(false)
+          }}
+          onClose={() => setShowVersions(false)}
+        />
+      )}
+
       {showSettings && (
         <div className="modal-overlay" onClick={() => setShowSettings(false)}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
@@ -303,40 +878,68 @@ function App() {
               </button>
             </div>
             <div className="modal-body">
+              <LinkedInAccounts
+                vault={linkedinVault}
+                selectedId={linkedinAccountId}
+                onSelect={selectLinkedinAccount}
+                onChanged={loadLinkedinAccounts}
+                session={linkedinSession}
+                onCheckSession={() => checkLinkedinSession({ force: true })}
+              />
               <div className="setting-item">
                 <label className="setting-label">
-                  LinkedIn Session Cookie (li_at)
-                  <span className="setting-hint">Required for profile scraping</span>
+                  AI Provider
+                  <span className="setting-hint">Leave empty to use the server defaults from .env</span>
                 </label>
-                <textarea
-                  className="textarea-field cookie-input"
-                  placeholder="Paste your li_at cookie value here..."
-                  value={linkedinCookie}
-                  onChange={(e) => setLinkedinCookie(e.target.value)}
-                  rows={3}
-                />
-                <div className="cookie-instructions">
-                  <h4>How to get your LinkedIn cookie:</h4>
-                  <ol>
-                    <li>Open LinkedIn in Chrome and make sure you're logged in</li>
-                    <li>Press <kbd>F12</kbd> to open Developer Tools</li>
-                    <li>Go to the <strong>Application</strong> tab</li>
-                    <li>In the left sidebar, expand <strong>Cookies</strong> &gt; <strong>https://www.linkedin.com</strong></li>
-                    <li>Find the cookie named <strong>li_at</strong></li>
-                    <li>Copy its <strong>Value</strong> (double-click to select all)</li>
-                  </ol>
-                  <p className="cookie-warning">
-                    <strong>Note:</strong> This cookie is your LinkedIn session. Keep it private and never share it. 
-                    It may expire and need to be updated periodically.
-                  </p>
-                </div>
+                {['messaging', 'scraping'].map((purpose) => {
+                  const serverDefault = llmProviders?.defaults?.[purpose]
+                  return (
+                    <div key={purpose} className="llm-setting-row">
+                      <span className="llm-purpose">{purpose === 'messaging' ? 'Messages' : 'Profile extraction'}</span>
+                      <select
+                        className="input-field llm-select"
+                        value={llmSettings[purpose].provider}
+                        onChange={(e) => setLlmSettings({
+                          ...llmSettings,
+                          [purpose]: { ...llmSettings[purpose], provider: e.target.value }
+                        })}
+                      >
+                        <option value="">
+                          Server default{serverDefault?.provider ? ` (${serverDefault.provider})` : ''}
+                        </option>
+                        {llmProviders?.providers?.map((p) => (
+                          <option key={p.name} value={p.name} disabled={!p.configured}>
+                            {p.label}{p.configured ? '' : ' - not configured'}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        className="input-field llm-model"
+                        placeholder={
+                          llmProviders?.providers?.find(p => p.name === llmSettings[purpose].provider)?.defaultModels[purpose] ||
+                          serverDefault?.model ||
+                          'Model'
+                        }
+                        value={llmSettings[purpose].model}
+                        onChange={(e) => setLlmSettings({
+                          ...llmSettings,
+                          [purpose]: { ...llmSettings[purpose], model: e.target.value }
+                        })}
+                      />
+                    </div>
+                  )
+                })}
               </div>
+              <SenderProfileSettings linkedinAccountId={linkedinAccountId} />
+              <PasswordSettings user={user} />
+              {user.role === 'admin' && <UserAdmin currentUserId={user.id} />}
             </div>
             <div className="modal-footer">
               <button className="cancel-btn" onClick={() => setShowSettings(false)}>
                 Cancel
               </button>
-              <button className="save-btn" onClick={handleSaveCookie}>
+              <button className="save-btn" onClick={handleSaveSettings}>
                 Save Settings
               </button>
             </div>
@@ -356,30 +959,168 @@ function App() {
             <p className="hero-subtitle">
               Turn generic templates into compelling, tailored messages using AI that understands your prospect's background.
             </p>
+            <div className="mode-toggle">
+              <button
+                className={`mode-btn ${mode === 'single' ? 'active' : ''}`}
+                onClick={() => setMode('single')}
+              >
+                Single Prospect
+              </button>
+              <button
+                className={`mode-btn ${mode === 'campaign' ? 'active' : ''}`}
+                onClick={() => setMode('campaign')}
+              >
+                Campaign
+              </button>
+              <button
+                className={`mode-btn ${mode === 'sequences' ? 'active' : ''}`}
+                onClick={() => setMode('sequences')}
+              >
+                Sequences
+              </button>
+              <button
+                className={`mode-btn ${mode === 'usage' ? 'active' : ''}`}
+                onClick={() => setMode('usage')}
+              >
+                Usage
+              </button>
+            </div>
           </section>
 
-          {/* Input Section */}
-          <section className="input-section">
+          {/* LinkedIn session banner */}
+          {(linkedinSession.state === 'invalid' || linkedinSession.session?.warnings?.length > 0) && (
+            <div className={`session-banner ${linkedinSession.state === 'invalid' ? 'error' : ''}`}>
+              <span>
+                {linkedinSession.state === 'invalid'
+                  ? `Your LinkedIn session isn't working: ${linkedinSession.session?.reason || 'the cookie has expired'}. Scraping will fail until you add a fresh li_at cookie.`
+                  : linkedinSession.session.warnings.join(' ')}
+              </span>
+              <button className="session-check-btn" onClick={() => setShowSettings(true)}>
+                Open Settings
+              </button>
+            </div>
+          )}
+
+          {/* AI budget alert */}
+          {describeBudgetAlert(usageBudget) && mode !== 'usage' && (
+            <div className={`session-banner ${usageBudget.status === 'exceeded' ? 'error' : ''}`}>
+              <span>{describeBudgetAlert(usageBudget)}</span>
+              <button className="session-check-btn" onClick={() => setMode('usage')}>
+                View usage
+              </button>
+            </div>
+          )}
+
+          {/* Usage and costs */}
+          {mode === 'usage' && (
+            <UsagePanel user={user} budget={usageBudget} onBudgetChange={setUsageBudget} />
+          )}
+
+          {/* Sequences */}
+          {mode === 'sequences' && (
+            <SequencesPanel
+              linkedinAccountId={linkedinAccountId}
+              llm={buildLlmOverrides(llmSettings)}
+              messageTypes={messageTypes}
+            />
+          )}
+
+          {/* Input Section - kept mounted in the sequence and usage views so the template being edited survives */}
+          <section className="input-section" hidden={mode === 'sequences' || mode === 'usage'}>
             <div className="input-grid">
               {/* LinkedIn URL Input */}
-              <div className="input-card">
-                <div className="card-header">
-                  <div className="card-icon linkedin-icon">
-                    <svg viewBox="0 0 24 24" fill="currentColor">
-                      <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-                    </svg>
+              {mode === 'single' ? (
+                <div className="input-card">
+                  <div className="card-header">
+                    <div className="card-icon linkedin-icon">
+                      <svg viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
+                      </svg>
+                    </div>
+                    <h3>LinkedIn Profile</h3>
                   </div>
-                  <h3>LinkedIn Profile</h3>
+                  <input
+                    type="url"
+                    className="input-field"
+                    placeholder="https://linkedin.com/in/username"
+                    value={profileUrl}
+                    onChange={(e) => setProfileUrl(e.target.value)}
+                  />
+                  <p className="input-hint">Paste the LinkedIn profile URL of your prospect</p>
+                  <label className="checkbox-item force-refresh">
+                    <input
+                      type="checkbox"
+                      checked={forceRefresh}
+                      onChange={(e) => setForceRefresh(e.target.checked)}
+                    />
+                    <span className="checkbox-label">Force refresh (ignore cached profile)</span>
+                  </label>
                 </div>
-                <input
-                  type="url"
-                  className="input-field"
-                  placeholder="https://linkedin.com/in/username"
-                  value={profileUrl}
-                  onChange={(e) => setProfileUrl(e.target.value)}
-                />
-                <p className="input-hint">Paste the LinkedIn profile URL of your prospect</p>
-              </div>
+              ) : (
+                <div className="input-card">
+                  <div className="card-header">
+                    <div className="card-icon linkedin-icon">
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+                        <circle cx="9" cy="7" r="4"/>
+                        <path d="M23 21v-2a4 4 0 0 0-3-3.87"/>
+                        <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+                      </svg>
+                    </div>
+                    <h3>Prospect List</h3>
+                    <label className="csv-upload-btn">
+                      Upload CSV
+                      <input type="file" accept=".csv,text/csv,text/plain" onChange={handleCampaignFile} />
+                    </label>
+                  </div>
+                  <textarea
+                    className="textarea-field campaign-input"
+                    placeholder={`Paste one LinkedIn URL per line, or CSV with a header row:
+
+profileUrl,notes
+https://linkedin.com/in/jane-doe,Met at SaaStr
+https://linkedin.com/in/john-smith,`}
+                    value={campaignInput}
+                    onChange={(e) => setCampaignInput(e.target.value)}
+                    rows={8}
+                  />
+                  <p className="input-hint">
+                    {campaignRowCount} profile URL{campaignRowCount === 1 ? '' : 's'} detected. Extra columns (e.g. notes) are passed to the AI as context for that prospect.
+                  </p>
+                  <div className="campaign-options">
+                    <label className="campaign-option">
+                      Concurrency
+                      <input
+                        type="number"
+                        className="input-field"
+                        min={1}
+                        max={5}
+                        value={campaignConcurrency}
+                        onChange={(e) => setCampaignConcurrency(Number(e.target.value))}
+                      />
+                    </label>
+                    <label className="campaign-option">
+                      Retries per row
+                      <input
+                        type="number"
+                        className="input-field"
+                        min={0}
+                        max={5}
+                        value={campaignRetries}
+                        onChange={(e) => setCampaignRetries(Number(e.target.value))}
+                      />
+                    </label>
+                  </div>
+                  <label className="checkbox-item force-refresh">
+                    <input
+                      type="checkbox"
+                      checked={forceRefresh}
+                      onChange={(e) => setForceRefresh(e.target.checked)}
+                    />
+                    <span className="checkbox-label">Force refresh (ignore cached profiles)</span>
+                  </label>
+                </div>
+              )}
 
               {/* Message Template Input */}
               <div className="input-card template-card">
@@ -394,39 +1135,58 @@ function App() {
                     </svg>
                   </div>
                   <h3>Message Template</h3>
+                  <div className="template-library-actions">
+                    <label className="csv-upload-btn" title="Import templates from an exported JSON file">
+                      Import
+                      <input type="file" accept=".json,application/json" onChange={handleImportTemplates} />
+                    </label>
+                    <a className="csv-upload-btn" href="/api/templates/export" download title="Download the template library as JSON">
+                      Export
+                    </a>
+                  </div>
                 </div>
+
+                {/* Message Type */}
+                {Object.keys(messageTypes).length > 0 && (
+                  <div className="message-type-selector">
+                    {Object.entries(messageTypes).map(([type, config]) => (
+                      <button
+                        key={type}
+                        className={`template-btn ${messageType === type ? 'saved active' : ''}`}
+                        onClick={() => setMessageType(type)}
+                        title={config.guidance}
+                      >
+                        {config.label}
+                        <span className="message-type-limit">
+                          {config.maxLength.toLocaleString()} chars{config.subjectMaxLength ? ' + subject' : ''}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                )}
                 
                 {/* Templates */}
                 <div className="quick-templates">
-                  {allTemplates.map((t) => (
-                    t.isDefault ? (
+                  {savedTemplates.map((t) => (
+                    <div key={t.id} className={`saved-template-item ${selectedTemplateId === t.id ? 'selected' : ''}`}>
                       <button 
-                        key={t.id} 
-                        className="template-btn"
-                        onClick={() => selectTemplate(t)}
+                        className={`template-btn ${t.builtIn ? '' : 'saved'} ${selectedTemplateId === t.id ? 'active' : ''}`}
+                        onClick={() => selectTemplate(t, t.id)}
+                        title={t.builtIn ? 'Built-in template' : undefined}
                       >
                         {t.name}
                       </button>
-                    ) : (
-                      <div key={t.id} className={`saved-template-item ${selectedTemplateId === t.id ? 'selected' : ''}`}>
-                        <button 
-                          className={`template-btn saved ${selectedTemplateId === t.id ? 'active' : ''}`}
-                          onClick={() => selectTemplate(t, t.id)}
-                        >
-                          {t.name}
-                        </button>
-                        <button 
-                          className="delete-template-btn"
-                          onClick={() => handleDeleteTemplate(t.id)}
-                          title="Delete template"
-                        >
-                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <line x1="18" y1="6" x2="6" y2="18"/>
-                            <line x1="6" y1="6" x2="18" y2="18"/>
-                          </svg>
-                        </button>
-                      </div>
-                    )
+                      <button 
+                        className="delete-template-btn"
+                        onClick={() => handleDeleteTemplate(t.id)}
+                        title="Delete template"
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <line x1="18" y1="6" x2="6" y2="18"/>
+                          <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                      </button>
+                    </div>
                   ))}
                 </div>
 
@@ -434,12 +1194,37 @@ function App() {
                   className="textarea-field"
                   placeholder="Write your message template here...
 
-Use placeholders like {name}, {company}, {title} or just write naturally - AI will personalize it based on the profile."
+Use placeholders like {firstName}, {company|your team}, {#if title}...{/if} or just write naturally - AI will personalize it based on the profile."
                   value={messageTemplate}
                   onChange={(e) => setMessageTemplate(e.target.value)}
                   rows={8}
                 />
 
+                {/* Placeholder check */}
+                {(templateAnalysis.placeholders.length > 0 || templateAnalysis.errors.length > 0) && (
+                  <div className="placeholder-summary">
+                    {templateAnalysis.placeholders.map((p) => (
+                      <span
+                        key={p.name}
+                        className={`placeholder-chip ${p.known ? '' : 'unknown'}`}
+                        title={p.known
+                          ? `${PLACEHOLDER_FIELDS[p.name] || 'CSV column'}${p.optional ? '' : ' - the AI writes around it when the profile has no value'}`
+                          : 'Unknown placeholder - it is not filled from the profile'}
+                      >
+                        {`{${p.name}}`}
+                      </span>
+                    ))}
+                    {templateAnalysis.unknown.length > 0 && (
+                      <span className="placeholder-hint">
+                        Unknown placeholders aren't filled from the profile. Available: {Object.keys(PLACEHOLDER_FIELDS).map(f => `{${f}}`).join(' ')}
+                      </span>
+                    )}
+                    {templateAnalysis.errors.map((e) => (
+                      <span key={e} className="placeholder-error">{e}</span>
+                    ))}
+                  </div>
+                )}
+
                 {/* System Prompt Toggle */}
                 <div className="advanced-options">
                   <button 
@@ -519,6 +1304,59 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                             />
                             <span className="checkbox-label">Education</span>
                           </label>
+                          <label className="checkbox-item" title="Also opens their current company's LinkedIn page: description, size, industry, HQ and recent posts">
+                            <input
+                              type="checkbox"
+                              checked={!!dataInclusion.companyDetails}
+                              onChange={(e) => setDataInclusion({...dataInclusion, companyDetails: e.target.checked})}
+                            />
+                            <span className="checkbox-label">Company</span>
+                          </label>
+                          <label className="checkbox-item" title="Also reads their latest posts and comments so the message can open with one">
+                            <input
+                              type="checkbox"
+                              checked={!!dataInclusion.activity}
+                              onChange={(e) => setDataInclusion({...dataInclusion, activity: e.target.checked})}
+                            />
+                            <span className="checkbox-label">Recent activity</span>
+                          </label>
+                        </div>
+                      </div>
+
+                      {/* Draft Variants */}
+                      <div className="data-inclusion-section">
+                        <label className="section-label">
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="3" y="3" width="7" height="7"/>
+                            <rect x="14" y="3" width="7" height="7"/>
+                            <rect x="14" y="14" width="7" height="7"/>
+                            <rect x="3" y="14" width="7" height="7"/>
+                          </svg>
+                          Drafts
+                          <span className="label-hint">Generate several versions side by side, optionally in different tones</span>
+                        </label>
+                        <div className="data-checkboxes">
+                          {[1, 2, 3, 4].map((count) => (
+                            <button
+                              key={count}
+                              className={`template-btn ${variantCount === count ? 'saved active' : ''}`}
+                              onClick={() => setVariantCount(count)}
+                            >
+                              {count} {count === 1 ? 'draft' : 'drafts'}
+                            </button>
+                          ))}
+                        </div>
+                        <div className="data-checkboxes tone-options">
+                          {Object.entries(tonePresets).map(([tone, description]) => (
+                            <label key={tone} className="checkbox-item" title={description}>
+                              <input
+                                type="checkbox"
+                                checked={selectedTones.includes(tone)}
+                                onChange={() => toggleTone(tone)}
+                              />
+                              <span className="checkbox-label">{tone.charAt(0).toUpperCase() + tone.slice(1)}</span>
+                            </label>
+                          ))}
                         </div>
                       </div>
                     </div>
@@ -563,6 +1401,19 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                           Update "{selectedTemplate?.name}"
                         </button>
                       )}
+                      {selectedTemplate && (
+                        <button
+                          className="update-template-btn versions-btn"
+                          onClick={() => setShowVersions(true)}
+                          title="Version history and reply rates"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                          </svg>
+                          v{selectedTemplate.version}
+                        </button>
+                      )}
                     </>
                   ) : (
                     <div className="save-template-form">
@@ -598,7 +1449,7 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
             </div>
 
             {/* Manual Profile Input (shown when scraping fails) */}
-            {showManualInput && (
+            {mode === 'single' && showManualInput && (
               <div className="manual-input-section">
                 <div className="manual-header">
                   <h3>📝 Profile Details</h3>
@@ -653,42 +1504,87 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
             )}
 
             {/* Generate Button */}
-            <button 
-              className={`generate-btn ${loading ? 'loading' : ''}`}
-              onClick={handleGenerate}
-              disabled={loading || !messageTemplate.trim()}
-            >
-              {loading ? (
-                <>
-                  <span className="spinner"></span>
-                  Generating...
-                </>
-              ) : (
-                <>
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
-                    <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
-                  </svg>
-                  Generate Personalized Message
-                </>
-              )}
-            </button>
+            {mode === 'campaign' ? (
+              <button
+                className={`generate-btn ${loading ? 'loading' : ''}`}
+                onClick={handleStartCampaign}
+                disabled={loading || !messageTemplate.trim() || !campaignInput.trim() || campaign?.status === 'running'}
+              >
+                {loading ? (
+                  <>
+                    <span className="spinner"></span>
+                    Starting...
+                  </>
+                ) : (
+                  <>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+                      <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
+                    </svg>
+                    Start Campaign
+                  </>
+                )}
+              </button>
+            ) : (
+              <div className="generate-row">
+                <button 
+                  className={`generate-btn ${loading ? 'loading' : ''}`}
+                  onClick={handleGenerate}
+                  disabled={loading || !messageTemplate.trim()}
+                >
+                  {loading ? (
+                    <>
+                      <span className="spinner"></span>
+                      {GENERATION_STAGES[generationStage] || 'Generating...'}
+                    </>
+                  ) : (
+                    <>
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="btn-icon">
+                        <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
+                      </svg>
+                      Generate Personalized Message
+                    </>
+                  )}
+                </button>
+                {loading && (
+                  <button className="cancel-generate-btn" onClick={handleCancelGenerate}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            )}
           </section>
 
+          {/* Campaign Results */}
+          {mode === 'campaign' && campaign && (
+            <CampaignResults
+              campaign={campaign}
+              onRetry={(rowIds) => handleCampaignAction('retry', { rowIds })}
+              onCancel={() => handleCampaignAction('cancel')}
+            />
+          )}
+
           {/* Output Section */}
-          {generatedMessage && (
+          {mode === 'single' && variants.length > 0 && (
             <section className="output-section">
               <div className="output-card">
                 <div className="output-header">
                   <div className="output-title">
-                    <div className="success-badge">
-                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <polyline points="20,6 9,17 4,12"/>
-                      </svg>
-                      Generated
-                    </div>
-                    <h3>Your Personalized Message</h3>
+                    {loading ? (
+                      <div className="success-badge streaming">
+                        <span className="spinner small"></span>
+                        Writing...
+                      </div>
+                    ) : (
+                      <div className="success-badge">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <polyline points="20,6 9,17 4,12"/>
+                        </svg>
+                        Generated
+                      </div>
+                    )}
+                    <h3>{variants.length > 1 ? `${variants.length} Message Drafts` : 'Your Personalized Message'}</h3>
                   </div>
-                  <button className={`copy-btn ${copied ? 'copied' : ''}`} onClick={handleCopy}>
+                  <button className={`copy-btn ${copied ? 'copied' : ''}`} onClick={handleCopy} disabled={loading}>
                     {copied ? (
                       <>
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -702,7 +1598,7 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                           <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
                           <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
                         </svg>
-                        Copy
+                        {finalMessageEdited ? 'Copy Final' : variants.length > 1 ? (favoriteVariantId ? 'Copy Favourite' : 'Copy Draft 1') : 'Copy'}
                       </>
                     )}
                   </button>
@@ -717,9 +1613,23 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                       <span className="profile-name">{profileData.name}</span>
                       <span className="profile-headline">{profileData.headline || profileData.company}</span>
                     </div>
+                    {profileCache && (
+                      <span
+                        className={`cache-badge ${profileCache.hit ? 'hit' : ''}`}
+                        title={new Date(profileCache.scrapedAt).toLocaleString()}
+                      >
+                        {profileCache.hit ? `Cached · scraped ${formatTimeAgo(profileCache.scrapedAt)}` : 'Freshly scraped'}
+                      </span>
+                    )}
                   </div>
                 )}
 
+                {!loading && describeUsage(generationUsage) && (
+                  <p className="usage-line">{describeUsage(generationUsage)}</p>
+                )}
+
+                <SharedBackground overlaps={overlaps} />
+
                 {/* Full Scraped Profile Data */}
                 {(scrapedProfileData || profileData) && (
                   <div className="scraped-profile-section">
@@ -773,22 +1683,17 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                                 <span className="field-label">Location</span>
                                 <span className="field-value">{displayValue(data.location)}</span>
                               </div>
+                              {data.industry && (
+                                <div className="profile-field">
+                                  <span className="field-label">Industry</span>
+                                  <span className="field-value">{data.industry}</span>
+                                </div>
+                              )}
                               <div className="profile-field full-width">
                                 <span className="field-label">About</span>
                                 <span className="field-value">{displayValue(data.about)}</span>
                               </div>
-                              <div className="profile-field full-width">
-                                <span className="field-label">Experience</span>
-                                <span className="field-value">{displayValue(data.experience)}</span>
-                              </div>
-                              <div className="profile-field full-width">
-                                <span className="field-label">Skills</span>
-                                <span className="field-value">{displayValue(data.skills)}</span>
-                              </div>
-                              <div className="profile-field full-width">
-                                <span className="field-label">Education</span>
-                                <span className="field-value">{displayValue(data.education)}</span>
-                              </div>
+                              <ProfileSections data={data} />
                             </>
                           );
                         })()}
@@ -797,12 +1702,112 @@ Use placeholders like {name}, {company}, {title} or just write naturally - AI wi
                   </div>
                 )}
 
-                <div className="message-output">
-                  {generatedMessage}
-                </div>
+                {!loading && outputWarnings.length > 0 && (
+                  <div className="output-warnings">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+                      <line x1="12" y1="9" x2="12" y2="13"/>
+                      <line x1="12" y1="17" x2="12.01" y2="17"/>
+                    </svg>
+                    <ul>
+                      {outputWarnings.map((warning, index) => (
+                        <li key={index}>{warning}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <MessageVariants
+                  variants={variants}
+                  favoriteVariantId={favoriteVariantId}
+                  regeneratingId={regeneratingId}
+                  streaming={loading}
+                  tones={tonePresets}
+                  limits={outputLimits}
+                  onRegenerate={handleRegenerateVariant}
+                  onToggleFavorite={handleToggleFavorite}
+                />
+
+                {currentHistoryId && !loading && (
+                  <div className="final-message">
+                    <div className="final-message-header">
+                      <label htmlFor="finalMessage">Final message</label>
+                      <select
+                        className={`history-status ${historyStatus}`}
+                        value={historyStatus}
+                        onChange={(e) => handleHistoryStatusChange(currentHistoryId, e.target.value)}
+                      >
+                        {Object.entries(HISTORY_STATUS_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {outputLimits?.subjectMaxLength && (
+                      <div className="final-subject">
+                        <input
+                          type="text"
+                          className="final-message-input"
+                          placeholder="Subject"
+                          value={finalSubject}
+                          onChange={(e) => {
+                            setFinalSubject(e.target.value)
+                            setFinalMessageEdited(true)
+                          }}
+                        />
+                        <CharacterCounter length={finalSubject.length} max={outputLimits.subjectMaxLength} />
+                      </div>
+                    )}
+                    <textarea
+                      id="finalMessage"
+                      className="final-message-input"
+                      value={finalMessage}
+                      onChange={(e) => {
+                        setFinalMessage(e.target.value)
+                        setFinalMessageEdited(true)
+                      }}
+                      rows={6}
+                    />
+                    <div className="final-message-actions">
+                      {outputLimits && <CharacterCounter length={finalMessage.length} max={outputLimits.maxLength} />}
+                      <span className="final-message-hint">
+                        Edit the message before sending - the saved version is what your history keeps.
+                      </span>
+                      <button className={`variant-btn ${finalMessageSaved ? 'copied' : ''}`} onClick={handleSaveFinalMessage}>
+                        {finalMessageSaved ? 'Saved!' : 'Save to history'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {currentHistoryId && !loading && (
+                  <ReplyDrafter
+                    key={currentHistoryId}
+                    historyId={currentHistoryId}
+                    ourMessage={finalMessage || primaryMessage}
+                    priorThread={replyThread}
+                    profileUrl={profileData?.profileUrl}
+                    linkedinAccountId={linkedinAccountId}
+                    llm={buildLlmOverrides(llmSettings)}
+                    onDrafted={() => {
+                      // Drafting an answer marks our message replied
+                      setHistoryStatus('replied')
+                      setHistoryRefreshKey(key => key + 1)
+                    }}
+                  />
+                )}
               </div>
             </section>
           )}
+
+          {/* Outreach History */}
+          {mode === 'single' && (
+            <HistoryPanel
+              refreshKey={historyRefreshKey}
+              currentHistoryId={currentHistoryId}
+              onRestore={handleRestoreHistory}
+              onStatusChange={handleHistoryStatusChange}
+            />
+          )}
         </div>
       </main>
 
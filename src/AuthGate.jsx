@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react'
+import App from './App'
+import { UNAUTHORIZED_EVENT } from './api'
+
+/**
+ * Sign-in form. On a fresh install (no accounts yet) it creates the first account,
+ * which becomes the admin and takes over the data of the single-user version.
+ */
+function LoginScreen({ setupRequired, initialError, onSignedIn }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(initialError || '')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (setupRequired && password !== confirmPassword) {
+      setError('The passwords don\'t match')
+      return
+    }
+    setError('')
+    setSubmitting(true)
+    try {
+      const response = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify({ username, password })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setError(data.error || 'Sign-in failed')
+        return
+      }
+      onSignedIn(data.user)
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="auth-screen">
+      <form className="auth-card" onSubmit={handleSubmit}>
+        <span className="logo-text">ReachOut</span>
+        <h2>{setupRequired ? 'Create the admin account' : 'Sign in'}</h2>
+        {setupRequired && (
+          <p className="setting-hint">
+            This is the first account on this server. It can add other users, and it keeps the
+            templates, history and LinkedIn accounts saved so far.
+          </p>
+        )}
+        <input
+          type="text"
+          className="input-field"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoFocus
+        />
+        <input
+          type="password"
+          className="input-field"
+          placeholder={setupRequired ? 'Password (at least 10 characters)' : 'Password'}
+          autoComplete={setupRequired ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {setupRequired && (
+          <input
+            type="password"
+            className="input-field"
+            placeholder="Repeat the password"
+            autoComplete="new-password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+          />
+        )}
+        {error && <span className="sender-status error">{error}</span>}
+        <button type="submit" className="save-btn" disabled={submitting || !username.trim() || !password}>
+          {submitting ? 'Please wait...' : setupRequired ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+/**
+ * Shows the sign-in form until the server knows the user, then the app. The app is
+ * mounted per user so nothing loaded for one account is shown to the next.
+ */
+function AuthGate() {
+  // null while the session is being checked
+  const [auth, setAuth] = useState(null)
+
+  const checkSession = () => {
+    fetch('/api/auth/me', { credentials: 'same-origin' })
+      .then(async response => {
+        const data = await response.json().catch(() => ({}))
+        setAuth(response.ok ? { user: data.user } : { user: null, setupRequired: !!data.setupRequired })
+      })
+      .catch(() => setAuth({ user: null, error: 'Network error. Make sure the server is running.' }))
+  }
+
+  useEffect(() => {
+    checkSession()
+    window.addEventListener(UNAUTHORIZED_EVENT, checkSession)
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, checkSession)
+  }, [])
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' }).catch(() => {})
+    setAuth({ user: null, setupRequired: false })
+  }
+
+  if (!auth) return null
+
+  if (!auth.user) {
+    return (
+      <LoginScreen
+        key={auth.setupRequired ? 'setup' : 'login'}
+        setupRequired={auth.setupRequired}
+        initialError={auth.error}
+        onSignedIn={(user) => setAuth({ user })}
+      />
+    )
+  }
+
+  return <App key={auth.user.id} user={auth.user} onSignOut={handleSignOut} />
+}
+
+export default AuthGate
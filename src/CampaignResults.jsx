@@ -0,0 +1,132 @@
+import { useState } from 'react'
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  scraping: 'Scraping',
+  generating: 'Generating',
+  retrying: 'Retrying',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+function CampaignResults({ campaign, onRetry, onCancel }) {
+  const [expandedRowId, setExpandedRowId] = useState(null)
+  const [copiedRowId, setCopiedRowId] = useState(null)
+
+  const { counts } = campaign
+  const finished = counts.done + counts.failed + counts.cancelled
+  const progress = counts.total ? Math.round((finished / counts.total) * 100) : 0
+  const isRunning = campaign.status === 'running'
+
+  const handleCopy = async (row) => {
+    await navigator.clipboard.writeText(row.message)
+    setCopiedRowId(row.id)
+    setTimeout(() => setCopiedRowId(null), 2000)
+  }
+
+  return (
+    <section className="output-section">
+      <div className="output-card campaign-card">
+        <div className="output-header">
+          <div className="output-title">
+            <div className={`campaign-status-badge ${campaign.status}`}>
+              {isRunning && <span className="spinner small"></span>}
+              {campaign.status.replace(/_/g, ' ')}
+            </div>
+            <h3>{campaign.name}</h3>
+            <span className="campaign-counts">
+              {counts.done} done · {counts.failed} failed · {counts.total - finished} remaining
+            </span>
+          </div>
+          <div className="campaign-actions">
+            {isRunning ? (
+              <button className="copy-btn" onClick={onCancel}>Cancel</button>
+            ) : counts.failed > 0 && (
+              <button className="copy-btn" onClick={() => onRetry()}>
+                Retry {counts.failed} failed
+              </button>
+            )}
+            <a className="copy-btn" href={`/api/campaigns/${campaign.id}/export`} download>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                <polyline points="7 10 12 15 17 10"/>
+                <line x1="12" y1="15" x2="12" y2="3"/>
+              </svg>
+              Export CSV
+            </a>
+          </div>
+        </div>
+
+        <div className="campaign-progress">
+          <div className="campaign-progress-bar" style={{ width: `${progress}%` }}></div>
+        </div>
+
+        <div className="campaign-table-wrapper">
+          <table className="campaign-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Prospect</th>
+                <th>Status</th>
+                <th>Tries</th>
+                <th>Message</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {campaign.rows.map((row) => (
+                <tr key={row.id} className={expandedRowId === row.id ? 'expanded' : ''}>
+                  <td className="row-number">{row.id}</td>
+                  <td className="row-prospect">
+                    <span className="profile-name">{row.profileData?.name || row.columns.name || '—'}</span>
+                    {row.profileUrl && (
+                      <a href={row.profileUrl} target="_blank" rel="noopener noreferrer" className="profile-link">
+                        {row.profileUrl.replace(/^https?:\/\/(www\.)?/, '')}
+                      </a>
+                    )}
+                  </td>
+                  <td>
+                    <span className={`row-status ${row.status}`}>{STATUS_LABELS[row.status] || row.status}</span>
+                  </td>
+                  <td className="row-attempts">{row.attempts}</td>
+                  <td className="row-message" onClick={() => setExpandedRowId(expandedRowId === row.id ? null : row.id)}>
+                    {row.message ? (
+                      <span className="row-message-text">
+                        {row.subject && <strong className="row-subject">{row.subject}</strong>}
+                        {row.message}
+                        {row.warnings?.length > 0 && (
+                          <span className="row-warning" title={row.warnings.map(w => w.message).join('\n')}>
+                            ⚠ {row.warnings.length} warning{row.warnings.length === 1 ? '' : 's'}
+                          </span>
+                        )}
+                      </span>
+                    ) : row.error ? (
+                      <span className="row-error">{row.error}</span>
+                    ) : (
+                      <span className="not-available">—</span>
+                    )}
+                  </td>
+                  <td className="row-actions">
+                    {row.message && (
+                      <button className="row-action-btn" onClick={() => handleCopy(row)}>
+                        {copiedRowId === row.id ? 'Copied!' : 'Copy'}
+                      </button>
+                    )}
+                    {(row.status === 'failed' || row.status === 'done') && !isRunning && (
+                      <button className="row-action-btn" onClick={() => onRetry([row.id])}>
+                        {row.status === 'failed' ? 'Retry' : 'Redo'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default CampaignResults
@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+export const HISTORY_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  replied: 'Replied',
+  no_reply: 'No reply',
+  follow_up_due: 'Follow-up due'
+}
+
+export const formatTimeAgo = (isoDate) => {
+  const minutes = Math.round((Date.now() - new Date(isoDate).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.round(hours / 24)}d ago`
+}
+
+function HistoryPanel({ refreshKey, currentHistoryId, onRestore, onStatusChange }) {
+  const [query, setQuery] = useState('')
+  const [status, setStatus] = useState('')
+  const [result, setResult] = useState({ entries: [], total: 0, counts: {} })
+  const [loading, setLoading] = useState(false)
+
+  // Re-query when the filters change (debounced) or the parent reports a new/updated entry
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setLoading(true)
+      const params = new URLSearchParams({ q: query, status, limit: '30' })
+      apiFetch(`/api/history?${params}`)
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) setResult(data)
+        })
+        .catch(() => {})
+        .finally(() => setLoading(false))
+    }, 250)
+    return () => clearTimeout(timer)
+  }, [query, status, refreshKey])
+
+  const totalEntries = Object.values(result.counts || {}).reduce((sum, n) => sum + n, 0)
+  if (totalEntries === 0 && !query && !status) return null
+
+  return (
+    <section className="recent-section">
+      <div className="history-header">
+        <h3 className="recent-title">Outreach History</h3>
+        {loading && <span className="spinner small"></span>}
+      </div>
+
+      <div className="history-toolbar">
+        <input
+          type="text"
+          className="history-search"
+          placeholder="Search name, company, message..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="history-filters">
+          <button
+            className={`history-filter ${status === '' ? 'active' : ''}`}
+            onClick={() => setStatus('')}
+          >
+            All <span className="history-filter-count">{totalEntries}</span>
+          </button>
+          {Object.entries(HISTORY_STATUS_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              className={`history-filter ${status === value ? 'active' : ''}`}
+              onClick={() => setStatus(value)}
+            >
+              {label} <span className="history-filter-count">{result.counts?.[value] || 0}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {result.entries.length === 0 ? (
+        <p className="history-empty">No entries match your search.</p>
+      ) : (
+        <div className="recent-list">
+          {result.entries.map((entry) => (
+            <div
+              key={entry.id}
+              role="button"
+              tabIndex={0}
+              className={`recent-item ${entry.id === currentHistoryId ? 'active' : ''}`}
+              onClick={() => onRestore(entry.id)}
+              onKeyDown={(e) => e.key === 'Enter' && onRestore(entry.id)}
+            >
+              <span className="recent-name">
+                {entry.favoriteVariantId && <span className="recent-star">★</span>}
+                {entry.profileName || 'Unknown'}
+              </span>
+              <span className="recent-meta">
+                {entry.source === 'campaign' ? 'Campaign' : entry.source === 'reply' ? 'Reply' : `${entry.draftCount} draft${entry.draftCount === 1 ? '' : 's'}`}
+                {entry.templateName && ` · ${entry.templateName}${entry.templateVersion ? ` v${entry.templateVersion}` : ' (edited)'}`}
+                {' · '}{formatTimeAgo(entry.createdAt)}
+              </span>
+              <span className="recent-snippet">{entry.message}</span>
+              <select
+                className={`history-status ${entry.status}`}
+                value={entry.status}
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => e.stopPropagation()}
+                onChange={(e) => onStatusChange(entry.id, e.target.value)}
+              >
+                {Object.entries(HISTORY_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result.total > result.entries.length && (
+        <p className="history-empty">Showing {result.entries.length} of {result.total} - refine the search to find older entries.</p>
+      )}
+    </section>
+  )
+}
+
+export default HistoryPanel
@@ -0,0 +1,235 @@
+import { useState } from 'react'
+import SessionBadge from './SessionBadge'
+import { apiFetch } from './api'
+
+const QUOTA_WINDOWS = [['hour', 'this hour'], ['day', 'today']]
+
+/**
+ * Page views an account used against its hourly and daily caps, e.g. "12/40 this hour · 30/250 today".
+ * A reached cap is highlighted with the time it frees up.
+ */
+function QuotaUsage({ quota }) {
+  const windows = QUOTA_WINDOWS.filter(([window]) => quota?.[window]?.limit)
+  if (!windows.length) return null
+
+  return (
+    <span className="account-quota">
+      {windows.map(([window, label], index) => {
+        const { used, limit, resetsAt } = quota[window]
+        const full = used >= limit
+        return (
+          <span
+            key={window}
+            className={full ? 'full' : ''}
+            title={full && resetsAt ? `Frees up at ${new Date(resetsAt).toLocaleTimeString()}` : undefined}
+          >
+            {index > 0 && ' · '}{used}/{limit} {label}
+          </span>
+        )
+      })}
+    </span>
+  )
+}
+
+/**
+ * LinkedIn accounts stored in the server's encrypted vault. Cookies are sent once when
+ * an account is added or its cookie replaced and are never shown again - the browser
+ * only keeps the id of the account it uses.
+ */
+function LinkedInAccounts({ vault, selectedId, onSelect, onChanged, session, onCheckSession }) {
+  const [name, setName] = useState('')
+  const [cookie, setCookie] = useState('')
+  const [replacingId, setReplacingId] = useState(null)
+  const [busy, setBusy] = useState('')
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const accounts = vault?.accounts || []
+  const limits = vault?.limits
+  const activeId = accounts.some(a => a.id === selectedId) ? selectedId : accounts.find(a => a.isDefault)?.id
+
+  const request = async (action, url, method, body, successMessage) => {
+    setBusy(action)
+    setStatus({ type: '', message: '' })
+    try {
+      const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setStatus({ type: 'error', message: data.error || 'Request failed' })
+        return null
+      }
+      setStatus({ type: 'success', message: successMessage })
+      onChanged()
+      return data
+    } catch (err) {
+      setStatus({ type: 'error', message: 'Network error. Make sure the server is running.' })
+      return null
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const handleAdd = async () => {
+    const data = await request('add', '/api/linkedin/accounts', 'POST', { name, cookie }, 'Account saved')
+    if (data) {
+      setName('')
+      setCookie('')
+      onSelect(data.account.id)
+    }
+  }
+
+  const handleReplace = async () => {
+    const data = await request('replace', `/api/linkedin/accounts/${replacingId}`, 'PUT', { cookie }, 'Cookie replaced')
+    if (data) {
+      setCookie('')
+      setReplacingId(null)
+      onSelect(data.account.id)
+    }
+  }
+
+  const handleDelete = async (account) => {
+    if (!confirm(`Remove the LinkedIn account "${account.name}"?`)) return
+    if (await request('delete', `/api/linkedin/accounts/${account.id}`, 'DELETE', null, 'Account removed') && account.id === selectedId) {
+      onSelect(null)
+    }
+  }
+
+  return (
+    <div className="setting-item">
+      <label className="setting-label">
+        LinkedIn Accounts
+        <span className="setting-hint">Required for profile scraping - cookies are stored encrypted on the server</span>
+        {limits && (limits.perHour > 0 || limits.perDay > 0) && (
+          <span className="setting-hint">
+            Each account opens at most {[
+              limits.perHour > 0 && `${limits.perHour} LinkedIn pages an hour`,
+              limits.perDay > 0 && `${limits.perDay} a day`
+            ].filter(Boolean).join(' and ')}, {Math.round(limits.minDelayMs / 1000)}-{Math.round(limits.maxDelayMs / 1000)}s apart. A profile takes {limits.pagesPerProfile} pages.
+          </span>
+        )}
+      </label>
+
+      {vault && !vault.enabled ? (
+        <p className="session-warning">
+          Set <code>CREDENTIAL_MASTER_KEY</code> on the server to store LinkedIn accounts.
+          {vault.envCookie ? ' Until then the server uses LINKEDIN_COOKIE.' : ''}
+          {vault.envQuota && <> <QuotaUsage quota={vault.envQuota} /></>}
+        </p>
+      ) : (
+        <>
+          {accounts.length > 0 && (
+            <div className="account-list">
+              {accounts.map((account) => (
+                <div key={account.id} className={`account-item ${account.id === activeId ? 'active' : ''}`}>
+                  <label className="account-choice">
+                    <input
+                      type="radio"
+                      name="linkedinAccount"
+                      checked={account.id === activeId}
+                      onChange={() => onSelect(account.id)}
+                    />
+                    <span className="account-name">{account.name}</span>
+                    <span className="account-hint">{account.hint}</span>
+                    {account.isDefault && <span className="account-default">default</span>}
+                    <QuotaUsage quota={account.quota} />
+                  </label>
+                  <div className="sender-actions">
+                    {!account.isDefault && (
+                      <button
+                        className="session-check-btn"
+                        disabled={!!busy}
+                        onClick={() => request('default', `/api/linkedin/accounts/${account.id}`, 'PUT', { isDefault: true }, `${account.name} is now the default`)}
+                      >
+                        Make default
+                      </button>
+                    )}
+                    <button className="session-check-btn" disabled={!!busy} onClick={() => setReplacingId(replacingId === account.id ? null : account.id)}>
+                      Replace cookie
+                    </button>
+                    <button className="session-check-btn" disabled={!!busy} onClick={() => handleDelete(account)}>
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {!replacingId && (
+            <input
+              type="text"
+              className="input-field"
+              placeholder={accounts.length ? 'Another account name, e.g. Recruiting' : 'Account name, e.g. Work'}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          )}
+          <textarea
+            className="textarea-field cookie-input"
+            placeholder={replacingId
+              ? `Paste the new li_at cookie for ${accounts.find(a => a.id === replacingId)?.name}...`
+              : 'Paste your li_at cookie value here...'}
+            value={cookie}
+            onChange={(e) => setCookie(e.target.value)}
+            rows={2}
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <div className="session-status">
+            {status.message
+              ? <span className={`sender-status ${status.type}`}>{status.message}</span>
+              : <span />}
+            <div className="sender-actions">
+              {replacingId ? (
+                <>
+                  <button className="session-check-btn" onClick={() => { setReplacingId(null); setCookie('') }}>Cancel</button>
+                  <button className="session-check-btn" onClick={handleReplace} disabled={!cookie.trim() || !!busy}>
+                    {busy === 'replace' ? 'Saving...' : 'Replace cookie'}
+                  </button>
+                </>
+              ) : (
+                <button className="session-check-btn" onClick={handleAdd} disabled={!name.trim() || !cookie.trim() || !!busy}>
+                  {busy === 'add' ? 'Saving...' : 'Add account'}
+                </button>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="session-status">
+        <SessionBadge status={session} />
+        <button
+          className="session-check-btn"
+          onClick={onCheckSession}
+          disabled={session.state === 'checking'}
+        >
+          Check session
+        </button>
+      </div>
+      {session.session?.warnings?.map((warning) => (
+        <p key={warning} className="session-warning">{warning}</p>
+      ))}
+      <div className="cookie-instructions">
+        <h4>How to get your LinkedIn cookie:</h4>
+        <ol>
+          <li>Open LinkedIn in Chrome and make sure you're logged in</li>
+          <li>Press <kbd>F12</kbd> to open Developer Tools</li>
+          <li>Go to the <strong>Application</strong> tab</li>
+          <li>In the left sidebar, expand <strong>Cookies</strong> &gt; <strong>https://www.linkedin.com</strong></li>
+          <li>Find the cookie named <strong>li_at</strong></li>
+          <li>Copy its <strong>Value</strong> (double-click to select all)</li>
+        </ol>
+        <p className="cookie-warning">
+          <strong>Note:</strong> This cookie is your LinkedIn session. Keep it private and never share it.
+          It may expire and need to be updated periodically.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default LinkedInAccounts
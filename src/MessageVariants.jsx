@@ -0,0 +1,94 @@
+import { useState } from 'react'
+
+// Live "used / max" counter that turns red over the LinkedIn limit
+export function CharacterCounter({ length, max }) {
+  return (
+    <span className={`char-counter ${length > max ? 'over' : length > max * 0.9 ? 'near' : ''}`}>
+      {length.toLocaleString()} / {max.toLocaleString()}
+    </span>
+  )
+}
+
+function MessageVariants({ variants, favoriteVariantId, regeneratingId, streaming, tones, limits, onRegenerate, onToggleFavorite }) {
+  const [copiedId, setCopiedId] = useState(null)
+
+  const handleCopy = async (variant) => {
+    await navigator.clipboard.writeText(variant.message)
+    setCopiedId(variant.id)
+    setTimeout(() => setCopiedId(null), 2000)
+  }
+
+  return (
+    <div className={`variant-grid ${variants.length > 1 ? 'multi' : ''}`}>
+      {variants.map((variant, index) => {
+        const isFavorite = favoriteVariantId === variant.id
+        const isRegenerating = regeneratingId === variant.id
+        return (
+          <div key={variant.id} className={`variant-card ${isFavorite ? 'favorite' : ''}`}>
+            {variants.length > 1 && (
+              <div className="variant-header">
+                <span className="variant-label">Draft {index + 1}</span>
+                {variant.tone && (
+                  <span className="variant-tone" title={tones?.[variant.tone]}>{variant.tone}</span>
+                )}
+              </div>
+            )}
+            {variant.subject && (
+              <div className="variant-subject">
+                <span className="variant-subject-label">Subject</span>
+                {variant.subject}
+              </div>
+            )}
+            <div className={`message-output ${isRegenerating ? 'regenerating' : ''} ${streaming ? 'streaming' : ''}`}>
+              {variant.message}
+            </div>
+            <div className="variant-actions">
+              {limits && !streaming && (
+                <CharacterCounter length={variant.message.length} max={limits.maxLength} />
+              )}
+              <button
+                className={`variant-btn favorite-btn ${isFavorite ? 'active' : ''}`}
+                onClick={() => onToggleFavorite(variant.id)}
+                disabled={streaming}
+                title={isFavorite ? 'Remove favourite' : 'Mark as favourite'}
+              >
+                <svg viewBox="0 0 24 24" fill={isFavorite ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+                  <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+                </svg>
+                Favourite
+              </button>
+              <button
+                className="variant-btn"
+                onClick={() => onRegenerate(variant)}
+                disabled={isRegenerating || streaming}
+              >
+                {isRegenerating ? (
+                  <span className="spinner small"></span>
+                ) : (
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="23 4 23 10 17 10"/>
+                    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                  </svg>
+                )}
+                Regenerate
+              </button>
+              <button
+                className={`variant-btn ${copiedId === variant.id ? 'copied' : ''}`}
+                onClick={() => handleCopy(variant)}
+                disabled={streaming}
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                  <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
+                </svg>
+                {copiedId === variant.id ? 'Copied!' : 'Copy'}
+              </button>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default MessageVariants
@@ -0,0 +1,156 @@
+const dateRange = (entry) =>
+  [entry.startDate, entry.current ? 'Present' : entry.endDate].filter(Boolean).join(' - ')
+
+const notAvailable = <span className="not-available">Not available</span>
+
+// Profiles cached before the structured schema only have summary strings
+function Section({ label, items, fallback, children }) {
+  return (
+    <div className="profile-field full-width">
+      <span className="field-label">{label}{items?.length > 0 && <span className="profile-count">{items.length}</span>}</span>
+      {items?.length > 0 ? children : <span className="field-value">{fallback || notAvailable}</span>}
+    </div>
+  )
+}
+
+function CompanySection({ company }) {
+  const facts = [
+    ['Industry', company.industry],
+    ['Size', company.size],
+    ['Headquarters', company.headquarters],
+    ['Founded', company.founded]
+  ].filter(([, value]) => value)
+
+  return (
+    <div className="profile-field full-width">
+      <span className="field-label">Company</span>
+      <div className="profile-company">
+        <div className="profile-entry-title">
+          <a href={company.companyUrl} target="_blank" rel="noopener noreferrer" className="profile-link">{company.name || company.companyUrl}</a>
+        </div>
+        {facts.length > 0 && (
+          <div className="profile-entry-meta">
+            {facts.map(([label, value]) => <span key={label}>{label}: {value}</span>)}
+          </div>
+        )}
+        {company.description && <p className="profile-entry-description">{company.description}</p>}
+        {company.recentPosts?.length > 0 && (
+          <ul className="profile-list">
+            {company.recentPosts.map((post, index) => (
+              <li key={index}>
+                {post.postedAgo && <span className="profile-entry-dates">{post.postedAgo} · </span>}
+                {post.text}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const ACTIVITY_TYPE_LABELS = {
+  post: 'Posted',
+  repost: 'Reposted',
+  comment: 'Commented'
+}
+
+function ActivitySection({ activity }) {
+  return (
+    <Section label="Recent Activity" items={activity} fallback="No recent posts or comments">
+      <ul className="profile-timeline">
+        {activity.map((item, index) => (
+          <li key={index}>
+            <div className="profile-entry-meta">
+              <strong>{ACTIVITY_TYPE_LABELS[item.type] || item.type}</strong>
+              {item.postedAgo && <span className="profile-entry-dates">{item.postedAgo} ago</span>}
+              {item.reactions > 0 && <span>{item.reactions} reactions</span>}
+              {item.comments > 0 && <span>{item.comments} comments</span>}
+              {item.url && <a href={item.url} target="_blank" rel="noopener noreferrer" className="profile-link">Open</a>}
+            </div>
+            {item.comment && <p className="profile-entry-description">“{item.comment}”</p>}
+            <p className="profile-entry-description">{item.text}</p>
+          </li>
+        ))}
+      </ul>
+    </Section>
+  )
+}
+
+/**
+ * Experience, education, skills, certifications, languages, company details and
+ * recent activity from a scraped profile
+ */
+function ProfileSections({ data }) {
+  return (
+    <>
+      <Section label="Experience" items={data.positions} fallback={data.experience}>
+        <ul className="profile-timeline">
+          {data.positions?.map((position, index) => (
+            <li key={index} className={position.current ? 'current' : ''}>
+              <div className="profile-entry-title">{position.title || 'Untitled role'}</div>
+              <div className="profile-entry-meta">
+                {[position.company, position.location].filter(Boolean).join(' · ')}
+                {dateRange(position) && <span className="profile-entry-dates">{dateRange(position)}</span>}
+              </div>
+              {position.description && <p className="profile-entry-description">{position.description}</p>}
+            </li>
+          ))}
+        </ul>
+      </Section>
+
+      <Section label="Education" items={data.educationHistory} fallback={data.education}>
+        <ul className="profile-timeline">
+          {data.educationHistory?.map((entry, index) => (
+            <li key={index}>
+              <div className="profile-entry-title">{entry.school}</div>
+              <div className="profile-entry-meta">
+                {[entry.degree, entry.field].filter(Boolean).join(', ')}
+                {dateRange(entry) && <span className="profile-entry-dates">{dateRange(entry)}</span>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </Section>
+
+      <Section label="Skills" items={data.skillList} fallback={data.skills}>
+        <div className="profile-chips">
+          {data.skillList?.map(skill => (
+            <span key={skill} className="profile-chip">{skill}</span>
+          ))}
+        </div>
+      </Section>
+
+      {data.certifications?.length > 0 && (
+        <Section label="Certifications" items={data.certifications}>
+          <ul className="profile-list">
+            {data.certifications.map((cert, index) => (
+              <li key={index}>
+                <strong>{cert.name}</strong>
+                {(cert.issuer || cert.date) && <span className="profile-entry-meta"> · {[cert.issuer, cert.date].filter(Boolean).join(' · ')}</span>}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {data.languages?.length > 0 && (
+        <Section label="Languages" items={data.languages}>
+          <div className="profile-chips">
+            {data.languages.map(language => (
+              <span key={language.name} className="profile-chip">
+                {language.name}{language.proficiency && <span className="profile-chip-detail"> · {language.proficiency}</span>}
+              </span>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {data.companyDetails && <CompanySection company={data.companyDetails} />}
+
+      {data.activity && <ActivitySection activity={data.activity} />}
+    </>
+  )
+}
+
+export default ProfileSections
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+/**
+ * Answer a prospect who replied: paste their message, pick a goal and get a suggested
+ * response. The thread starts with our message (after any earlier exchange restored from
+ * the history) and grows as drafted replies are marked sent. Every draft is saved to
+ * the history with its thread, against the same prospect.
+ */
+function ReplyDrafter({ historyId, ourMessage, priorThread = [], profileUrl, linkedinAccountId, llm, onDrafted }) {
+  const [goals, setGoals] = useState({})
+  const [goal, setGoal] = useState('book_call')
+  const [goalNote, setGoalNote] = useState('')
+  const [theirReply, setTheirReply] = useState('')
+  const [exchanges, setExchanges] = useState([])
+  const [replyToId, setReplyToId] = useState(historyId)
+  const [draft, setDraft] = useState(null)
+  const [drafting, setDrafting] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    apiFetch('/api/reply-goals')
+      .then(response => response.json())
+      .then(data => setGoals(data.goals || {}))
+      .catch(() => {})
+  }, [])
+
+  const thread = [...priorThread, { from: 'me', message: ourMessage }, ...exchanges]
+
+  const handleDraft = async () => {
+    setError('')
+    setDrafting(true)
+    try {
+      const response = await apiFetch('/api/generate-message', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          mode: 'reply',
+          historyId: replyToId,
+          profileUrl,
+          thread: [...thread, { from: 'them', message: theirReply.trim() }],
+          goal,
+          goalNote: goalNote.trim() || undefined,
+          linkedinAccountId: linkedinAccountId || undefined,
+          llm
+        })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to draft a reply')
+        return
+      }
+      setDraft({ historyId: data.historyId, message: data.variants[0].message })
+      onDrafted?.()
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    } finally {
+      setDrafting(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(draft.message)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  // The reply went out: it joins the thread so their next answer can be drafted against it
+  const handleSent = async () => {
+    if (draft.historyId) {
+      await apiFetch(`/api/history/${draft.historyId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'sent', finalMessage: draft.message })
+      }).catch(() => {})
+      setReplyToId(draft.historyId)
+    }
+    setExchanges([...exchanges, { from: 'them', message: theirReply.trim() }, { from: 'me', message: draft.message }])
+    setTheirReply('')
+    setDraft(null)
+    onDrafted?.()
+  }
+
+  return (
+    <div className="reply-drafter">
+      <div className="final-message-header">
+        <label htmlFor="theirReply">They replied? Draft your answer</label>
+      </div>
+
+      {thread.length > 1 && (
+        <div className="reply-thread">
+          {thread.map((item, index) => (
+            <div key={index} className={`reply-thread-message ${item.from}`}>
+              <span className="field-label">{item.from === 'me' ? 'You' : 'Them'}</span>
+              <p>{item.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        id="theirReply"
+        className="final-message-input"
+        placeholder="Paste their reply..."
+        value={theirReply}
+        onChange={(e) => setTheirReply(e.target.value)}
+        rows={4}
+        disabled={!!draft}
+      />
+
+      <div className="reply-goal-row">
+        <select className="input-field" value={goal} onChange={(e) => setGoal(e.target.value)} disabled={!!draft}>
+          {Object.entries(goals).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="input-field"
+          placeholder="Details (optional) - e.g. times that work, deck link"
+          value={goalNote}
+          onChange={(e) => setGoalNote(e.target.value)}
+          disabled={!!draft}
+        />
+        {!draft && (
+          <button className="session-check-btn" onClick={handleDraft} disabled={drafting || !theirReply.trim()}>
+            {drafting ? 'Drafting...' : 'Draft reply'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="reply-error">{error}</div>}
+
+      {draft && (
+        <div className="reply-draft">
+          <textarea
+            className="final-message-input"
+            value={draft.message}
+            onChange={(e) => setDraft({ ...draft, message: e.target.value })}
+            rows={5}
+          />
+          <div className="final-message-actions">
+            <span className="final-message-hint">Saved to your history with the conversation.</span>
+            <button className="variant-btn" onClick={handleDraft} disabled={drafting}>
+              {drafting ? 'Drafting...' : 'Try again'}
+            </button>
+            <button className={`variant-btn ${copied ? 'copied' : ''}`} onClick={handleCopy}>
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+            <button className="variant-btn" onClick={handleSent}>Mark sent</button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReplyDrafter
@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+const EMPTY_FORM = {
+  name: '',
+  title: '',
+  company: '',
+  location: '',
+  industry: '',
+  pastCompanies: '',
+  schools: '',
+  skills: '',
+  interests: ''
+}
+
+const splitLines = (text) => text.split('\n').map(s => s.trim()).filter(Boolean)
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase()
+
+// Stored profile -> editable fields (lists as one entry per line)
+const toForm = (profile) => ({
+  name: profile.name || '',
+  title: profile.title || '',
+  company: profile.company || '',
+  location: profile.location || '',
+  industry: profile.industry || '',
+  pastCompanies: (profile.positions || [])
+    .filter(p => !p.current && p.company && !sameName(p.company, profile.company || ''))
+    .map(p => p.company)
+    .filter((company, index, all) => all.findIndex(c => sameName(c, company)) === index)
+    .join('\n'),
+  schools: (profile.educationHistory || []).map(e => e.school).join('\n'),
+  skills: (profile.skillList || []).join(', '),
+  interests: profile.interests || ''
+})
+
+// Editable fields -> structured profile, keeping dates and details of entries that still match
+const fromForm = (form, previous) => {
+  const positions = previous?.positions || []
+  const education = previous?.educationHistory || []
+  const current = form.company.trim()
+    ? [positions.find(p => p.current && sameName(p.company, form.company)) || { title: form.title, company: form.company, current: true }]
+    : []
+  return {
+    name: form.name,
+    title: form.title,
+    headline: previous?.headline || '',
+    company: form.company,
+    location: form.location,
+    industry: form.industry,
+    about: previous?.about || '',
+    positions: [
+      ...current.map(p => ({ ...p, title: form.title || p.title })),
+      ...splitLines(form.pastCompanies).map(company =>
+        positions.find(p => !p.current && sameName(p.company, company)) || { company })
+    ],
+    education: splitLines(form.schools).map(school => education.find(e => sameName(e.school, school)) || { school }),
+    skills: form.skills.split(',').map(s => s.trim()).filter(Boolean),
+    interests: form.interests
+  }
+}
+
+/**
+ * "My profile" settings: the sender profile stored on the server, entered by hand
+ * or imported from the user's own LinkedIn URL
+ */
+function SenderProfileSettings({ linkedinAccountId }) {
+  const [profile, setProfile] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [importUrl, setImportUrl] = useState('')
+  const [busy, setBusy] = useState('')
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  useEffect(() => {
+    apiFetch('/api/sender-profile')
+      .then(response => response.json())
+      .then(data => {
+        if (data.senderProfile) {
+          setProfile(data.senderProfile)
+          setForm(toForm(data.senderProfile))
+          setImportUrl(data.senderProfile.source === 'scraped' ? data.senderProfile.profileUrl : '')
+        }
+      })
+      .catch(() => {})
+  }, [])
+
+  const applyResponse = async (response, successMessage) => {
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      setStatus({ type: 'error', message: data.error || 'Request failed' })
+      return
+    }
+    setProfile(data.senderProfile)
+    setForm(data.senderProfile ? toForm(data.senderProfile) : EMPTY_FORM)
+    setStatus({ type: 'success', message: successMessage })
+  }
+
+  const run = async (action, request, successMessage) => {
+    setBusy(action)
+    setStatus({ type: '', message: '' })
+    try {
+      await applyResponse(await request(), successMessage)
+    } catch (err) {
+      setStatus({ type: 'error', message: 'Network error. Make sure the server is running.' })
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const handleSave = () => run('save', () => apiFetch('/api/sender-profile', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fromForm(form, profile))
+  }), 'Saved - new messages will use your profile')
+
+  const handleImport = () => run('import', () => apiFetch('/api/sender-profile/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ profileUrl: importUrl, linkedinAccountId: linkedinAccountId || undefined })
+  }), 'Imported from LinkedIn - check the fields below')
+
+  const handleClear = () => run('clear', () => apiFetch('/api/sender-profile', { method: 'DELETE' }), 'Cleared')
+
+  const field = (key, label, placeholder) => (
+    <label className="sender-field">
+      <span>{label}</span>
+      <input
+        type="text"
+        className="input-field"
+        placeholder={placeholder}
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+      />
+    </label>
+  )
+
+  const list = (key, label, placeholder) => (
+    <label className="sender-field">
+      <span>{label}</span>
+      <textarea
+        className="textarea-field"
+        rows={2}
+        placeholder={placeholder}
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+      />
+    </label>
+  )
+
+  return (
+    <div className="setting-item">
+      <label className="setting-label">
+        My Profile
+        <span className="setting-hint">
+          Lets messages mention shared employers, schools, skills or location
+          {profile && ` · ${profile.source === 'scraped' ? 'imported' : 'saved'} ${new Date(profile.updatedAt).toLocaleDateString()}`}
+        </span>
+      </label>
+
+      <div className="sender-import">
+        <input
+          type="text"
+          className="input-field"
+          placeholder="https://www.linkedin.com/in/your-username"
+          value={importUrl}
+          onChange={(e) => setImportUrl(e.target.value)}
+        />
+        <button className="session-check-btn" onClick={handleImport} disabled={!importUrl.trim() || !!busy}>
+          {busy === 'import' ? 'Importing...' : 'Import from LinkedIn'}
+        </button>
+      </div>
+
+      <div className="sender-grid">
+        {field('name', 'Name', 'Jane Doe')}
+        {field('title', 'Title', 'Head of Growth')}
+        {field('company', 'Company', 'Acme')}
+        {field('location', 'Location', 'Austin, Texas, United States')}
+        {field('industry', 'Industry', 'Software Development')}
+        {field('skills', 'Skills (comma separated)', 'Growth Marketing, SQL')}
+        {list('pastCompanies', 'Past companies (one per line)', 'Globex\nInitech')}
+        {list('schools', 'Schools (one per line)', 'University of Texas at Austin')}
+      </div>
+      {list('interests', 'Interests', 'Climbing, open source, early-stage startups')}
+
+      <div className="session-status">
+        {status.message
+          ? <span className={`sender-status ${status.type}`}>{status.message}</span>
+          : <span />}
+        <div className="sender-actions">
+          {profile && (
+            <button className="session-check-btn" onClick={handleClear} disabled={!!busy}>Clear</button>
+          )}
+          <button className="session-check-btn" onClick={handleSave} disabled={!form.name.trim() || !!busy}>
+            {busy === 'save' ? 'Saving...' : 'Save my profile'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SenderProfileSettings
@@ -0,0 +1,428 @@
+import { useState, useEffect } from 'react'
+import { formatTimeAgo } from './HistoryPanel'
+import { apiFetch } from './api'
+
+const NEW_STEP = { name: '', messageType: 'follow_up', template: '', delayDays: 7, waitForAcceptance: false }
+
+const EMPTY_SEQUENCE = {
+  name: '',
+  systemPrompt: '',
+  steps: [
+    { ...NEW_STEP, messageType: 'connection_note', delayDays: 0 },
+    { ...NEW_STEP, messageType: 'direct_message', delayDays: 0, waitForAcceptance: true },
+    { ...NEW_STEP }
+  ]
+}
+
+const ENROLLMENT_STATUS_LABELS = {
+  active: 'Active',
+  completed: 'Completed',
+  replied: 'Replied',
+  stopped: 'Stopped'
+}
+
+const formatDue = (dueAt) => {
+  const days = Math.ceil((Date.parse(dueAt) - Date.now()) / (24 * 60 * 60 * 1000))
+  if (days <= 0) return 'due now'
+  return days === 1 ? 'due tomorrow' : `due in ${days} days`
+}
+
+const stepStateLabel = (step) => {
+  switch (step.state) {
+    case 'sent': return `Sent ${formatTimeAgo(step.sentAt)}`
+    case 'due': return step.message ? 'Drafted · due now' : 'Due now'
+    case 'scheduled': return `${step.message ? 'Drafted · ' : ''}${formatDue(step.dueAt)}`
+    case 'waiting_acceptance': return 'Waiting for the connection to be accepted'
+    case 'cancelled': return 'Not sent'
+    default: return step.delayDays > 0 ? `${step.delayDays} days after the previous step` : 'After the previous step'
+  }
+}
+
+// Send a request and return the JSON body, or { error } on failure
+const request = async (url, method = 'GET', body) => {
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body && JSON.stringify(body)
+    })
+    const data = await response.json().catch(() => ({}))
+    return response.ok ? data : { error: data.error || 'Request failed' }
+  } catch (err) {
+    return { error: 'Network error. Make sure the server is running.' }
+  }
+}
+
+function EnrollmentCard({ enrollment, onChange, linkedinAccountId, llm }) {
+  const next = enrollment.nextStep !== null ? enrollment.steps[enrollment.nextStep] : null
+  const [draft, setDraft] = useState(next?.message || '')
+  const [busy, setBusy] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setDraft(next?.message || '')
+  }, [next?.message, enrollment.nextStep])
+
+  const run = async (action, url, method, body) => {
+    setBusy(action)
+    setError('')
+    const data = await request(url, method, body)
+    setBusy('')
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    onChange(data.enrollment)
+  }
+
+  const hasAcceptanceStep = enrollment.steps.some(s => s.waitForAcceptance)
+
+  return (
+    <div className={`enrollment-card ${enrollment.status}`}>
+      <div className="enrollment-header">
+        <div className="profile-info">
+          <a href={enrollment.profileUrl} target="_blank" rel="noopener noreferrer" className="profile-name">
+            {enrollment.profileName || enrollment.profileUrl.split('/in/')[1]}
+          </a>
+          {enrollment.profileHeadline && <span className="profile-headline">{enrollment.profileHeadline}</span>}
+        </div>
+        <span className={`enrollment-status ${enrollment.status}`}>{ENROLLMENT_STATUS_LABELS[enrollment.status]}</span>
+      </div>
+
+      <ol className="sequence-timeline">
+        {enrollment.steps.map(step => (
+          <li key={step.index} className={`timeline-step ${step.state}`}>
+            <span className="timeline-step-name">{step.index + 1}. {step.name}</span>
+            <span className="timeline-step-state">{stepStateLabel(step)}</span>
+            {step.state === 'sent' && <p className="timeline-step-message">{step.message}</p>}
+          </li>
+        ))}
+      </ol>
+
+      {next && (
+        <div className="enrollment-next">
+          {next.message || busy === 'generate' ? (
+            <textarea
+              className="textarea-field"
+              rows={4}
+              value={busy === 'generate' ? 'Writing...' : draft}
+              onChange={(e) => setDraft(e.target.value)}
+              disabled={busy === 'generate'}
+            />
+          ) : null}
+          <div className="enrollment-actions">
+            <button
+              className="session-check-btn"
+              disabled={!!busy || next.state === 'waiting_acceptance'}
+              onClick={() => run('generate', `/api/enrollments/${enrollment.id}/generate`, 'POST', {
+                linkedinAccountId: linkedinAccountId || undefined,
+                llm
+              })}
+            >
+              {busy === 'generate' ? 'Writing...' : next.message ? 'Regenerate' : `Write step ${next.index + 1}`}
+            </button>
+            {next.message && (
+              <>
+                <button className="session-check-btn" onClick={() => navigator.clipboard.writeText(draft)}>Copy</button>
+                <button
+                  className="session-check-btn"
+                  disabled={!!busy || !draft.trim()}
+                  onClick={() => run('sent', `/api/enrollments/${enrollment.id}/steps/${next.index}/sent`, 'POST', { message: draft })}
+                >
+                  Mark sent
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="enrollment-actions secondary">
+        {hasAcceptanceStep && enrollment.status === 'active' && (
+          <label className="checkbox-item">
+            <input
+              type="checkbox"
+              checked={!!enrollment.acceptedAt}
+              onChange={(e) => run('accepted', `/api/enrollments/${enrollment.id}`, 'PATCH', { accepted: e.target.checked })}
+            />
+            <span className="checkbox-label">Connection accepted</span>
+          </label>
+        )}
+        {enrollment.status === 'active' || enrollment.status === 'completed' ? (
+          <>
+            <button className="session-check-btn" onClick={() => run('status', `/api/enrollments/${enrollment.id}`, 'PATCH', { status: 'replied' })}>They replied</button>
+            {enrollment.status === 'active' && (
+              <button className="session-check-btn" onClick={() => run('status', `/api/enrollments/${enrollment.id}`, 'PATCH', { status: 'stopped' })}>Stop</button>
+            )}
+          </>
+        ) : (
+          <button className="session-check-btn" onClick={() => run('status', `/api/enrollments/${enrollment.id}`, 'PATCH', { status: 'active' })}>Resume</button>
+        )}
+        <button className="session-check-btn" onClick={async () => {
+          const data = await request(`/api/enrollments/${enrollment.id}`, 'DELETE')
+          if (data.error) setError(data.error)
+          else onChange(null, enrollment.id)
+        }}>Remove</button>
+      </div>
+      {error && <p className="enrollment-error">{error}</p>}
+    </div>
+  )
+}
+
+/**
+ * Multi-step sequences: edit the steps and their delays, enroll prospects and work
+ * through each prospect's timeline one step at a time
+ */
+function SequencesPanel({ linkedinAccountId, llm, messageTypes }) {
+  const [sequences, setSequences] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [form, setForm] = useState(EMPTY_SEQUENCE)
+  const [enrollments, setEnrollments] = useState([])
+  const [enrollInput, setEnrollInput] = useState('')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  useEffect(() => {
+    request('/api/sequences').then(data => {
+      if (data.error) return setError(data.error)
+      setSequences(data.sequences)
+      if (data.sequences.length > 0) selectSequence(data.sequences[0])
+    })
+  }, [])
+
+  const loadEnrollments = (sequenceId) => {
+    request(`/api/enrollments?sequenceId=${sequenceId}`).then(data => {
+      if (!data.error) setEnrollments(data.enrollments)
+    })
+  }
+
+  const selectSequence = (sequence) => {
+    setSelectedId(sequence?.id || null)
+    setForm(sequence ? { name: sequence.name, systemPrompt: sequence.systemPrompt, steps: sequence.steps } : EMPTY_SEQUENCE)
+    setEnrollments([])
+    setError('')
+    setNotice('')
+    if (sequence) loadEnrollments(sequence.id)
+  }
+
+  const updateStep = (index, changes) => {
+    setForm({ ...form, steps: form.steps.map((step, i) => i === index ? { ...step, ...changes } : step) })
+  }
+
+  const moveStep = (index, offset) => {
+    const steps = [...form.steps]
+    const [step] = steps.splice(index, 1)
+    steps.splice(index + offset, 0, step)
+    setForm({ ...form, steps })
+  }
+
+  const handleSave = async () => {
+    const data = selectedId
+      ? await request(`/api/sequences/${selectedId}`, 'PUT', form)
+      : await request('/api/sequences', 'POST', form)
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    setSequences(selectedId
+      ? sequences.map(s => s.id === selectedId ? data.sequence : s)
+      : [...sequences, data.sequence])
+    selectSequence(data.sequence)
+    setNotice('Sequence saved')
+  }
+
+  const handleDelete = async () => {
+    const data = await request(`/api/sequences/${selectedId}`, 'DELETE')
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    const remaining = sequences.filter(s => s.id !== selectedId)
+    setSequences(remaining)
+    selectSequence(remaining[0] || null)
+  }
+
+  const handleEnroll = async () => {
+    const profileUrls = enrollInput.split(/[\s,]+/).filter(Boolean)
+    const data = await request(`/api/sequences/${selectedId}/enrollments`, 'POST', { profileUrls })
+    if (data.error) {
+      setError(data.error)
+      return
+    }
+    setEnrollInput('')
+    setNotice(`Enrolled ${data.enrolled.length} prospect${data.enrolled.length === 1 ? '' : 's'}${data.skipped ? `, skipped ${data.skipped} (invalid URL or already active)` : ''}`)
+    loadEnrollments(selectedId)
+  }
+
+  const handleEnrollmentChange = (enrollment, removedId) => {
+    setEnrollments(removedId
+      ? enrollments.filter(e => e.id !== removedId)
+      : enrollments.map(e => e.id === enrollment.id ? enrollment : e))
+  }
+
+  const dueCount = enrollments.filter(e => e.nextStep !== null && e.steps[e.nextStep].state === 'due').length
+
+  return (
+    <section className="sequences-section">
+      <div className="input-card">
+        <div className="card-header">
+          <h3>Sequences</h3>
+        </div>
+        <div className="quick-templates">
+          {sequences.map(s => (
+            <button
+              key={s.id}
+              className={`template-btn saved ${selectedId === s.id ? 'active' : ''}`}
+              onClick={() => selectSequence(s)}
+            >
+              {s.name} <span className="message-type-limit">{s.steps.length} steps</span>
+            </button>
+          ))}
+          <button className={`template-btn ${selectedId === null ? 'active' : ''}`} onClick={() => selectSequence(null)}>
+            + New sequence
+          </button>
+        </div>
+
+        <input
+          type="text"
+          className="input-field"
+          placeholder="Sequence name..."
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+
+        <div className="sequence-steps">
+          {form.steps.map((step, index) => (
+            <div key={index} className="sequence-step">
+              <div className="sequence-step-header">
+                <strong>Step {index + 1}</strong>
+                <input
+                  type="text"
+                  className="input-field"
+                  placeholder={messageTypes[step.messageType]?.label || 'Step name'}
+                  value={step.name}
+                  onChange={(e) => updateStep(index, { name: e.target.value })}
+                />
+                <select
+                  className="input-field"
+                  value={step.messageType}
+                  onChange={(e) => updateStep(index, { messageType: e.target.value })}
+                >
+                  {Object.entries(messageTypes).map(([type, config]) => (
+                    <option key={type} value={type}>{config.label}</option>
+                  ))}
+                </select>
+                <button className="session-check-btn" disabled={index === 0} onClick={() => moveStep(index, -1)} title="Move up">↑</button>
+                <button className="session-check-btn" disabled={index === form.steps.length - 1} onClick={() => moveStep(index, 1)} title="Move down">↓</button>
+                <button
+                  className="session-check-btn"
+                  disabled={form.steps.length === 1}
+                  onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) })}
+                  title="Remove step"
+                >
+                  ✕
+                </button>
+              </div>
+              {index > 0 && (
+                <div className="sequence-step-timing">
+                  <label>
+                    Send
+                    <input
+                      type="number"
+                      min="0"
+                      max="90"
+                      className="input-field"
+                      value={step.delayDays}
+                      onChange={(e) => updateStep(index, { delayDays: parseInt(e.target.value, 10) || 0 })}
+                    />
+                    days after step {index}
+                  </label>
+                  <label className="checkbox-item">
+                    <input
+                      type="checkbox"
+                      checked={step.waitForAcceptance}
+                      onChange={(e) => updateStep(index, { waitForAcceptance: e.target.checked })}
+                    />
+                    <span className="checkbox-label">and after the connection is accepted</span>
+                  </label>
+                </div>
+              )}
+              <textarea
+                className="textarea-field"
+                rows={4}
+                placeholder={index === 0 ? 'Hi {firstName}, ...' : 'What this step should say - earlier messages are passed to the AI automatically'}
+                value={step.template}
+                onChange={(e) => updateStep(index, { template: e.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+
+        <textarea
+          className="textarea-field"
+          rows={2}
+          placeholder="System prompt for every step (optional)"
+          value={form.systemPrompt}
+          onChange={(e) => setForm({ ...form, systemPrompt: e.target.value })}
+        />
+
+        <div className="template-actions">
+          <button className="save-template-btn" onClick={() => setForm({ ...form, steps: [...form.steps, { ...NEW_STEP }] })}>
+            + Add step
+          </button>
+          <button className="save-template-btn confirm" onClick={handleSave} disabled={!form.name.trim()}>
+            {selectedId ? 'Save sequence' : 'Create sequence'}
+          </button>
+          {selectedId && (
+            <button className="cancel-btn" onClick={handleDelete} title="Deletes the sequence and its enrollments">
+              Delete
+            </button>
+          )}
+        </div>
+        {error && <p className="enrollment-error">{error}</p>}
+        {notice && !error && <p className="input-hint">{notice}</p>}
+      </div>
+
+      {selectedId && (
+        <div className="input-card">
+          <div className="card-header">
+            <h3>Prospects</h3>
+            {enrollments.length > 0 && (
+              <span className="sequence-count">{enrollments.length} enrolled · {dueCount} due now</span>
+            )}
+          </div>
+          <div className="sequence-enroll">
+            <textarea
+              className="textarea-field campaign-input"
+              rows={2}
+              placeholder="Paste LinkedIn profile URLs to enroll, one per line"
+              value={enrollInput}
+              onChange={(e) => setEnrollInput(e.target.value)}
+            />
+            <button className="save-template-btn confirm" onClick={handleEnroll} disabled={!enrollInput.trim()}>
+              Enroll
+            </button>
+          </div>
+
+          {enrollments.length === 0 ? (
+            <p className="history-empty">No prospects enrolled yet.</p>
+          ) : (
+            <div className="enrollment-list">
+              {enrollments.map(enrollment => (
+                <EnrollmentCard
+                  key={enrollment.id}
+                  enrollment={enrollment}
+                  onChange={handleEnrollmentChange}
+                  linkedinAccountId={linkedinAccountId}
+                  llm={llm}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default SequencesPanel
@@ -0,0 +1,40 @@
+function SessionBadge({ status }) {
+  const { state, session, error } = status
+
+  if (state === 'checking') {
+    return (
+      <span className="session-badge checking">
+        <span className="spinner small"></span>
+        Checking session...
+      </span>
+    )
+  }
+
+  if (state === 'valid') {
+    return (
+      <span className="session-badge valid" title={`Checked ${new Date(session.checkedAt).toLocaleString()}`}>
+        ● Connected{session.accountName ? ` as ${session.accountName}` : ''}
+      </span>
+    )
+  }
+
+  if (state === 'invalid') {
+    return (
+      <span className="session-badge invalid" title={session?.reason}>
+        ● Session expired
+      </span>
+    )
+  }
+
+  if (state === 'missing') {
+    return <span className="session-badge">● No cookie configured</span>
+  }
+
+  if (state === 'error') {
+    return <span className="session-badge invalid" title={error}>● Could not check session</span>
+  }
+
+  return <span className="session-badge">● Not checked</span>
+}
+
+export default SessionBadge
@@ -0,0 +1,29 @@
+const OVERLAP_ICONS = {
+  company: '🏢',
+  school: '🎓',
+  skills: '🛠',
+  location: '📍',
+  industry: '💼'
+}
+
+/**
+ * Background the prospect shares with the sender profile - also offered to the AI as hooks
+ */
+function SharedBackground({ overlaps }) {
+  if (!overlaps?.length) return null
+
+  return (
+    <div className="shared-background">
+      <span className="shared-background-label">Shared background</span>
+      <div className="shared-background-list">
+        {overlaps.map((overlap) => (
+          <span key={`${overlap.type}-${overlap.value}`} className={`shared-chip ${overlap.type}`} title={overlap.detail}>
+            <span aria-hidden="true">{OVERLAP_ICONS[overlap.type]}</span> {overlap.detail}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default SharedBackground
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+const DATA_INCLUSION_LABELS = {
+  about: 'About',
+  experience: 'Experience',
+  skills: 'Skills',
+  education: 'Education',
+  companyDetails: 'Company',
+  activity: 'Recent activity'
+}
+
+// Line diff via longest common subsequence: [{ type: 'same' | 'added' | 'removed', text }]
+const diffLines = (before, after) => {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i++] })
+      j++
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push({ type: 'added', text: b[j++] })
+    } else {
+      lines.push({ type: 'removed', text: a[i++] })
+    }
+  }
+  return lines
+}
+
+const formatRate = (stats) => stats.replyRate === null ? '-' : `${Math.round(stats.replyRate * 100)}%`
+
+function Diff({ label, before, after }) {
+  if (before === after) return null
+  return (
+    <div className="version-diff">
+      <span className="field-label">{label}</span>
+      <pre className="version-diff-body">
+        {diffLines(before, after).map((line, index) => (
+          <div key={index} className={`diff-line ${line.type}`}>
+            {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  )
+}
+
+/**
+ * Version history of a library template: what changed in each version and how
+ * its messages performed once marked sent/replied
+ */
+function TemplateVersions({ templateId, onUse, onClose }) {
+  const [data, setData] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    apiFetch(`/api/templates/${templateId}/versions`)
+      .then(async response => {
+        const result = await response.json()
+        if (!response.ok) throw new Error(result.error || 'Failed to load versions')
+        setData(result)
+        setSelected(result.versions[0]?.version ?? null)
+      })
+      .catch(err => setError(err.message))
+  }, [templateId])
+
+  const versions = data?.versions || []
+  const current = versions.find(v => v.version === selected)
+  const previous = versions.find(v => v.version === selected - 1)
+  // Only versions with sent messages compete for "best"
+  const rated = versions.filter(v => v.stats.replyRate !== null)
+  const best = rated.length > 1 ? rated.reduce((a, b) => b.stats.replyRate > a.stats.replyRate ? b : a) : null
+
+  const changedToggles = current && previous
+    ? Object.keys(DATA_INCLUSION_LABELS).filter(key => !!current.dataInclusion?.[key] !== !!previous.dataInclusion?.[key])
+    : []
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal versions-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{data ? `"${data.template.name}" versions` : 'Template versions'}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+        <div className="modal-body">
+          {error && <div className="history-empty">{error}</div>}
+
+          {data && (
+            <>
+              <table className="versions-table">
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>Saved</th>
+                    <th>Generated</th>
+                    <th>Sent</th>
+                    <th>Replied</th>
+                    <th>Reply rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versions.map(v => (
+                    <tr
+                      key={v.version}
+                      className={`${v.version === selected ? 'selected' : ''} ${v === best ? 'best' : ''}`}
+                      onClick={() => setSelected(v.version)}
+                    >
+                      <td>v{v.version}{v.version === data.template.version && <span className="version-current">current</span>}</td>
+                      <td>{new Date(v.createdAt).toLocaleDateString()}</td>
+                      <td>{v.stats.generated}</td>
+                      <td>{v.stats.sent}</td>
+                      <td>{v.stats.replied}</td>
+                      <td>{formatRate(v.stats)}{v === best && ' ★'}</td>
+                    </tr>
+                  ))}
+                  {data.unsavedEdits.generated > 0 && (
+                    <tr className="unsaved">
+                      <td>Unsaved edits</td>
+                      <td />
+                      <td>{data.unsavedEdits.generated}</td>
+                      <td>{data.unsavedEdits.sent}</td>
+                      <td>{data.unsavedEdits.replied}</td>
+                      <td>{formatRate(data.unsavedEdits)}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+              <p className="versions-hint">
+                Reply rate is replied / sent, counting messages marked Sent, Replied, No reply or Follow-up due in the history.
+              </p>
+
+              {current && (
+                <div className="version-detail">
+                  <div className="version-detail-header">
+                    <strong>v{current.version}</strong>
+                    <span>{previous ? `changes since v${previous.version}` : 'first version'}</span>
+                    <button className="session-check-btn" onClick={() => onUse(current)}>Load into editor</button>
+                  </div>
+                  {previous ? (
+                    <>
+                      <Diff label="Template" before={previous.template} after={current.template} />
+                      <Diff label="System prompt" before={previous.systemPrompt || ''} after={current.systemPrompt || ''} />
+                      {changedToggles.length > 0 && (
+                        <div className="version-diff">
+                          <span className="field-label">Data inclusion</span>
+                          <div className="profile-chips">
+                            {changedToggles.map(key => (
+                              <span key={key} className={`diff-toggle ${current.dataInclusion[key] ? 'added' : 'removed'}`}>
+                                {current.dataInclusion[key] ? '+' : '-'} {DATA_INCLUSION_LABELS[key]}
+                              </span>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <pre className="version-diff-body">{current.template}</pre>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TemplateVersions
@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+const RANGES = [7, 30, 90]
+
+const SOURCE_LABELS = {
+  single: 'Single prospect',
+  reply: 'Reply drafts',
+  sequence: 'Sequences',
+  campaign: 'Campaigns',
+  extract: 'Profile previews',
+  'sender-profile': 'My profile import'
+}
+
+// Cents for normal amounts, more digits for the fractions of a cent single calls cost
+export const formatUsd = (amount) => {
+  if (!amount) return '$0.00'
+  return `$${amount.toFixed(amount < 0.01 ? 4 : 2)}`
+}
+
+export const formatTokens = (count) => (count || 0).toLocaleString()
+
+/**
+ * One line about a request's model calls, e.g. "2 calls · 1,830 in / 412 out tokens · $0.0011"
+ */
+export const describeUsage = (usage) => {
+  if (!usage?.calls) return ''
+  const parts = [
+    `${usage.calls} call${usage.calls === 1 ? '' : 's'}`,
+    `${formatTokens(usage.inputTokens)} in / ${formatTokens(usage.outputTokens)} out tokens${usage.estimatedCalls ? ' (estimated)' : ''}`,
+    usage.unpricedCalls ? 'cost unknown for unpriced models' : formatUsd(usage.costUsd)
+  ]
+  return parts.join(' · ')
+}
+
+/**
+ * Banner text for a budget at 80% or over, or '' when there is nothing to warn about
+ */
+export const describeBudgetAlert = (budget) => {
+  if (budget?.status === 'exceeded') {
+    return `You've spent ${formatUsd(budget.spentUsd)} on AI calls this month, over your ${formatUsd(budget.monthlyUsd)} budget.`
+  }
+  if (budget?.status === 'warning') {
+    return `You've used ${Math.round(budget.share * 100)}% of your ${formatUsd(budget.monthlyUsd)} monthly AI budget (${formatUsd(budget.spentUsd)} spent).`
+  }
+  return ''
+}
+
+function UsageTable({ title, rows, label }) {
+  if (!rows?.length) return null
+  return (
+    <div className="usage-table-wrap">
+      <h4>{title}</h4>
+      <table className="usage-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Calls</th>
+            <th>Tokens in</th>
+            <th>Tokens out</th>
+            <th>Cost</th>
+            <th>Avg latency</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td>{label(row)}</td>
+              <td>{row.calls}</td>
+              <td>{formatTokens(row.inputTokens)}</td>
+              <td>{formatTokens(row.outputTokens)}</td>
+              <td title={row.unpricedCalls ? `${row.unpricedCalls} calls to models without a price are not counted` : undefined}>
+                {formatUsd(row.costUsd)}{row.unpricedCalls ? '*' : ''}
+              </td>
+              <td>{row.avgLatencyMs === null ? '–' : `${(row.avgLatencyMs / 1000).toFixed(1)}s`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function DailyBars({ days }) {
+  // Bars show cost when anything was priced, else tokens (local models)
+  const byCost = days.some(day => day.costUsd > 0)
+  const valueOf = (day) => byCost ? day.costUsd : day.inputTokens + day.outputTokens
+  const max = Math.max(...days.map(valueOf))
+
+  return (
+    <div className="usage-chart">
+      <div className="usage-bars">
+        {days.map(day => (
+          <div
+            key={day.day}
+            className="usage-bar"
+            title={`${day.day}: ${day.calls} calls, ${formatTokens(day.inputTokens + day.outputTokens)} tokens, ${formatUsd(day.costUsd)}`}
+          >
+            <span style={{ height: max ? `${(valueOf(day) / max) * 100}%` : 0 }} />
+          </div>
+        ))}
+      </div>
+      <div className="usage-chart-axis">
+        <span>{days[0]?.day}</span>
+        <span>{byCost ? 'Cost per day' : 'Tokens per day'}</span>
+        <span>{days[days.length - 1]?.day}</span>
+      </div>
+    </div>
+  )
+}
+
+function BudgetSettings({ budget, onChange }) {
+  const [amount, setAmount] = useState(budget?.monthlyUsd && !budget.isDefault ? String(budget.monthlyUsd) : '')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const save = async (monthlyUsd) => {
+    setSaving(true)
+    setError('')
+    try {
+      const response = await apiFetch('/api/usage/budget', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ monthlyUsd })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setError(data.error || 'Could not save the budget')
+        return
+      }
+      onChange(data.budget)
+    } catch (err) {
+      setError('Network error. Make sure the server is running.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="usage-budget">
+      <div>
+        <strong>Monthly budget</strong>
+        <p className="setting-hint">
+          {budget?.monthlyUsd
+            ? `${formatUsd(budget.spentUsd)} of ${formatUsd(budget.monthlyUsd)} spent in ${budget.month}${budget.isDefault ? ' (server default)' : ''}`
+            : `${formatUsd(budget?.spentUsd)} spent in ${budget?.month || 'this month'} - no budget set`}
+        </p>
+        {budget?.monthlyUsd && (
+          <div className={`usage-budget-meter ${budget.status}`}>
+            <span style={{ width: `${Math.min(100, budget.share * 100)}%` }} />
+          </div>
+        )}
+      </div>
+      <div className="usage-budget-form">
+        <input
+          type="number"
+          min="0"
+          step="1"
+          className="input-field"
+          placeholder="USD per month"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+        />
+        <button className="session-check-btn" disabled={saving || !(parseFloat(amount) > 0)} onClick={() => save(parseFloat(amount))}>
+          {saving ? 'Saving...' : 'Set budget'}
+        </button>
+        {budget && !budget.isDefault && budget.monthlyUsd && (
+          <button className="session-check-btn" disabled={saving} onClick={() => save(null)}>
+            Use default
+          </button>
+        )}
+      </div>
+      {error && <span className="sender-status error">{error}</span>}
+    </div>
+  )
+}
+
+/**
+ * Token usage and cost of the AI calls - totals, a bar per day, and breakdowns by template,
+ * model and feature. Admins can switch to everyone's usage with a per-user breakdown.
+ */
+function UsagePanel({ user, budget, onBudgetChange }) {
+  const [days, setDays] = useState(30)
+  const [allUsers, setAllUsers] = useState(false)
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setError('')
+    apiFetch(`/api/usage?days=${days}${allUsers ? '&all=true' : ''}`)
+      .then(async response => {
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) throw new Error(data.error || 'Could not load the usage')
+        setReport(data)
+        onBudgetChange(data.budget)
+      })
+      .catch(err => setError(err.message === 'Failed to fetch' ? 'Network error. Make sure the server is running.' : err.message))
+  }, [days, allUsers])
+
+  const totals = report?.totals
+
+  return (
+    <section className="usage-section">
+      <div className="input-card">
+        <div className="card-header usage-header">
+          <h3>Usage & Costs</h3>
+          <div className="usage-controls">
+            {user.role === 'admin' && (
+              <label className="checkbox-item">
+                <input type="checkbox" checked={allUsers} onChange={(e) => setAllUsers(e.target.checked)} />
+                All users
+              </label>
+            )}
+            <select className="input-field" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))}>
+              {RANGES.map(range => <option key={range} value={range}>Last {range} days</option>)}
+            </select>
+          </div>
+        </div>
+
+        {error && <span className="sender-status error">{error}</span>}
+
+        {totals && (
+          <>
+            <div className="usage-totals">
+              <div className="usage-total">
+                <span className="usage-total-value">{totals.calls}</span>
+                <span className="usage-total-label">AI calls</span>
+              </div>
+              <div className="usage-total">
+                <span className="usage-total-value">{formatTokens(totals.inputTokens)}</span>
+                <span className="usage-total-label">Tokens in</span>
+              </div>
+              <div className="usage-total">
+                <span className="usage-total-value">{formatTokens(totals.outputTokens)}</span>
+                <span className="usage-total-label">Tokens out</span>
+              </div>
+              <div className="usage-total">
+                <span className="usage-total-value">{formatUsd(totals.costUsd)}</span>
+                <span className="usage-total-label">Cost</span>
+              </div>
+              <div className="usage-total">
+                <span className="usage-total-value">{totals.avgLatencyMs === null ? '–' : `${(totals.avgLatencyMs / 1000).toFixed(1)}s`}</span>
+                <span className="usage-total-label">Avg latency</span>
+              </div>
+            </div>
+
+            {(totals.estimatedCalls > 0 || totals.unpricedCalls > 0) && (
+              <p className="setting-hint">
+                {totals.estimatedCalls > 0 && `${totals.estimatedCalls} calls didn't report their token counts and were estimated from the text length. `}
+                {totals.unpricedCalls > 0 && `* ${totals.unpricedCalls} calls used models without a price (set LLM_PRICING on the server) and aren't in the cost.`}
+              </p>
+            )}
+
+            <DailyBars days={report.byDay} />
+
+            {totals.calls === 0 && <p className="setting-hint">No AI calls in this period yet.</p>}
+
+            <UsageTable
+              title="By user"
+              rows={report.byUser}
+              label={(row) => row.username || 'Deleted user'}
+            />
+            <UsageTable
+              title="By template"
+              rows={report.byTemplate}
+              label={(row) => row.templateId ? row.templateName || 'Untitled template' : 'No saved template'}
+            />
+            <UsageTable
+              title="By model"
+              rows={report.byModel}
+              label={(row) => `${row.provider} / ${row.model}`}
+            />
+            <UsageTable
+              title="By feature"
+              rows={report.bySource}
+              label={(row) => SOURCE_LABELS[row.source] || row.source}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="input-card">
+        <BudgetSettings key={`${budget?.monthlyUsd}-${budget?.isDefault}`} budget={budget} onChange={onBudgetChange} />
+      </div>
+    </section>
+  )
+}
+
+export default UsagePanel
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+// Send a change and report the result as { type, message }; returns the response body or null
+const sendRequest = async (url, method, body, setStatus, successMessage) => {
+  setStatus({ type: '', message: '' })
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      setStatus({ type: 'error', message: data.error || 'Request failed' })
+      return null
+    }
+    setStatus({ type: 'success', message: successMessage })
+    return data
+  } catch (err) {
+    setStatus({ type: 'error', message: 'Network error. Make sure the server is running.' })
+    return null
+  }
+}
+
+/**
+ * The signed-in user's own password. Other browsers signed in to the account are signed out.
+ */
+export function PasswordSettings({ user }) {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const handleSave = async () => {
+    setSaving(true)
+    const data = await sendRequest('/api/auth/password', 'PUT', { currentPassword, newPassword }, setStatus, 'Password changed')
+    setSaving(false)
+    if (data) {
+      setCurrentPassword('')
+      setNewPassword('')
+    }
+  }
+
+  return (
+    <div className="setting-item">
+      <label className="setting-label">
+        Your Account
+        <span className="setting-hint">Signed in as {user.username}{user.role === 'admin' ? ' (admin)' : ''}</span>
+      </label>
+      <div className="user-password-row">
+        <input
+          type="password"
+          className="input-field"
+          placeholder="Current password"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+        />
+        <input
+          type="password"
+          className="input-field"
+          placeholder="New password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+        />
+      </div>
+      <div className="session-status">
+        {status.message
+          ? <span className={`sender-status ${status.type}`}>{status.message}</span>
+          : <span />}
+        <button className="session-check-btn" onClick={handleSave} disabled={saving || !currentPassword || !newPassword}>
+          {saving ? 'Saving...' : 'Change password'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Admin view of the accounts on this server: add users, change roles, reset passwords,
+ * disable or delete them. Deleting a user also deletes their templates, history and
+ * LinkedIn accounts.
+ */
+function UserAdmin({ currentUserId }) {
+  const [users, setUsers] = useState([])
+  const [form, setForm] = useState({ username: '', password: '', role: 'user' })
+  const [resettingId, setResettingId] = useState(null)
+  const [resetPassword, setResetPassword] = useState('')
+  const [busy, setBusy] = useState('')
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const loadUsers = () => {
+    apiFetch('/api/users')
+      .then(response => response.json())
+      .then(data => setUsers(data.users || []))
+      .catch(() => {})
+  }
+
+  useEffect(loadUsers, [])
+
+  const request = async (action, url, method, body, successMessage) => {
+    setBusy(action)
+    const data = await sendRequest(url, method, body, setStatus, successMessage)
+    setBusy('')
+    if (data) loadUsers()
+    return data
+  }
+
+  const handleCreate = async () => {
+    if (await request('create', '/api/users', 'POST', form, `Added ${form.username.trim().toLowerCase()}`)) {
+      setForm({ username: '', password: '', role: 'user' })
+    }
+  }
+
+  const handleReset = async (user) => {
+    if (await request('reset', `/api/users/${user.id}`, 'PATCH', { password: resetPassword }, `New password set for ${user.username}`)) {
+      setResettingId(null)
+      setResetPassword('')
+    }
+  }
+
+  const handleDelete = (user) => {
+    if (!confirm(`Delete ${user.username} with all of their templates, history and LinkedIn accounts?`)) return
+    request('delete', `/api/users/${user.id}`, 'DELETE', null, `Deleted ${user.username}`)
+  }
+
+  return (
+    <div className="setting-item">
+      <label className="setting-label">
+        Users
+        <span className="setting-hint">Everyone on this server has their own templates, history and LinkedIn accounts</span>
+      </label>
+
+      <div className="account-list">
+        {users.map((user) => {
+          const isSelf = user.id === currentUserId
+          return (
+            <div key={user.id} className={`account-item ${user.disabled ? 'disabled' : ''}`}>
+              <div className="account-choice">
+                <span className="account-name">{user.username}</span>
+                {isSelf && <span className="account-default">you</span>}
+                {user.disabled && <span className="account-hint">disabled</span>}
+              </div>
+              <div className="sender-actions">
+                <select
+                  className="input-field user-role-select"
+                  value={user.role}
+                  disabled={isSelf || !!busy}
+                  onChange={(e) => request('role', `/api/users/${user.id}`, 'PATCH', { role: e.target.value }, `${user.username} is now ${e.target.value === 'admin' ? 'an admin' : 'a user'}`)}
+                >
+                  <option value="user">User</option>
+                  <option value="admin">Admin</option>
+                </select>
+                <button className="session-check-btn" disabled={!!busy} onClick={() => { setResettingId(resettingId === user.id ? null : user.id); setResetPassword('') }}>
+                  Reset password
+                </button>
+                {!isSelf && (
+                  <>
+                    <button
+                      className="session-check-btn"
+                      disabled={!!busy}
+                      onClick={() => request('disable', `/api/users/${user.id}`, 'PATCH', { disabled: !user.disabled }, `${user.username} ${user.disabled ? 'enabled' : 'disabled'}`)}
+                    >
+                      {user.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                    <button className="session-check-btn" disabled={!!busy} onClick={() => handleDelete(user)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+              {resettingId === user.id && (
+                <div className="user-password-row">
+                  <input
+                    type="password"
+                    className="input-field"
+                    placeholder={`New password for ${user.username}`}
+                    autoComplete="new-password"
+                    value={resetPassword}
+                    onChange={(e) => setResetPassword(e.target.value)}
+                  />
+                  <button className="session-check-btn" onClick={() => handleReset(user)} disabled={!resetPassword || !!busy}>
+                    {busy === 'reset' ? 'Saving...' : 'Set password'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <div className="user-password-row">
+        <input
+          type="text"
+          className="input-field"
+          placeholder="Username"
+          autoComplete="off"
+          value={form.username}
+          onChange={(e) => setForm({ ...form, username: e.target.value })}
+        />
+        <input
+          type="password"
+          className="input-field"
+          placeholder="Password (10+ characters)"
+          autoComplete="new-password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+        />
+        <select
+          className="input-field user-role-select"
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+        >
+          <option value="user">User</option>
+          <option value="admin">Admin</option>
+        </select>
+      </div>
+      <div className="session-status">
+        {status.message
+          ? <span className={`sender-status ${status.type}`}>{status.message}</span>
+          : <span />}
+        <button className="session-check-btn" onClick={handleCreate} disabled={!form.username.trim() || !form.password || !!busy}>
+          {busy === 'create' ? 'Adding...' : 'Add user'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default UserAdmin
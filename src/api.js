@@ -0,0 +1,15 @@
+// Fired when the server answers 401: the session expired, the user signed out in another
+// tab or an admin disabled the account. The sign-in gate listens for it.
+export const UNAUTHORIZED_EVENT = 'reachout:unauthorized'
+
+/**
+ * fetch for the app's own /api routes. The session cookie is HttpOnly, so it is sent
+ * along automatically; a 401 answer sends the user back to the sign-in screen.
+ */
+export async function apiFetch(url, options) {
+  const response = await fetch(url, { credentials: 'same-origin', ...options })
+  if (response.status === 401) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT))
+  }
+  return response
+}
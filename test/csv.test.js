@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseProspectList, toCsv } from '../server/csv.js';
+
+test('parses quoted cells with commas, escaped quotes and line breaks', () => {
+  const rows = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n');
+  assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+});
+
+test('finds the URL column by header and keeps the other columns', () => {
+  const prospects = parseProspectList('Name,LinkedIn URL,notes\nAnn,https://www.linkedin.com/in/ann,met at a conference');
+  assert.deepEqual(prospects, [{
+    profileUrl: 'https://www.linkedin.com/in/ann',
+    columns: { Name: 'Ann', notes: 'met at a conference' }
+  }]);
+});
+
+test('accepts a plain list of URLs without a header', () => {
+  const prospects = parseProspectList('https://www.linkedin.com/in/ann\nhttps://www.linkedin.com/in/bob');
+  assert.deepEqual(prospects.map(p => p.profileUrl), ['https://www.linkedin.com/in/ann', 'https://www.linkedin.com/in/bob']);
+});
+
+test('quotes cells only when needed', () => {
+  assert.equal(toCsv(['a', 'b', 'c'], [{ a: 'plain', b: 'x,y', c: 'say "hi"' }]), 'a,b,c\r\nplain,"x,y","say ""hi"""');
+  assert.equal(toCsv(['a', 'b'], [{ a: null }]), 'a,b\r\n,');
+});
+
+test('prefixes cells that spreadsheets would run as formulas', () => {
+  const csv = toCsv(['a', 'b', 'c', 'd', 'e'], [{ a: '=HYPERLINK("x")', b: '+1', c: '-2', d: '@SUM(A1)', e: '\tx' }]);
+  assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""x"")",'+1,'-2,'@SUM(A1),'\tx`);
+  assert.equal(toCsv(['a'], [{ a: '\r=1' }]).split('\r\n')[1], `"'\r=1"`);
+  assert.equal(toCsv(['a'], [{ a: 'a=b' }]).split('\r\n')[1], 'a=b');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonObject } from '../server/llm/json-output.js';
+
+test('parses clean JSON without repairing it', () => {
+  assert.deepEqual(parseJsonObject('{"name": "Ann"}'), { value: { name: 'Ann' }, repaired: false });
+});
+
+test('strips markdown fences and commentary around the object', () => {
+  const { value, repaired } = parseJsonObject('Here you go:\n```json\n{"name": "Ann", "skills": ["SQL"]}\n```\nAnything else?');
+  assert.deepEqual(value, { name: 'Ann', skills: ['SQL'] });
+  assert.equal(repaired, true);
+});
+
+test('drops trailing commas and escapes raw newlines inside strings', () => {
+  const { value } = parseJsonObject('{"about": "line one\nline two", "skills": ["SQL", "Python",],}');
+  assert.deepEqual(value, { about: 'line one\nline two', skills: ['SQL', 'Python'] });
+});
+
+test('closes an object cut off mid-string or after a key', () => {
+  assert.deepEqual(parseJsonObject('{"name": "Ann", "headline": "Data lea').value, { name: 'Ann', headline: 'Data lea' });
+  assert.deepEqual(parseJsonObject('{"name": "Ann", "positions": [{"title": "CTO"}], "about":').value, {
+    name: 'Ann',
+    positions: [{ title: 'CTO' }]
+  });
+});
+
+test('throws when the text holds no JSON object', () => {
+  assert.throws(() => parseJsonObject('Sorry, I cannot help with that.'), /no JSON object/);
+  assert.throws(() => parseJsonObject(''), /no JSON object/);
+});
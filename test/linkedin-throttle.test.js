@@ -0,0 +1,83 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LinkedInRateLimitError,
+  assertLinkedInBudget,
+  bindPageAccount,
+  paceNavigation,
+  getLinkedInQuota
+} from '../server/linkedin-throttle.js';
+
+// The usage store lives in DATA_DIR, read the first time it is used
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'throttle-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'silent';
+process.env.LINKEDIN_MIN_DELAY_MS = '0';
+process.env.LINKEDIN_MAX_DELAY_MS = '0';
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+let account = 0;
+let cookie;
+
+beforeEach(() => {
+  process.env.LINKEDIN_PAGES_PER_HOUR = '3';
+  process.env.LINKEDIN_PAGES_PER_DAY = '10';
+  // A new account per test so the recorded page views don't carry over
+  cookie = `li_at_test_${++account}`;
+});
+
+async function viewPages(count) {
+  const page = {};
+  bindPageAccount(page, cookie);
+  for (let i = 0; i < count; i++) await paceNavigation(page);
+}
+
+test('counts page views against the hourly and daily caps', async () => {
+  await viewPages(2);
+  const quota = getLinkedInQuota(cookie);
+  assert.equal(quota.hour.used, 2);
+  assert.equal(quota.hour.limit, 3);
+  assert.equal(quota.day.used, 2);
+  assert.ok(Date.parse(quota.hour.resetsAt) > Date.now());
+});
+
+test('refuses a scrape that does not fit in what is left of the hour', async () => {
+  await viewPages(2);
+  assert.doesNotThrow(() => assertLinkedInBudget(cookie, 1));
+  assert.throws(() => assertLinkedInBudget(cookie, 2), error => {
+    assert.ok(error instanceof LinkedInRateLimitError);
+    assert.equal(error.window, 'hour');
+    assert.ok(error.retryAfter > 3500 && error.retryAfter <= 3600);
+    assert.match(error.message, /has 1 of its 3 hourly page views left and this needs 2/);
+    return true;
+  });
+});
+
+test('stops navigation once the cap is reached', async () => {
+  await viewPages(3);
+  await assert.rejects(viewPages(1), /reached its hourly limit of 3 page views/);
+});
+
+test('a scrape larger than the cap is a configuration error, not a rate limit', () => {
+  assert.throws(() => assertLinkedInBudget(cookie, 4), error => {
+    assert.ok(!(error instanceof LinkedInRateLimitError));
+    assert.match(error.message, /needs 4 LinkedIn page views but LINKEDIN_PAGES_PER_HOUR allows only 3/);
+    return true;
+  });
+});
+
+test('a cap of 0 means no cap', async () => {
+  process.env.LINKEDIN_PAGES_PER_HOUR = '0';
+  process.env.LINKEDIN_PAGES_PER_DAY = '0';
+  await viewPages(5);
+  assert.doesNotThrow(() => assertLinkedInBudget(cookie, 100));
+});
+
+test('pages without a bound account are not counted', async () => {
+  await paceNavigation({});
+  assert.equal(getLinkedInQuota(cookie).hour.used, 0);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateMessageVariants, generatePersonalizedMessage, normalizeDataInclusion } from '../server/message-generator.js';
+
+// Every call goes to the deterministic fake provider (server/llm/fake.js) - no network
+process.env.LOG_LEVEL = 'silent';
+const llm = { provider: 'fake' };
+
+const profileData = { name: 'Ann Lee', title: 'Head of Data', company: 'Acme', location: 'Berlin' };
+
+test('fills the template before the model sees it', async () => {
+  const result = await generatePersonalizedMessage({
+    profileData,
+    messageTemplate: 'Hi {firstName}, how is {company|your team}?',
+    llm
+  });
+  assert.equal(result.message, 'Hi Ann, how is Acme?');
+  assert.equal(result.provider, 'fake');
+  assert.equal(result.overLimit, false);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('warns about unknown placeholders the model left in the draft', async () => {
+  const result = await generatePersonalizedMessage({ profileData, messageTemplate: 'Hi {firstName}, about {projectName}', llm });
+  assert.equal(result.message, 'Hi Ann, about {projectName}');
+  assert.deepEqual(result.warnings.map(w => w.code), ['unknown_placeholder', 'leftover_placeholder']);
+  assert.deepEqual(result.warnings[1].placeholders, ['{projectName}']);
+});
+
+test('asks the model to shorten drafts over the message type limit', async () => {
+  const stages = [];
+  const result = await generatePersonalizedMessage({
+    profileData,
+    messageTemplate: `Hi {firstName}, ${'a long sentence about shared interests. '.repeat(12)}`,
+    messageType: 'connection_note',
+    llm,
+    onProgress: stage => stages.push(stage)
+  });
+  assert.deepEqual(stages, ['shortening']);
+  assert.ok(result.message.length <= 300);
+  assert.equal(result.overLimit, false);
+});
+
+test('streams several drafts and tags each with its tone', async () => {
+  const chunks = { 1: '', 2: '' };
+  const result = await generateMessageVariants({
+    profileData,
+    messageTemplate: 'Hi {firstName}',
+    count: 2,
+    tones: ['casual', 'unknown', 'concise'],
+    llm,
+    onToken: (id, chunk) => { chunks[id] += chunk; }
+  });
+  assert.deepEqual(result.variants.map(v => [v.id, v.tone, v.message]), [[1, 'casual', 'Hi Ann'], [2, 'concise', 'Hi Ann']]);
+  assert.deepEqual(chunks, { 1: 'Hi Ann', 2: 'Hi Ann' });
+});
+
+test('dataInclusion falls back to the defaults and rejects non-objects', () => {
+  assert.equal(normalizeDataInclusion(null).about, true);
+  assert.equal(normalizeDataInclusion({ about: false }).about, false);
+  assert.equal(normalizeDataInclusion({ about: false }).experience, true);
+  assert.throws(() => normalizeDataInclusion('all'), error => error.status === 400);
+});
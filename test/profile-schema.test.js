@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProfile, PROFILE_RESPONSE_SCHEMA } from '../server/profile-schema.js';
+
+test('accepts a complete profile and builds the summary strings', () => {
+  const { profile, errors } = validateProfile({
+    name: '  Ann Lee ',
+    headline: 'Data leader',
+    positions: [
+      { title: 'Head of Data', company: 'Acme', startDate: '2021', current: true },
+      { title: 'Analyst', company: 'Initech', startDate: '2018', endDate: '2021' }
+    ],
+    education: [{ school: 'MIT', degree: 'BSc', field: 'Math', startDate: '2014', endDate: '2018' }],
+    skills: ['SQL', { name: 'Python' }]
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(profile.name, 'Ann Lee');
+  assert.equal(profile.title, 'Head of Data');
+  assert.equal(profile.company, 'Acme');
+  assert.equal(profile.experience, 'Head of Data at Acme (2021 - Present); Analyst at Initech (2018 - 2021)');
+  assert.equal(profile.education, 'MIT - BSc, Math (2014 - 2018)');
+  assert.deepEqual(profile.skillList, ['SQL', 'Python']);
+  assert.equal(profile.skills, 'SQL, Python');
+});
+
+test('requires a name and an object', () => {
+  assert.deepEqual(validateProfile({ headline: 'x' }).errors, ['name is required']);
+  assert.deepEqual(validateProfile(['Ann']), { profile: null, errors: ['Profile must be a JSON object'] });
+  assert.deepEqual(validateProfile(null).errors, ['Profile must be a JSON object']);
+});
+
+test('keeps positions with either a title or a company and drops those with neither', () => {
+  const { profile, errors } = validateProfile({
+    name: 'Ann',
+    positions: [{ title: 'Founder' }, { company: 'Acme' }, { location: 'Berlin' }]
+  });
+  assert.deepEqual(profile.positions.map(p => [p.title, p.company]), [['Founder', ''], ['', 'Acme']]);
+  assert.deepEqual(errors, ['positions[2] has no title or company']);
+});
+
+test('cuts values over the length bound and reports wrong types', () => {
+  const { profile, errors } = validateProfile({ name: 'Ann', headline: 'x'.repeat(400), location: { city: 'Berlin' }, positions: 'CTO at Acme' });
+  assert.equal(profile.headline.length, 300);
+  assert.equal(profile.location, '');
+  assert.deepEqual(profile.positions, []);
+  assert.deepEqual(errors, ['headline is longer than 300 characters', 'location must be a string']);
+});
+
+test('keeps legacy summary strings and comma separated skills', () => {
+  const { profile, errors } = validateProfile({ name: 'Ann', experience: 'CTO at Acme', skills: 'SQL, Python' });
+  assert.deepEqual(errors, []);
+  assert.equal(profile.experience, 'CTO at Acme');
+  assert.deepEqual(profile.skillList, ['SQL', 'Python']);
+});
+
+test('the response schema only requires entry fields the validator requires', () => {
+  const { properties } = PROFILE_RESPONSE_SCHEMA;
+  assert.equal(properties.positions.items.required, undefined);
+  assert.deepEqual(properties.education.items.required, ['school']);
+  assert.deepEqual(PROFILE_RESPONSE_SCHEMA.required, ['name']);
+  assert.equal(properties.profileUrl, undefined);
+});
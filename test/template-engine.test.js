@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeTemplate,
+  renderTemplate,
+  resolveProfileValues,
+  findLeftoverPlaceholders
+} from '../shared/template-engine.js';
+
+const profile = { name: 'Ann Marie Lee', company: 'Acme', title: 'Head of Data', location: 'Not provided' };
+
+test('fills placeholders from the profile, ignoring case and underscores', () => {
+  const { text, unresolved } = renderTemplate('Hi {firstName} ({Last_Name}) at {COMPANY}', resolveProfileValues(profile));
+  assert.equal(text, 'Hi Ann (Lee) at Acme');
+  assert.deepEqual(unresolved, []);
+});
+
+test('uses the fallback when a value is missing and leaves unresolved placeholders in place', () => {
+  const { text, unresolved } = renderTemplate('{location|your city} / {industry}', resolveProfileValues(profile));
+  assert.equal(text, 'your city / {industry}');
+  assert.deepEqual(unresolved, ['industry']);
+});
+
+test('renders conditionals with else and negation', () => {
+  const values = resolveProfileValues(profile);
+  assert.equal(renderTemplate('{#if company}at {company}{else}there{/if}', values).text, 'at Acme');
+  assert.equal(renderTemplate('{#if industry}in {industry}{else}there{/if}', values).text, 'there');
+  assert.equal(renderTemplate('{#if !industry}no industry{/if}', values).text, 'no industry');
+});
+
+test('reports unbalanced conditionals and still renders the rest', () => {
+  const { text, errors } = renderTemplate('{#if company}Hi {firstName}', resolveProfileValues(profile));
+  assert.equal(text, 'Hi Ann');
+  assert.deepEqual(errors, ['{#if company} is never closed with {/if}']);
+
+  assert.deepEqual(renderTemplate('Hi{/if}', {}).errors, ['{/if} without a matching {#if ...}']);
+});
+
+test('extra values only fill names the profile has no value for', () => {
+  const values = resolveProfileValues(profile, { company: 'Other Co', Team_Name: 'Ops', empty: 'n/a' });
+  assert.equal(values.company, 'Acme');
+  assert.equal(values.teamname, 'Ops');
+  assert.equal('empty' in values, false);
+});
+
+test('inherited object keys never resolve as placeholders', () => {
+  const { text, unresolved } = renderTemplate('{constructor} {#if toString}yes{else}no{/if}', resolveProfileValues(profile));
+  assert.equal(text, '{constructor} no');
+  assert.deepEqual(unresolved, ['constructor']);
+});
+
+test('analyzeTemplate flags unknown placeholders unless given as extra fields', () => {
+  assert.deepEqual(analyzeTemplate('Hi {firstName}, {notes}').unknown, ['notes']);
+  assert.deepEqual(analyzeTemplate('Hi {firstName}, {notes}', { extraFields: ['Notes'] }).unknown, []);
+  const [first] = analyzeTemplate('{company|your team}').placeholders;
+  assert.equal(first.optional, true);
+});
+
+test('findLeftoverPlaceholders lists each remaining token once', () => {
+  assert.deepEqual(findLeftoverPlaceholders('Hi {firstName}, {firstName} and {#if x}'), ['{firstName}', '{#if x}']);
+  assert.deepEqual(findLeftoverPlaceholders('Nothing left here'), []);
+  assert.deepEqual(findLeftoverPlaceholders(null), []);
+});